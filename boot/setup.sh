@@ -44,6 +44,26 @@ echo "export PATH=/opt/smartdc/$role/build/node/bin:/opt/smartdc/$role/node_modu
 # Until we figure out a way to share aperture config across applications:
 cp $SVC_ROOT/etc/aperture.json.in $SVC_ROOT/etc/aperture.json
 
+# CloudAPI keeps its own data (e.g. machine snapshot policies) into the default
+# store_dir, /data/cloudapi. Mount the zone delegated dataset, if any, at /data
+# for that data to survive reprovisions:
+function setup_store_dir {
+    local dataset=zones/$(zonename)/data
+
+    if zfs list -H -o name $dataset >/dev/null 2>&1; then
+        local mountpoint=$(zfs get -H -o value mountpoint $dataset)
+        if [[ $mountpoint != "/data" ]]; then
+            zfs set mountpoint=/data $dataset || \
+                fatal "failed to mount $dataset at /data"
+        fi
+    else
+        echo "No delegated dataset, /data/cloudapi won't survive reprovisions"
+    fi
+
+    mkdir -p /data/cloudapi
+}
+
+
 # setup stud, haproxy
 function setup_cloudapi {
     local cloudapi_instances=4
@@ -79,8 +99,14 @@ function setup_cloudapi {
     for port in "${ports[@]}"; do
         local cloudapi_instance="cloudapi-$port"
         local cloudapi_xml_out=$SVC_ROOT/smf/manifests/cloudapi-$port.xml
+        # Only the first instance runs the machine snapshot policies:
+        local cloudapi_flags=""
+        if [[ $port == ${ports[1]} ]]; then
+            cloudapi_flags="--snapshot-scheduler"
+        fi
         sed -e "s#@@CLOUDAPI_PORT@@#$port#g" \
             -e "s#@@CLOUDAPI_INSTANCE_NAME@@#$cloudapi_instance#g" \
+            -e "s#@@CLOUDAPI_FLAGS@@#$cloudapi_flags#g" \
             -e "s/@@PREFIX@@/\/opt\/smartdc\/cloudapi/g" \
             $cloudapi_xml_in  > $cloudapi_xml_out || \
             fatal "could not process $cloudapi_xml_in to $cloudapi_xml_out"
@@ -145,6 +171,8 @@ HERE
     logadm -w /var/log/haproxy.log -C 5 -c -s 100m
 }
 
+setup_store_dir
+
 setup_cloudapi
 
 setup_haproxy_rsyslogd
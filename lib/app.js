@@ -33,22 +33,30 @@ var mahi = require('mahi');
 var account = require('./account');
 var analytics = require('./analytics');
 var auth = require('./auth');
+var changefeed = require('./changefeed');
 var datacenters = require('./datacenters');
 var datasets = require('./datasets');
 var docs = require('./docs');
+var jobs = require('./jobs');
 var keys = require('./keys');
+var limits = require('./limits');
 var machines = require('./machines');
 var metadata = require('./metadata');
 var mod_config = require('./config');
+var mod_store = require('./store');
 var nics = require('./nics');
 var packages = require('./packages');
 var services = require('./services');
 var snapshots = require('./snapshots');
+var snapshotPolicies = require('./snapshot_policies');
 var tags = require('./tags');
 var throttle = require('./throttle');
+var usage = require('./usage');
 var networks = require('./networks');
 var audit = require('./audit');
 var auditLogger = require('./audit_logger');
+var auditSinks = require('./audit_sinks');
+var auditStore = require('./audit_store');
 var rules = require('./rules');
 
 // Account users, roles and policies:
@@ -164,18 +172,49 @@ function createUfdsClient(options, callback) {
 }
 
 
+/*
+ * IMGAPI clients for the other datacenters (or any other IMGAPI compatible
+ * source) images can be imported from, keyed by source name.
+ */
+function createImgapiSources(options) {
+    var sources = {};
+
+    Object.keys(options.image_import_sources || {}).forEach(function (name) {
+        sources[name] = SDC.IMGAPI.createClient({
+            url: options.image_import_sources[name],
+            log: options.log.child({ component: 'imgapi', source: name })
+        });
+    });
+
+    return sources;
+}
+
+
 function createHTTPClients(options) {
+    var store = mod_store.createStore({
+        dir: options.store_dir,
+        log: options.log.child({ component: 'store' })
+    });
+
     return {
         ca: new SDC.CA(options.ca),
         vmapi: new SDC.VMAPI(options.vmapi),
         napi: new SDC.NAPI(options.napi),
         fwapi: new SDC.FWAPI(options.fwapi),
         imgapi: new SDC.IMGAPI.createClient(options.imgapi),
+        imgapiSources: createImgapiSources(options),
         keyapi: new keyapi(options),
         cnapi: new SDC.CNAPI(options.cnapi),
         papi: SDC.PAPI(options.papi),
         mahi: (options.mahi) ? mahi.createClient(options.mahi) : null,
-        cns: (options.cns) ? (new SDC.CNS(options.cns)) : null
+        cns: (options.cns) ? (new SDC.CNS(options.cns)) : null,
+        store: store,
+        auditStore: auditStore.createAuditStore({
+            backend: options.audit_store,
+            retention: options.audit_retention,
+            log: options.log.child({ component: 'audit_store' }),
+            store: store
+        })
     };
 }
 
@@ -189,6 +228,9 @@ function createClients(options, callback) {
     assert.ok(options.papi);
     assert.ok(options.ufds);
     assert.ok(options.ufds_master);
+    // The store must survive reprovisions, so there's no default for it here,
+    // SAPI deployed zones default to their delegated dataset:
+    assert.ok(options.store_dir, 'store_dir is required');
 
     options.ufds.log   = options.log.child({ component: 'ufds' });
     options.ufds_master.log = options.log.child({ component: 'ufds_master' });
@@ -250,8 +292,8 @@ function createClients(options, callback) {
  * @param {Array} where each member is an {Object} representing a plugin config
  * @param {Array} ufdsPlugins is the same but coming from UFDS instead of
  *      the config file.
- * @returns {Object} with first member being preProvision methods to call, and
- *          second member postProvision
+ * @returns {Object} with first member being preProvision methods to call,
+ *          second member postProvision and third member limits hooks
  */
 
 function loadPlugins(plugins, ufdsPlugins, log) {
@@ -259,6 +301,7 @@ function loadPlugins(plugins, ufdsPlugins, log) {
     // Load enabled pre|post provision plugins:
     var preProvision = [];
     var postProvision = [];
+    var limitsHooks = [];
 
     // Plugins can be defined into Config file (plugins), UFDS (ufdsPlugins)
     // or both. UFDS will take precedence over the config file. Therefore, we
@@ -296,10 +339,14 @@ function loadPlugins(plugins, ufdsPlugins, log) {
             if (plugin.postProvision) {
                 postProvision.push(plugin.postProvision(cfg));
             }
+
+            if (plugin.limits) {
+                limitsHooks.push(plugin.limits(cfg));
+            }
         }
     });
 
-    return [preProvision, postProvision];
+    return [preProvision, postProvision, limitsHooks];
 }
 
 
@@ -332,6 +379,8 @@ module.exports = {
         var globalAgentInterval;
         var server;
         var machineThrottle;
+        var snapshotScheduler;
+        var sinks;
 
         config.name = 'Joyent Triton ' + version();
         config.version = ['8.0.0', '7.3.0', '7.2.0', '7.1.0', '7.0.0'];
@@ -513,7 +562,15 @@ module.exports = {
                         'replaceuserkeysresourceroletags'
                     ];
 
-                    if (req.route.name !== 'updatemachine') {
+                    // Bulk machine actions have their own name, and then
+                    // authorize the action for each one of the machines:
+                    if (req.route.name === 'createmachine' &&
+                        req.params.action !== undefined) {
+                        req.routename = 'bulkmachineaction';
+                    } else if (req.route.name === 'createimagefrommachine' &&
+                        req.params.action === 'import') {
+                        req.routename = 'importimage';
+                    } else if (req.route.name !== 'updatemachine') {
                         if (resourceTagRoutes.indexOf(req.route.name) !== -1) {
                             req.routename = 'setroletags';
                         } else {
@@ -535,33 +592,10 @@ module.exports = {
                     return next();
                 });
 
-                server.use(auth.authorize);
-
-                server.use(function readOnlyMode(req, res, next) {
-                    if ((req.method === 'PUT' ||
-                        req.method === 'POST' ||
-                        req.method === 'DELETE') &&
-                        typeof (req.config.read_only) !== 'undefined' &&
-                        req.config.read_only === true) {
-                        if (req.config.dcMaintUtcEta) {
-                            res.setHeader('Retry-After',
-                                    req.config.dcMaintUtcEta);
-                        }
-                        var msg = req.config.dc_maint_message ||
-                            'This Triton data center is being upgraded';
-
-                        return next(new restify.ServiceUnavailableError(msg));
-                    }
-
-                    return next();
-                });
-
-                // Save Context for Machines Audit:
+                // Save Context for the Audit of every mutating request.
+                // Before authorization, so unauthorized requests get recorded
+                // too (see audit_store.js):
                 server.use(function saveContext(req, res, next) {
-                    if (!/\/machines/.test(req.getUrl().pathname)) {
-                        return next();
-                    }
-
                     if (req.method !== 'PUT' && req.method !== 'POST' &&
                         req.method !== 'DELETE') {
                         return next();
@@ -592,6 +626,27 @@ module.exports = {
                     return next();
                 });
 
+                server.use(auth.authorize);
+
+                server.use(function readOnlyMode(req, res, next) {
+                    if ((req.method === 'PUT' ||
+                        req.method === 'POST' ||
+                        req.method === 'DELETE') &&
+                        typeof (req.config.read_only) !== 'undefined' &&
+                        req.config.read_only === true) {
+                        if (req.config.dcMaintUtcEta) {
+                            res.setHeader('Retry-After',
+                                    req.config.dcMaintUtcEta);
+                        }
+                        var msg = req.config.dc_maint_message ||
+                            'This Triton data center is being upgraded';
+
+                        return next(new restify.ServiceUnavailableError(msg));
+                    }
+
+                    return next();
+                });
+
                 // Now mount all the API handlers. Images, packages and
                 // networks are first:
                 datasets.mount(server,
@@ -601,9 +656,12 @@ module.exports = {
 
                 // Wait for datasets and packages to mount everything else:
                 account.mount(server, userThrottle(config, 'account'));
+                usage.mount(server, userThrottle(config, 'usage'));
                 datacenters.mount(server, userThrottle(config, 'datacenter'));
                 services.mount(server, userThrottle(config, 'services'));
                 keys.mount(server, userThrottle(config, 'keys'), config);
+                limits.mount(server, userThrottle(config, 'limits'),
+                        plugins[2]);
 
                 machineThrottle = userThrottle(config, 'machines');
                 // Make sure we pass the pre|post provision hooks
@@ -611,8 +669,11 @@ module.exports = {
                 machines.mount(server, machineThrottle, plugins[0], plugins[1]);
                 metadata.mount(server, machineThrottle);
                 snapshots.mount(server, machineThrottle);
+                snapshotPolicies.mount(server, machineThrottle);
                 tags.mount(server, machineThrottle);
                 audit.mount(server, machineThrottle);
+                jobs.mount(server, machineThrottle);
+                changefeed.mount(server, machineThrottle, config);
                 rules.mount(server, machineThrottle);
 
                 analytics.mount(server, userThrottle(config, 'analytics'));
@@ -625,8 +686,22 @@ module.exports = {
                 nics.mount(server, userThrottle(config, 'nics'));
                 mod_config.mount(server, userThrottle(config, 'config'));
 
+                var auditLog = config.audit_log || {};
+                sinks = auditSinks.createAuditSinks({
+                    log: log.child({component: 'audit_sinks'}),
+                    sinks: config.audit_sinks
+                });
+
                 server.on('after', auditLogger({
-                    log: log.child({component: 'audit'})
+                    log: log.child({component: 'audit'}),
+                    body: auditLog.body,
+                    redact: auditLog.redact,
+                    sinks: sinks
+                }));
+
+                server.on('after', auditStore.auditRecorder({
+                    auditStore: clients.auditStore,
+                    log: log.child({component: 'audit_store'})
                 }));
 
                 // Closure to wrap up the port setting
@@ -637,6 +712,18 @@ module.exports = {
                     return server.listen(config.port, cb);
                 };
 
+                // Only one process runs the scheduler (see main.js), which
+                // still takes a lock through the store for each minute in
+                // case another one shares the store:
+                if (config.snapshot_scheduler !== false) {
+                    snapshotScheduler = snapshotPolicies.createScheduler({
+                        log: log.child({component: 'snapshot_scheduler'}),
+                        store: clients.store,
+                        vmapi: clients.vmapi
+                    });
+                    snapshotScheduler.start();
+                }
+
                 // Setup a logger on HTTP Agent queueing
                 globalAgentInterval = setInterval(function () {
                     var agent = http.globalAgent;
@@ -660,10 +747,19 @@ module.exports = {
                 server.on('close', function () {
                     clearInterval(globalAgentInterval);
 
+                    if (snapshotScheduler) {
+                        snapshotScheduler.stop();
+                    }
+
+                    sinks.close();
+
                     clients.vmapi.close();
                     clients.napi.close();
                     clients.fwapi.close();
                     clients.imgapi.close();
+                    Object.keys(clients.imgapiSources).forEach(function (s) {
+                        clients.imgapiSources[s].close();
+                    });
                     clients.ca.close();
                     clients.papi.close();
                     clients.cnapi.close();
@@ -9,17 +9,36 @@
  */
 
 var assert = require('assert-plus');
+var restify = require('restify');
 var util = require('util');
+var vasync = require('vasync');
 
+var filters = require('./filters');
 
+var InvalidArgumentError = restify.InvalidArgumentError;
+
+var MAX_LIMIT = 1000;
+
+
+// VMAPI job tasks which are already the name of their action:
+var TASK_ACTIONS = [
+    'provision', 'start', 'stop', 'reboot', 'kill', 'destroy', 'reprovision',
+    'add_nics', 'update_nics', 'remove_nics'
+];
+
+
+/*
+ * Give a distinct name to the action run by each VMAPI job, depending on its
+ * task and, for updates and snapshots, on what the job does.
+ */
 function translateAction(job) {
-    var name    = job.name;
+    var name    = job.name || '';
     var params  = job.params;
     var task    = params.task;
     var subtask = params.subtask;
-    var payload = params.payload;
+    var payload = params.payload || {};
 
-    if (task !== 'update' && task !== 'snapshot') {
+    if (TASK_ACTIONS.indexOf(task) !== -1) {
         return task;
     }
 
@@ -31,6 +50,11 @@ function translateAction(job) {
         } else if (/^delete-snapshot/.test(name)) {
             return 'delete_snapshot';
         }
+        return 'snapshot';
+    }
+
+    if (task !== 'update') {
+        return task;
     }
 
     if (subtask === 'rename' || subtask === 'resize') {
@@ -38,6 +62,14 @@ function translateAction(job) {
     }
 
     // The multiple possibilities for machine update:
+    if (payload.firewall_enabled === true) {
+        return 'enable_firewall';
+    }
+
+    if (payload.firewall_enabled === false) {
+        return 'disable_firewall';
+    }
+
     if (payload.set_customer_metadata && payload.remove_customer_metadata) {
         return 'replace_metadata';
     }
@@ -62,11 +94,130 @@ function translateAction(job) {
         return 'set_tags';
     }
 
-    return 'unknown';
+    // Updates not run through the subtasks above, e.g. by operators:
+    if (payload.alias !== undefined) {
+        return 'rename';
+    }
+
+    if (payload.billing_id || payload.ram || payload.max_physical_memory) {
+        return 'resize';
+    }
+
+    if (payload.update_disks) {
+        return 'resize_disk';
+    }
+
+    return 'update';
 }
 
+
+/*
+ * What the given job changed, as `before` and `after` objects, when that can
+ * be told from the job itself. Jobs queued by CloudAPI may already include
+ * these into their context, which is preferred, given it also knows how the
+ * machine was before the job ran. Values of metadata are never included,
+ * given these may be secrets.
+ */
+function translateChanges(job, action) {
+    var params = job.params;
+    var payload = params.payload || {};
+    var changes = {};
+
+    function keys(obj) {
+        return (Array.isArray(obj) ? obj : Object.keys(obj || {}));
+    }
+
+    switch (action) {
+    case 'provision':
+        changes.after = {
+            alias: params.alias,
+            image: params.image_uuid ||
+                (params.disks && params.disks[0] &&
+                params.disks[0].image_uuid),
+            memory: params.ram || params.max_physical_memory
+        };
+        break;
+    case 'rename':
+        changes.after = {
+            alias: payload.alias
+        };
+        break;
+    case 'resize':
+        changes.after = {
+            memory: payload.ram || payload.max_physical_memory
+        };
+        break;
+    case 'resize_disk':
+        changes.after = {
+            disk: payload.update_disks[0] && payload.update_disks[0].size
+        };
+        break;
+    case 'enable_firewall':
+    case 'disable_firewall':
+        changes.before = {
+            firewall_enabled: !payload.firewall_enabled
+        };
+        changes.after = {
+            firewall_enabled: payload.firewall_enabled
+        };
+        break;
+    case 'set_tags':
+    case 'replace_tags':
+    case 'remove_tags':
+        changes.after = {};
+        if (payload.set_tags) {
+            changes.after.tags = payload.set_tags;
+        }
+        if (payload.remove_tags) {
+            changes.after.removed_tags = keys(payload.remove_tags);
+        }
+        break;
+    case 'set_metadata':
+    case 'replace_metadata':
+    case 'remove_metadata':
+        changes.after = {};
+        if (payload.set_customer_metadata) {
+            changes.after.metadata = keys(payload.set_customer_metadata);
+        }
+        if (payload.remove_customer_metadata) {
+            changes.after.removed_metadata =
+                keys(payload.remove_customer_metadata);
+        }
+        break;
+    case 'create_snapshot':
+    case 'rollback_snapshot':
+    case 'delete_snapshot':
+        changes.after = {
+            snapshot: params.snapshot_name
+        };
+        break;
+    case 'add_nics':
+        changes.after = {
+            networks: (params.networks || []).map(function (n) {
+                return (n.uuid || n.ipv4_uuid || n);
+            })
+        };
+        break;
+    case 'remove_nics':
+        changes.before = {
+            macs: params.macs
+        };
+        break;
+    default:
+        break;
+    }
+
+    var context = params.context || {};
+    return {
+        before: context.before || changes.before,
+        after: context.after || changes.after
+    };
+}
+
+
 function translate(job) {
     var j = {
+        job: job.uuid,
         success: (job.execution === 'succeeded') ? 'yes' : 'no',
         time: job.chain_results[job.chain_results.length - 1].finished_at
     };
@@ -79,9 +230,108 @@ function translate(job) {
             type: 'operator'
         };
     }
+
+    var changes = translateChanges(job, j.action);
+    if (changes.before) {
+        j.before = changes.before;
+    }
+    if (changes.after) {
+        j.after = changes.after;
+    }
+
     return j;
 }
 
+/*
+ * Translate an entry recorded by CloudAPI itself (see audit_store.js) the same
+ * way as jobs.
+ */
+function translateEntry(entry) {
+    var e = {
+        success: entry.success,
+        time: entry.time,
+        action: entry.action,
+        caller: entry.caller,
+        parameters: entry.parameters,
+        req_id: entry.req_id
+    };
+
+    if (entry.job) {
+        e.job = entry.job;
+    }
+
+    if (entry.error) {
+        e.error = entry.error;
+    }
+
+    return e;
+}
+
+
+/*
+ * Audit entries can be limited to the ones `since` and/or `until` given dates,
+ * and to the newest `limit` ones. Throws InvalidArgumentError on bad input.
+ */
+function getListOptions(params) {
+    var opts = {
+        since: filters.getTimestamp(params, 'since'),
+        until: filters.getTimestamp(params, 'until')
+    };
+
+    if (params.limit !== undefined) {
+        opts.limit = Number(params.limit);
+        if (!/^\d+$/.test(String(params.limit)) || opts.limit < 1 ||
+            opts.limit > MAX_LIMIT) {
+            throw new InvalidArgumentError('limit must be a number between ' +
+                '1 and %d', MAX_LIMIT);
+        }
+    }
+
+    return opts;
+}
+
+
+/*
+ * Apply the time range and limit options to the given actions, sorted from
+ * newest to oldest.
+ */
+function filterActions(actions, opts) {
+    actions = actions.filter(function (a) {
+        var time = new Date(a.time).getTime();
+        return ((opts.since === undefined || time >= opts.since) &&
+            (opts.until === undefined || time <= opts.until));
+    });
+
+    actions.sort(function (a, b) {
+        return (new Date(b.time).getTime() - new Date(a.time).getTime());
+    });
+
+    if (opts.limit) {
+        actions = actions.slice(0, opts.limit);
+    }
+
+    return actions;
+}
+
+
+/*
+ * Merge the actions from VMAPI jobs with the ones recorded by CloudAPI, which
+ * still have the actions of purged jobs, and of requests not queueing any
+ * job. Requests whose jobs are still around are given by the job, given it
+ * knows if the action actually succeeded.
+ */
+function mergeActions(jobActions, entries, opts) {
+    var jobUuids = {};
+    jobActions.forEach(function (a) {
+        jobUuids[a.job] = true;
+    });
+
+    return filterActions(jobActions.concat(entries.filter(function (e) {
+        return (!e.job || !jobUuids[e.job]);
+    }).map(translateEntry)), opts);
+}
+
+
 function list(req, res, next) {
     assert.ok(req.sdc);
 
@@ -89,24 +339,119 @@ function list(req, res, next) {
         log = req.log,
         machine = req.params.machine,
         vmapi = req.sdc.vmapi;
+    var ctx = {};
+    var opts;
 
-    return vmapi.listJobs({
-        vm_uuid: machine,
-        owner_uuid: customer
-    }, {
-        log: req.log,
-        headers: {
-            'x-request-id': req.getId()
+    try {
+        opts = getListOptions(req.params);
+    } catch (e) {
+        return next(e);
+    }
+
+    return vasync.pipeline({
+        funcs: [
+            function listJobs(_, cb) {
+                vmapi.listJobs({
+                    vm_uuid: machine,
+                    owner_uuid: customer
+                }, {
+                    log: req.log,
+                    headers: {
+                        'x-request-id': req.getId()
+                    }
+                }, function (err, jobs) {
+                    if (err) {
+                        return cb(err);
+                    }
+
+                    // Ignore all not finished jobs
+                    ctx.actions = jobs.filter(function (j) {
+                        return (j.execution !== 'running' &&
+                            j.execution !== 'queued');
+                    }).map(translate);
+                    return cb();
+                });
+            },
+            function listEntries(_, cb) {
+                req.sdc.auditStore.list({
+                    account: customer,
+                    machine: machine,
+                    since: opts.since,
+                    until: opts.until,
+                    limit: opts.limit
+                }, function (err, entries) {
+                    ctx.entries = entries;
+                    return cb(err);
+                });
+            }
+        ]
+    }, function (err) {
+        if (err) {
+            return next(err);
         }
-    }, function (err, jobs) {
+
+        var actions = mergeActions(ctx.actions, ctx.entries, opts);
+
+        log.debug('GET %s -> %j', req.path(), actions);
+        res.send(actions);
+        return next();
+    });
+}
+
+
+/*
+ * The caller can be given either by login, account or sub-user, or by the key
+ * used to sign the request, either its full id or just its fingerprint.
+ */
+function matchesCaller(entry, caller) {
+    var keyId = (entry.caller && entry.caller.keyId) || '';
+    var fingerprint = '/keys/' + caller;
+
+    return (entry.login === caller ||
+        (entry.caller && entry.caller.user === caller) ||
+        keyId === caller ||
+        keyId.slice(-fingerprint.length) === fingerprint);
+}
+
+
+/*
+ * Everything recorded by CloudAPI for the account, not only for machines.
+ */
+function listAccount(req, res, next) {
+    var log = req.log;
+    var params = req.params;
+    var opts;
+
+    try {
+        opts = getListOptions(params);
+    } catch (e) {
+        return next(e);
+    }
+
+    return req.sdc.auditStore.list({
+        account: req.account.uuid,
+        since: opts.since,
+        until: opts.until,
+        limit: opts.limit,
+        filter: function (e) {
+            return ((!params.caller || matchesCaller(e, params.caller)) &&
+                (!params.action || e.action === params.action ||
+                e.route === params.action));
+        }
+    }, function (err, entries) {
         if (err) {
             return next(err);
         }
 
-        // Ignore all not finished jobs
-        var actions = jobs.filter(function (j) {
-            return (j.execution !== 'running' && j.execution !== 'queued');
-        }).map(translate);
+        var actions = filterActions(entries.map(function (e) {
+            var a = translateEntry(e);
+            a.path = e.path;
+            a.login = e.login;
+            if (e.machine) {
+                a.machine = e.machine;
+            }
+            return a;
+        }), opts);
 
         log.debug('GET %s -> %j', req.path(), actions);
         res.send(actions);
@@ -128,11 +473,22 @@ function mount(server, before) {
         path: '/:account/machines/:machine/audit',
         name: 'HeadAudit'
     }, before, list);
+
+    server.get({
+        path: '/:account/audit',
+        name: 'AccountAudit'
+    }, before, listAccount);
+
+    server.head({
+        path: '/:account/audit',
+        name: 'HeadAccountAudit'
+    }, before, listAccount);
 }
 
 
 // --- API
 
 module.exports = {
-    mount: mount
+    mount: mount,
+    translateAction: translateAction
 };
@@ -8,6 +8,8 @@ var assert = require('assert-plus');
 var bunyan = require('bunyan');
 var HttpError = require('restify').HttpError;
 
+var redact = require('./redact');
+
 
 ///--- API
 
@@ -17,7 +19,12 @@ var HttpError = require('restify').HttpError;
  *
  * server.on('after', restify.auditLogger({ log: myAuditStream }));
  *
- * This logs at the INFO level.
+ * This logs at the INFO level. When given `sinks` (see audit_sinks.js), the
+ * same records are also written there.
+ *
+ * Secrets are redacted from the request URL, headers and bodies before they
+ * are logged, using the default rules of redact.js plus the ones given by
+ * `options.redact`, so `options.body` can be safely enabled.
  *
  * @param {Object} options at least a bunyan logger (log).
  * @return {Function} to be used in server.after.
@@ -25,57 +32,64 @@ var HttpError = require('restify').HttpError;
 function auditLogger(options) {
     assert.object(options, 'options');
     assert.object(options.log, 'options.log');
+    assert.optionalObject(options.sinks, 'options.sinks');
+    assert.optionalObject(options.redact, 'options.redact');
 
-    var log = options.log.child({
-        audit: true,
-        serializers: {
-            err: bunyan.stdSerializers.err,
-            req: function auditRequestSerializer(req) {
-                if (!req) {
-                    return (false);
-                }
+    var redactor = redact.createRedactor(options.redact);
 
-                var timers = {};
-                (req.timers || []).forEach(function (time) {
-                        var t = time.time;
-                        var _t = Math.floor((1000000 * t[0]) +
-                                            (t[1] / 1000));
-                        timers[time.name] = _t;
-                });
-                return ({
-                    method: req.method,
-                    url: req.url,
-                    headers: req.headers,
-                    httpVersion: req.httpVersion,
-                    trailers: req.trailers,
-                    version: req.version,
-                    body: options.body === true ?
-                        req.body : undefined,
-                    timers: timers
-                });
-            },
-            res: function auditResponseSerializer(res) {
-                if (!res) {
-                    return (false);
-                }
+    var serializers = {
+        err: bunyan.stdSerializers.err,
+        req: function auditRequestSerializer(req, body) {
+            if (!req) {
+                return (false);
+            }
 
-                var body;
-                if (options.body === true) {
-                    if (res._body instanceof HttpError) {
-                        body = res._body.body;
-                    } else {
-                        body = res._body;
-                    }
-                }
+            var timers = {};
+            (req.timers || []).forEach(function (time) {
+                    var t = time.time;
+                    var _t = Math.floor((1000000 * t[0]) +
+                                        (t[1] / 1000));
+                    timers[time.name] = _t;
+            });
+            return ({
+                method: req.method,
+                url: redactor.url(req.url),
+                headers: redactor.headers(req.headers),
+                httpVersion: req.httpVersion,
+                trailers: req.trailers,
+                version: req.version,
+                body: (options.body === true || body === true) ?
+                    redactor.body(req.body, req.headers['content-type']) :
+                    undefined,
+                timers: timers
+            });
+        },
+        res: function auditResponseSerializer(res, body) {
+            if (!res) {
+                return (false);
+            }
 
-                return ({
-                    statusCode: res.statusCode,
-                    headers: res._headers,
-                    trailer: res._trailer || false,
-                    body: body
-                });
+            var resBody;
+            if (options.body === true || body === true) {
+                if (res._body instanceof HttpError) {
+                    resBody = res._body.body;
+                } else {
+                    resBody = res._body;
+                }
             }
+
+            return ({
+                statusCode: res.statusCode,
+                headers: redactor.headers(res._headers),
+                trailer: res._trailer || false,
+                body: redactor.body(resBody)
+            });
         }
+    };
+
+    var log = options.log.child({
+        audit: true,
+        serializers: serializers
     });
 
     function audit(req, res, route, err) {
@@ -106,6 +120,23 @@ function auditLogger(options) {
         log[res.statusCode >= 500 ? 'warn' : 'info'](
             obj, 'handled: %d', res.statusCode);
 
+        if (options.sinks && options.sinks.length > 0) {
+            // Sinks get the bodies when any of them takes these, and leave
+            // them out themselves unless configured otherwise:
+            options.sinks.write({
+                time: new Date().toISOString(),
+                remoteAddress: obj.remoteAddress,
+                remotePort: obj.remotePort,
+                req_id: obj.req_id,
+                req: serializers.req(req, options.sinks.body),
+                res: serializers.res(res, options.sinks.body),
+                err: err ? serializers.err(err) : undefined,
+                latency: latency,
+                route: obj.route,
+                secure: obj.secure
+            });
+        }
+
         return (true);
     }
 
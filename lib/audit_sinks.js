@@ -0,0 +1,602 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016, Joyent, Inc.
+ */
+
+/*
+ * Destinations for the audit records of every request, besides the process
+ * log the audit logger always writes to (see audit_logger.js).
+ *
+ * Sinks are given by the `audit_sinks` config, an array of objects with the
+ * sink `type` and its options:
+ *
+ * - `syslog`: RFC 5424 messages, sent to `host` (default 127.0.0.1) and
+ *   `port` (default 514) through `protocol` "udp" (default) or "tcp", with the
+ *   given `facility` (default "local0").
+ * - `file`: JSON lines appended to `path`, which is rotated to `path.1`,
+ *   `path.2`, ... once it reaches `max_size` bytes (default 100 MiB), keeping
+ *   at most `max_files` (default 5) rotated files.
+ * - `webhook`: JSON POSTs of `{"records": [...]}` to `url`, batching up to
+ *   `batch_size` records (default 50) or `flush_interval` milliseconds
+ *   (default 5000), and retrying failed batches up to `retries` times
+ *   (default 5) before dropping them.
+ *
+ * Every sink also takes the `redact` rules (see redact.js) applied to the
+ * records it's given, and `body` to include request and response bodies,
+ * which are left out by default. Sinks never fail requests: errors are only
+ * logged.
+ */
+
+var assert = require('assert-plus');
+var dgram = require('dgram');
+var fs = require('fs');
+var mod_url = require('url');
+var net = require('net');
+var os = require('os');
+var restify = require('restify');
+var util = require('util');
+var vasync = require('vasync');
+
+var redact = require('./redact');
+
+
+///--- Globals
+
+var APP_NAME = 'cloudapi';
+var MSG_ID = 'audit';
+
+// RFC 5424 facilities which make sense for an audit trail:
+var FACILITIES = {
+    user: 1,
+    daemon: 3,
+    auth: 4,
+    authpriv: 10,
+    local0: 16,
+    local1: 17,
+    local2: 18,
+    local3: 19,
+    local4: 20,
+    local5: 21,
+    local6: 22,
+    local7: 23
+};
+var SEVERITY_WARNING = 4;
+var SEVERITY_INFO = 6;
+
+// Records kept while a TCP syslog or webhook destination is unavailable:
+var MAX_QUEUE = 10000;
+var MAX_RETRY_DELAY = 60000;
+
+
+///--- Helpers
+
+/*
+ * The copy of the record given to a sink, with its redaction rules applied
+ * and without bodies unless asked for.
+ */
+function sinkRecord(record, opts, redactor) {
+    var r = {};
+
+    Object.keys(record).forEach(function (k) {
+        r[k] = record[k];
+    });
+
+    if (record.req) {
+        r.req = {};
+        Object.keys(record.req).forEach(function (k) {
+            r.req[k] = record.req[k];
+        });
+        r.req.url = redactor.url(record.req.url);
+        r.req.headers = redactor.headers(record.req.headers);
+        r.req.body = opts.body ? redactor.body(record.req.body,
+            record.req.headers && record.req.headers['content-type']) :
+            undefined;
+    }
+
+    if (record.res) {
+        r.res = {};
+        Object.keys(record.res).forEach(function (k) {
+            r.res[k] = record.res[k];
+        });
+        r.res.headers = redactor.headers(record.res.headers);
+        r.res.body = opts.body ? redactor.body(record.res.body) : undefined;
+    }
+
+    return r;
+}
+
+
+function retryDelay(attempt) {
+    return Math.min(1000 * Math.pow(2, attempt), MAX_RETRY_DELAY);
+}
+
+
+///--- Sinks
+
+function SyslogSink(opts) {
+    assert.optionalString(opts.host, 'opts.host');
+    assert.optionalNumber(opts.port, 'opts.port');
+    assert.optionalString(opts.facility, 'opts.facility');
+
+    var protocol = opts.protocol || 'udp';
+    if (protocol !== 'udp' && protocol !== 'tcp') {
+        throw new Error(util.format('Invalid syslog audit sink protocol ' +
+            '"%s"', protocol));
+    }
+
+    var facility = FACILITIES[opts.facility || 'local0'];
+    if (facility === undefined) {
+        throw new Error(util.format('Invalid syslog audit sink facility ' +
+            '"%s"', opts.facility));
+    }
+
+    this.log = opts.log;
+    this.host = opts.host || '127.0.0.1';
+    this.port = opts.port || 514;
+    this.protocol = protocol;
+    this.facility = facility;
+    this.hostname = os.hostname();
+    this.queue = [];
+}
+
+
+/*
+ * Format the record as an RFC 5424 message, with no structured data and the
+ * record JSON as the message.
+ */
+SyslogSink.prototype.format = function format(record) {
+    var severity = (record.res && record.res.statusCode >= 500) ?
+        SEVERITY_WARNING : SEVERITY_INFO;
+
+    return util.format('<%d>1 %s %s %s %d %s - %s',
+        this.facility * 8 + severity, record.time, this.hostname, APP_NAME,
+        process.pid, MSG_ID, JSON.stringify(record));
+};
+
+
+SyslogSink.prototype.write = function write(record) {
+    var msg = this.format(record);
+
+    if (this.protocol === 'udp') {
+        this._sendUdp(msg);
+    } else {
+        // Octet counting framing, as given by RFC 6587:
+        this._sendTcp(Buffer.byteLength(msg) + ' ' + msg);
+    }
+};
+
+
+SyslogSink.prototype._sendUdp = function _sendUdp(msg) {
+    var self = this;
+
+    if (!self.socket) {
+        self.socket = dgram.createSocket('udp4');
+        self.socket.on('error', function (err) {
+            self.log.error({err: err}, 'syslog audit sink error');
+        });
+    }
+
+    var buf = new Buffer(msg);
+    self.socket.send(buf, 0, buf.length, self.port, self.host,
+            function (err) {
+        if (err) {
+            self.log.error({err: err}, 'error sending syslog audit record');
+        }
+    });
+};
+
+
+/*
+ * Messages are queued while there is no connection, which is retried with
+ * increasing delays for as long as there's anything to send.
+ */
+SyslogSink.prototype._sendTcp = function _sendTcp(msg) {
+    if (this.connected) {
+        this.socket.write(msg);
+        return;
+    }
+
+    if (this.queue.length >= MAX_QUEUE) {
+        this.queue.shift();
+    }
+    this.queue.push(msg);
+
+    if (!this.socket && !this.timer) {
+        this._connect();
+    }
+};
+
+
+SyslogSink.prototype._connect = function _connect() {
+    var self = this;
+
+    self.timer = null;
+    if (self.closed) {
+        return;
+    }
+
+    self.socket = net.connect(self.port, self.host, function () {
+        self.connected = true;
+        self.attempts = 0;
+        self.queue.splice(0).forEach(function (m) {
+            self.socket.write(m);
+        });
+    });
+
+    self.socket.on('error', function (err) {
+        self.log.error({err: err}, 'syslog audit sink error');
+    });
+
+    self.socket.on('close', function () {
+        self.connected = false;
+        self.socket = null;
+
+        if (self.closed || self.queue.length === 0) {
+            return;
+        }
+
+        self.attempts = (self.attempts || 0) + 1;
+        self.timer = setTimeout(function () {
+            self._connect();
+        }, retryDelay(self.attempts));
+        self.timer.unref();
+    });
+};
+
+
+SyslogSink.prototype.close = function close() {
+    this.closed = true;
+    clearTimeout(this.timer);
+
+    if (this.socket) {
+        if (this.protocol === 'udp') {
+            this.socket.close();
+        } else {
+            this.socket.end();
+        }
+        this.socket = null;
+    }
+};
+
+
+function FileSink(opts) {
+    assert.string(opts.path, 'opts.path');
+    assert.optionalNumber(opts.max_size, 'opts.max_size');
+    assert.optionalNumber(opts.max_files, 'opts.max_files');
+
+    this.log = opts.log;
+    this.path = opts.path;
+    this.maxSize = opts.max_size || 100 * 1024 * 1024;
+    this.maxFiles = (opts.max_files !== undefined) ? opts.max_files : 5;
+    // Lines written while the file is being rotated or reopened:
+    this.pending = null;
+
+    // Opened synchronously at startup, so an invalid path fails right away:
+    var fd = fs.openSync(this.path, 'a');
+    this._setStream(fd, fs.fstatSync(fd).size);
+}
+
+
+/*
+ * The stream is given the file descriptor, so it writes into this file even
+ * when it's renamed by a rotation before the stream gets to open it.
+ */
+FileSink.prototype._setStream = function _setStream(fd, size) {
+    var self = this;
+
+    self.size = size;
+    self.stream = fs.createWriteStream(self.path, {
+        fd: fd,
+        flags: 'a',
+        encoding: 'utf8'
+    });
+    self.stream.on('error', function (err) {
+        self.log.error({err: err, path: self.path}, 'file audit sink error');
+    });
+};
+
+
+/*
+ * Open the file again, and write there the lines pending meanwhile. When it
+ * can't be opened, these lines are dropped, and the next write tries again.
+ */
+FileSink.prototype._reopen = function _reopen() {
+    var self = this;
+
+    function opened(err, fd, size) {
+        var lines = self.pending;
+        self.pending = null;
+
+        if (err) {
+            self.log.error({err: err, path: self.path, records: lines.length},
+                'error opening audit file, dropping records');
+            return;
+        }
+
+        self._setStream(fd, size);
+        lines.forEach(function (line) {
+            self._writeLine(line);
+        });
+
+        if (self.closed && !self.pending) {
+            self.stream.end();
+        }
+    }
+
+    fs.open(self.path, 'a', function (err, fd) {
+        if (err) {
+            return opened(err);
+        }
+
+        return fs.fstat(fd, function (err2, stats) {
+            if (err2) {
+                fs.close(fd, function () {});
+                return opened(err2);
+            }
+
+            return opened(null, fd, stats.size);
+        });
+    });
+};
+
+
+/*
+ * Shift the rotated files, replacing the oldest one. Anything still buffered
+ * into the previous stream ends up into `path.1`, given the stream file
+ * descriptor follows the renamed file.
+ */
+FileSink.prototype._rotate = function _rotate() {
+    var self = this;
+    var renames = [];
+
+    self.stream.end();
+    self.stream = null;
+
+    for (var i = self.maxFiles; i > 0; i--) {
+        renames.push(i);
+    }
+
+    vasync.forEachPipeline({
+        inputs: renames,
+        func: function rename(n, next) {
+            var from = (n === 1) ? self.path : self.path + '.' + (n - 1);
+
+            fs.rename(from, self.path + '.' + n, function (err) {
+                if (err && err.code !== 'ENOENT') {
+                    self.log.error({err: err, path: from},
+                        'error rotating audit file');
+                }
+                return next();
+            });
+        }
+    }, function () {
+        // With no rotated files to keep, the current file is just replaced:
+        if (self.maxFiles !== 0) {
+            return self._reopen();
+        }
+
+        return fs.unlink(self.path, function (err) {
+            if (err) {
+                self.log.error({err: err, path: self.path},
+                    'error rotating audit file');
+            }
+            return self._reopen();
+        });
+    });
+};
+
+
+FileSink.prototype._writeLine = function _writeLine(line) {
+    var len = Buffer.byteLength(line);
+
+    if (this.pending) {
+        this.pending.push(line);
+        return;
+    }
+
+    if (!this.stream) {
+        this.pending = [line];
+        this._reopen();
+        return;
+    }
+
+    if (this.size > 0 && this.size + len > this.maxSize) {
+        this.pending = [line];
+        this._rotate();
+        return;
+    }
+
+    this.size += len;
+    this.stream.write(line);
+};
+
+
+FileSink.prototype.write = function write(record) {
+    this._writeLine(JSON.stringify(record) + '\n');
+};
+
+
+/*
+ * The stream is ended once done with any rotation going on.
+ */
+FileSink.prototype.close = function close() {
+    this.closed = true;
+
+    if (this.stream && !this.pending) {
+        this.stream.end();
+    }
+};
+
+
+function WebhookSink(opts) {
+    assert.string(opts.url, 'opts.url');
+    assert.optionalNumber(opts.batch_size, 'opts.batch_size');
+    assert.optionalNumber(opts.flush_interval, 'opts.flush_interval');
+    assert.optionalNumber(opts.retries, 'opts.retries');
+    assert.optionalObject(opts.headers, 'opts.headers');
+
+    var self = this;
+
+    self.log = opts.log;
+    self.path = mod_url.parse(opts.url).path;
+    self.batchSize = opts.batch_size || 50;
+    self.retries = (opts.retries !== undefined) ? opts.retries : 5;
+    self.queue = [];
+    self.client = restify.createJsonClient({
+        url: opts.url,
+        headers: opts.headers,
+        log: opts.log,
+        retry: false
+    });
+
+    self.interval = setInterval(function () {
+        self.flush();
+    }, opts.flush_interval || 5000);
+    self.interval.unref();
+}
+
+
+WebhookSink.prototype.write = function write(record) {
+    if (this.queue.length >= MAX_QUEUE) {
+        this.log.warn('webhook audit sink queue full, dropping records');
+        this.queue.shift();
+    }
+    this.queue.push(record);
+
+    if (this.queue.length >= this.batchSize) {
+        this.flush();
+    }
+};
+
+
+/*
+ * Send the next batch, unless another one is on its way already, which keeps
+ * records in order.
+ */
+WebhookSink.prototype.flush = function flush() {
+    var self = this;
+
+    if (self.sending || self.queue.length === 0) {
+        return;
+    }
+
+    var batch = self.queue.splice(0, self.batchSize);
+    self.sending = true;
+
+    function send(attempt) {
+        self.client.post(self.path, {records: batch}, function (err) {
+            if (err && attempt < self.retries && !self.closed) {
+                self.log.warn({err: err, attempt: attempt},
+                    'error sending audit records, retrying');
+                self.timer = setTimeout(function () {
+                    send(attempt + 1);
+                }, retryDelay(attempt));
+                self.timer.unref();
+                return;
+            }
+
+            if (err) {
+                self.log.error({err: err, records: batch.length},
+                    'error sending audit records, dropping them');
+            }
+
+            self.sending = false;
+            if (self.queue.length >= self.batchSize) {
+                self.flush();
+            }
+        });
+    }
+
+    send(0);
+};
+
+
+WebhookSink.prototype.close = function close() {
+    clearInterval(this.interval);
+    this.flush();
+    this.closed = true;
+    clearTimeout(this.timer);
+    this.client.close();
+};
+
+
+var SINKS = {
+    syslog: SyslogSink,
+    file: FileSink,
+    webhook: WebhookSink
+};
+
+
+///--- API
+
+/**
+ * Create the audit sinks given by `opts.sinks`, which is the `audit_sinks`
+ * config. Throws on invalid sink configs.
+ *
+ * @param {Object} opts with the `log` and the `sinks` configs.
+ * @return {Object} with `write(record)`, giving the record to every sink,
+ *      `close()`, the `length` of sinks and whether any of them takes the
+ *      request and response `body`.
+ */
+function createAuditSinks(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalArrayOfObject(opts.sinks, 'opts.sinks');
+
+    var sinks = (opts.sinks || []).map(function (cfg, i) {
+        var Sink = SINKS[cfg.type];
+        if (!Sink) {
+            throw new Error(util.format('Unknown audit sink type "%s". ' +
+                'Valid ones are %s', cfg.type, Object.keys(SINKS).join(', ')));
+        }
+
+        var sinkOpts = {};
+        Object.keys(cfg).forEach(function (k) {
+            sinkOpts[k] = cfg[k];
+        });
+        sinkOpts.log = opts.log.child({sink: cfg.type + '.' + i});
+
+        return {
+            sink: new Sink(sinkOpts),
+            body: (cfg.body === true),
+            redactor: redact.createRedactor(cfg.redact)
+        };
+    });
+
+    return {
+        // Whether there's any sink, and any of them takes bodies, so the
+        // audit logger can skip serializing records for them otherwise:
+        length: sinks.length,
+        body: sinks.some(function (s) {
+            return (s.body);
+        }),
+
+        write: function write(record) {
+            sinks.forEach(function (s) {
+                try {
+                    s.sink.write(sinkRecord(record, s, s.redactor));
+                } catch (e) {
+                    s.sink.log.error({err: e}, 'error writing audit record');
+                }
+            });
+        },
+
+        close: function close() {
+            sinks.forEach(function (s) {
+                s.sink.close();
+            });
+        }
+    };
+}
+
+
+///--- Exports
+
+module.exports = {
+    createAuditSinks: createAuditSinks
+};
@@ -0,0 +1,333 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016, Joyent, Inc.
+ */
+
+/*
+ * CloudAPI own audit trail.
+ *
+ * MachineAudit used to rely only on the VMAPI jobs, which are eventually
+ * purged, and which don't exist for requests not queueing a job (e.g. failed
+ * authorization or rejected CreateMachine). Therefore, every mutating request
+ * is also recorded here, using the caller details saved into `req._auditCtx`.
+ * Besides MachineAudit, these are given by AccountAudit, which also covers
+ * everything else into the account (keys, users, images, ...).
+ *
+ * Entries are kept by a backend, given by the `audit_store` config:
+ *
+ * - `store` (default): the CloudAPI store (see store.js), with a bucket for
+ *   each account, holding an append-only log for each day. Only the logs of
+ *   the days asked for are read, and the ones older than `audit_retention`
+ *   days (default 90) are removed.
+ * - `none`: nothing is recorded, and MachineAudit only gets VMAPI jobs.
+ *
+ * Backends are objects with the following methods:
+ *
+ * - `record(entry, cb)`: save the given entry, calling back with f(err).
+ * - `list(opts, cb)`: calls back with f(err, entries) for the given
+ *   `opts.account`, newest first, optionally filtered by `opts.machine`,
+ *   `opts.since` and `opts.until` (milliseconds since the epoch) and an
+ *   `opts.filter` function, and limited to the newest `opts.limit` entries.
+ */
+
+var assert = require('assert-plus');
+var util = require('util');
+var vasync = require('vasync');
+
+var redact = require('./redact');
+
+
+///--- Globals
+
+var BUCKET_PREFIX = 'audit.';
+var DEFAULT_RETENTION = 90;
+var DAY = 24 * 60 * 60 * 1000;
+
+// Secrets, like passwords or CreateMachine `metadata.*_pw`, are never
+// recorded:
+var REDACTOR = redact.createRedactor();
+
+// Mutating routes, and the action names MachineAudit gives to their jobs:
+var ROUTE_ACTIONS = {
+    createmachine: 'provision',
+    clonemachine: 'provision',
+    deletemachine: 'destroy',
+    startmachine: 'start',
+    stopmachine: 'stop',
+    rebootmachine: 'reboot',
+    renamemachine: 'rename',
+    resizemachine: 'resize',
+    enablemachinefirewall: 'enable_firewall',
+    disablemachinefirewall: 'disable_firewall',
+    addnic: 'add_nics',
+    removenic: 'remove_nics',
+    createmachinesnapshot: 'create_snapshot',
+    startmachinefromsnapshot: 'rollback_snapshot',
+    deletemachinesnapshot: 'delete_snapshot',
+    addmachinetags: 'set_tags',
+    replacemachinetags: 'replace_tags',
+    deletemachinetag: 'remove_tags',
+    deletemachinetags: 'remove_tags',
+    addmachinemetadata: 'set_metadata',
+    deletemachinemetadata: 'remove_metadata',
+    deleteallmachinemetadata: 'remove_metadata'
+};
+
+
+///--- Helpers
+
+// Audit logs are kept by day, with keys sorting by time:
+function dayKey(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+
+///--- Backends
+
+function StoreBackend(opts) {
+    assert.object(opts.store, 'opts.store');
+    assert.optionalNumber(opts.retention, 'opts.retention');
+
+    this.store = opts.store;
+    this.log = opts.log;
+    this.retention = opts.retention || DEFAULT_RETENTION;
+    // The last day each account logs were pruned by this process:
+    this.pruned = {};
+}
+
+
+StoreBackend.prototype.record = function record(entry, cb) {
+    assert.string(entry.account, 'entry.account');
+
+    var self = this;
+    var bucket = BUCKET_PREFIX + entry.account;
+    var day = dayKey(entry.time);
+
+    self.store.append(bucket, day, entry, function (err) {
+        if (err || self.pruned[entry.account] === day) {
+            return cb(err);
+        }
+
+        self.pruned[entry.account] = day;
+        return self._prune(bucket, cb);
+    });
+};
+
+
+/*
+ * Remove the logs older than the retention period.
+ */
+StoreBackend.prototype._prune = function _prune(bucket, cb) {
+    var store = this.store;
+    var oldest = dayKey(Date.now() - this.retention * DAY);
+
+    store.listLogs(bucket, function (err, days) {
+        if (err) {
+            return cb(err);
+        }
+
+        return vasync.forEachPipeline({
+            inputs: days.filter(function (d) {
+                return (d < oldest);
+            }),
+            func: function (d, next) {
+                store.delLog(bucket, d, next);
+            }
+        }, function (err2) {
+            return cb(err2);
+        });
+    });
+};
+
+
+/*
+ * Read the logs for the requested days, from newest to oldest, until there
+ * are enough entries.
+ */
+StoreBackend.prototype.list = function list(opts, cb) {
+    assert.string(opts.account, 'opts.account');
+    assert.optionalNumber(opts.since, 'opts.since');
+    assert.optionalNumber(opts.until, 'opts.until');
+    assert.optionalNumber(opts.limit, 'opts.limit');
+    assert.optionalFunc(opts.filter, 'opts.filter');
+
+    var store = this.store;
+    var bucket = BUCKET_PREFIX + opts.account;
+    var first = dayKey(Math.max(opts.since || 0,
+        Date.now() - this.retention * DAY));
+    var last = (opts.until !== undefined) ? dayKey(opts.until) : null;
+    var entries = [];
+
+    function matches(e) {
+        var time = new Date(e.time).getTime();
+
+        return ((!opts.machine || e.machine === opts.machine) &&
+            (opts.since === undefined || time >= opts.since) &&
+            (opts.until === undefined || time <= opts.until) &&
+            (!opts.filter || opts.filter(e)));
+    }
+
+    function done() {
+        entries.sort(function (a, b) {
+            return (new Date(b.time).getTime() -
+                new Date(a.time).getTime());
+        });
+
+        return cb(null, opts.limit ? entries.slice(0, opts.limit) : entries);
+    }
+
+    store.listLogs(bucket, function (err, days) {
+        if (err) {
+            return cb(err);
+        }
+
+        days = days.filter(function (d) {
+            return (d >= first && (!last || d <= last));
+        }).reverse();
+
+        function readDay(i) {
+            if (i >= days.length ||
+                (opts.limit && entries.length >= opts.limit)) {
+                return done();
+            }
+
+            return store.readLog(bucket, days[i], function (err2, objs) {
+                if (err2) {
+                    return cb(err2);
+                }
+
+                entries = entries.concat(objs.filter(matches));
+                return readDay(i + 1);
+            });
+        }
+
+        return readDay(0);
+    });
+};
+
+
+function NoneBackend() {
+}
+
+
+NoneBackend.prototype.record = function record(entry, cb) {
+    return cb();
+};
+
+
+NoneBackend.prototype.list = function list(opts, cb) {
+    return cb(null, []);
+};
+
+
+var BACKENDS = {
+    store: StoreBackend,
+    none: NoneBackend
+};
+
+
+///--- API
+
+/**
+ * Create the audit store backend given by `opts.backend`.
+ *
+ * @param {Object} opts with `log`, the CloudAPI `store`, the name of the
+ *      `backend` (defaults to 'store') and the `retention` days.
+ * @return {Object} the backend.
+ */
+function createAuditStore(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.backend, 'opts.backend');
+
+    var Backend = BACKENDS[opts.backend || 'store'];
+    if (!Backend) {
+        throw new Error(util.format('Unknown audit_store "%s". Valid ones ' +
+            'are %s', opts.backend, Object.keys(BACKENDS).join(', ')));
+    }
+
+    return new Backend(opts);
+}
+
+
+/**
+ * Returns a function to be used in server.on('after'), which records every
+ * request with an audit context into the given audit store. Recording errors
+ * are logged, but never affect the request.
+ *
+ * @param {Object} opts with the `auditStore` and a `log`.
+ * @return {Function}
+ */
+function auditRecorder(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.auditStore, 'opts.auditStore');
+    assert.object(opts.log, 'opts.log');
+
+    return function recordRequest(req, res, route, err) {
+        if (!req._auditCtx || !req.account) {
+            return;
+        }
+
+        var routename = req.routename || (route && route.name);
+        var machine = req.params.machine;
+
+        // CreateMachine only knows the machine once it has been created, and
+        // CloneMachine is recorded for the copy, not for the machine copied:
+        if ((!machine || routename === 'clonemachine') &&
+            res.statusCode < 400) {
+            var location = res.getHeader('Location');
+            var m = location && /\/machines\/([^\/]+)$/.exec(location);
+            machine = m ? m[1] : machine;
+        }
+
+        // Bulk actions are recorded with the action run for the machines,
+        // whose names are the same MachineAudit gives to their jobs:
+        var action = (routename === 'bulkmachineaction') ?
+            req.params.action : (ROUTE_ACTIONS[routename] || routename);
+
+        var entry = {
+            account: req.account.uuid,
+            machine: machine,
+            action: action,
+            route: routename,
+            path: req.path(),
+            success: (res.statusCode < 400) ? 'yes' : 'no',
+            time: new Date(req._time || Date.now()).toISOString(),
+            caller: req._auditCtx,
+            // Either the account, or the sub-user, login:
+            login: req.caller && req.caller.login,
+            parameters: REDACTOR.value(req.params),
+            req_id: req.getId(),
+            status: res.statusCode
+        };
+
+        var job = res.getHeader('x-joyent-jobid');
+        if (job) {
+            entry.job = job;
+        }
+
+        if (err) {
+            entry.error = err.restCode || err.name;
+        }
+
+        opts.auditStore.record(entry, function (err2) {
+            if (err2) {
+                opts.log.error({err: err2, entry: entry},
+                    'error recording audit entry');
+            }
+        });
+    };
+}
+
+
+///--- Exports
+
+module.exports = {
+    createAuditStore: createAuditStore,
+    auditRecorder: auditRecorder
+};
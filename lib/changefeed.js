@@ -0,0 +1,575 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016, Joyent, Inc.
+ */
+
+/*
+ * Stream of changes to the account machines, as Server-Sent Events
+ * (https://www.w3.org/TR/eventsource/).
+ *
+ * Events are sourced from the VMAPI jobs for the account machines. Each
+ * finished job becomes an event, identified by the job finish time plus the
+ * job uuid, which gives events a total order. Clients can resume the stream
+ * after any given event using either the standard `Last-Event-ID` header, or
+ * the `since` parameter.
+ *
+ * A single feed polls VMAPI every `changefeed_poll_interval` milliseconds for
+ * all the connected clients, whichever their account, and only while there's
+ * any. Each poll pages through all the jobs created since the previous one,
+ * plus the ones it saw running, so no job is left behind however busy VMAPI
+ * gets. Clients resuming the stream first get the events they missed, paging
+ * through their account jobs back to the ones which could still be running at
+ * the time of the event they resume from.
+ */
+
+var assert = require('assert-plus');
+var libuuid = require('libuuid');
+var restify = require('restify');
+var util = require('util');
+var vasync = require('vasync');
+
+var audit = require('./audit');
+var machines = require('./machines');
+
+var InvalidArgumentError = restify.InvalidArgumentError;
+
+
+///--- Globals
+
+var DEFAULT_POLL_INTERVAL = 5000;
+// Page size when listing VMAPI jobs:
+var JOBS_LIMIT = 100;
+var EVENT_ID_RE = /^(\d+)\.([a-f0-9\-]{36})$/;
+// Events are ordered by job finish time, but jobs are listed by creation time,
+// so catching up goes back as long as jobs can run. VMAPI workflows time out
+// well before that:
+var MAX_JOB_DURATION = 2 * 60 * 60 * 1000;
+
+// Event types for the machine audit actions (see audit.translateAction) we
+// stream. Jobs for any other action are not streamed:
+var EVENT_TYPES = {
+    provision: 'create',
+    start: 'state',
+    stop: 'state',
+    reboot: 'state',
+    rename: 'rename',
+    resize: 'resize',
+    set_tags: 'tags',
+    remove_tags: 'tags',
+    replace_tags: 'tags',
+    set_metadata: 'metadata',
+    remove_metadata: 'metadata',
+    replace_metadata: 'metadata',
+    destroy: 'delete'
+};
+
+
+///--- Helpers
+
+function parseEventId(id) {
+    var m = EVENT_ID_RE.exec(id);
+
+    if (!m) {
+        throw new InvalidArgumentError('%s is not a valid event id', id);
+    }
+
+    return {
+        time: Number(m[1]),
+        uuid: m[2]
+    };
+}
+
+
+/*
+ * Sort events by time and job uuid, which is the order event ids follow.
+ */
+function compareEvents(a, b) {
+    if (a.time !== b.time) {
+        return (a.time - b.time);
+    }
+
+    return (a.uuid < b.uuid ? -1 : (a.uuid > b.uuid ? 1 : 0));
+}
+
+
+/*
+ * Translate a finished VMAPI job into a changefeed event, or return null when
+ * the job is not a change we stream.
+ */
+function jobToEvent(job) {
+    var results = job.chain_results || [];
+    var last = results[results.length - 1];
+
+    if (!last || !last.finished_at || !job.params || !job.params.vm_uuid) {
+        return null;
+    }
+
+    var action;
+    try {
+        action = audit.translateAction(job);
+    } catch (e) {
+        return null;
+    }
+
+    if (!EVENT_TYPES[action]) {
+        return null;
+    }
+
+    var time = new Date(last.finished_at).getTime();
+
+    return {
+        id: time + '.' + job.uuid,
+        time: time,
+        uuid: job.uuid,
+        owner: job.params.owner_uuid,
+        type: EVENT_TYPES[action],
+        data: {
+            machine: job.params.vm_uuid,
+            action: action,
+            success: (job.execution === 'succeeded'),
+            time: last.finished_at,
+            job: job.uuid
+        }
+    };
+}
+
+
+function isFinished(job) {
+    return (job.execution === 'succeeded' || job.execution === 'failed' ||
+        job.execution === 'canceled');
+}
+
+
+/*
+ * Translate the given jobs into events following the given cursor, sorted.
+ */
+function jobsToEvents(jobs, cursor) {
+    return jobs.filter(isFinished).map(jobToEvent).filter(function (event) {
+        return (event && compareEvents(event, cursor) > 0);
+    }).sort(compareEvents);
+}
+
+
+/*
+ * List the VMAPI jobs matching the given params created since the given time,
+ * paging through them, newest first, until reaching an older job.
+ */
+function listJobsSince(vmapi, params, since, opts, cb) {
+    var jobs = [];
+    var seen = {};
+
+    function listPage(offset) {
+        var query = {
+            limit: JOBS_LIMIT,
+            offset: offset
+        };
+
+        Object.keys(params).forEach(function (k) {
+            query[k] = params[k];
+        });
+
+        vmapi.listJobs(query, opts, function (err, page) {
+            if (err) {
+                return cb(err);
+            }
+
+            // Jobs created while paging shift the pages, so the same job may
+            // be listed twice:
+            page.forEach(function (job) {
+                if (!seen[job.uuid]) {
+                    seen[job.uuid] = true;
+                    jobs.push(job);
+                }
+            });
+
+            var last = page[page.length - 1];
+            if (page.length < JOBS_LIMIT ||
+                new Date(last.created_at).getTime() < since) {
+                return cb(null, jobs);
+            }
+
+            return listPage(offset + page.length);
+        });
+    }
+
+    listPage(0);
+}
+
+
+function writeEvent(res, event) {
+    res.write(util.format('id: %s\nevent: %s\ndata: %s\n\n', event.id,
+        event.type, JSON.stringify(event.data)));
+}
+
+
+/*
+ * Queue the given events for the subscriber, and send them unless it's
+ * already sending others. Events not following the subscriber cursor, like
+ * the ones it got while catching up, are skipped.
+ */
+function publish(sub, events) {
+    sub.queue = sub.queue.concat(events);
+
+    if (sub.sending || sub.closed) {
+        return;
+    }
+
+    var toSend = sub.queue.filter(function (event) {
+        return (compareEvents(event, sub.cursor) > 0);
+    }).sort(compareEvents);
+    sub.queue = [];
+
+    if (!toSend.length) {
+        return;
+    }
+
+    sub.sending = true;
+    vasync.forEachPipeline({
+        inputs: toSend,
+        func: function sendEvent(event, cb) {
+            sub.authorized(event, function (authErr, ok) {
+                if (authErr) {
+                    return cb(authErr);
+                }
+
+                if (ok && !sub.closed) {
+                    writeEvent(sub.res, event);
+                }
+                sub.cursor = event;
+                return cb();
+            });
+        }
+    }, function (err) {
+        sub.sending = false;
+
+        if (err) {
+            sub.log.error(err, 'changefeed: error sending events');
+        }
+
+        if (sub.queue.length) {
+            publish(sub, []);
+        }
+    });
+}
+
+
+/**
+ * Create the feed polling VMAPI for the jobs of all the subscribers.
+ *
+ * @param {Object} opts with `log`, `vmapi` and `interval` members.
+ * @return {Object} with `subscribe` and `unsubscribe` methods.
+ */
+function createFeed(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.object(opts.vmapi, 'opts.vmapi');
+    assert.number(opts.interval, 'opts.interval');
+
+    var log = opts.log;
+    var vmapi = opts.vmapi;
+    var subscribers = [];
+    // Unfinished jobs seen by the previous polls, by uuid:
+    var running = {};
+    var cursor;
+    var since;
+    var active = false;
+
+    function reqOpts() {
+        return {
+            log: log,
+            headers: {
+                'x-request-id': libuuid.create()
+            }
+        };
+    }
+
+    function schedule() {
+        var timer = setTimeout(poll, opts.interval);
+        // Do not hold the process open just for the feed:
+        timer.unref();
+    }
+
+    /*
+     * The running jobs which are not listed anymore, given they were created
+     * before the previous poll, are loaded one by one.
+     */
+    function loadRunning(listed, cb) {
+        var uuids = Object.keys(running).filter(function (uuid) {
+            return (!listed[uuid]);
+        });
+        var jobs = [];
+
+        vasync.forEachParallel({
+            inputs: uuids,
+            func: function (uuid, next) {
+                vmapi.getJob(uuid, reqOpts(), function (err, job) {
+                    if (err) {
+                        if (err.statusCode === 404) {
+                            delete running[uuid];
+                            return next();
+                        }
+                        return next(err);
+                    }
+
+                    jobs.push(job);
+                    return next();
+                });
+            }
+        }, function (err) {
+            return cb(err, jobs);
+        });
+    }
+
+    function poll() {
+        // Stop polling once the last subscriber is gone:
+        if (!subscribers.length) {
+            active = false;
+            return;
+        }
+
+        var started = Date.now();
+
+        listJobsSince(vmapi, {}, since, reqOpts(), function (err, jobs) {
+            if (err) {
+                log.error(err, 'changefeed: error listing jobs');
+                return schedule();
+            }
+
+            var listed = {};
+            jobs.forEach(function (job) {
+                listed[job.uuid] = true;
+            });
+
+            return loadRunning(listed, function (err2, others) {
+                if (err2) {
+                    log.error(err2, 'changefeed: error loading jobs');
+                    return schedule();
+                }
+
+                jobs = jobs.concat(others);
+                jobs.forEach(function (job) {
+                    if (isFinished(job)) {
+                        delete running[job.uuid];
+                    } else {
+                        running[job.uuid] = true;
+                    }
+                });
+
+                var events = jobsToEvents(jobs, cursor);
+                if (events.length) {
+                    cursor = events[events.length - 1];
+                }
+                since = started;
+
+                subscribers.forEach(function (sub) {
+                    var own = events.filter(function (event) {
+                        return (event.owner === sub.owner);
+                    });
+
+                    // Keep intermediaries from closing an idle connection:
+                    if (!own.length) {
+                        sub.res.write(':\n\n');
+                    }
+
+                    publish(sub, own);
+                });
+
+                return schedule();
+            });
+        });
+    }
+
+    /*
+     * Start polling, after looking for the jobs already running, which
+     * wouldn't be listed otherwise.
+     */
+    function start() {
+        cursor = {
+            time: Date.now(),
+            uuid: ''
+        };
+        since = cursor.time;
+        running = {};
+
+        vasync.forEachParallel({
+            inputs: ['queued', 'running'],
+            func: function (execution, next) {
+                listJobsSince(vmapi, {
+                    execution: execution
+                }, 0, reqOpts(), function (err, jobs) {
+                    if (err) {
+                        return next(err);
+                    }
+
+                    jobs.forEach(function (job) {
+                        running[job.uuid] = true;
+                    });
+                    return next();
+                });
+            }
+        }, function (err) {
+            if (err) {
+                log.error(err, 'changefeed: error listing running jobs');
+            }
+
+            return schedule();
+        });
+    }
+
+    return {
+        subscribe: function subscribe(sub) {
+            subscribers.push(sub);
+            if (!active) {
+                active = true;
+                start();
+            }
+        },
+        unsubscribe: function unsubscribe(sub) {
+            subscribers = subscribers.filter(function (s) {
+                return (s !== sub);
+            });
+        }
+    };
+}
+
+
+///--- Handlers
+
+function changefeed(config) {
+    var interval = config.changefeed_poll_interval || DEFAULT_POLL_INTERVAL;
+    var feed;
+
+    return function getChangefeed(req, res, next) {
+        assert.ok(req.sdc);
+
+        var log = req.log;
+        var customer = req.account.uuid;
+        var lastId = req.headers['last-event-id'] || req.params.since;
+        var cursor;
+
+        try {
+            cursor = lastId ? parseEventId(lastId) : {
+                time: Date.now(),
+                uuid: ''
+            };
+        } catch (e) {
+            return next(e);
+        }
+
+        if (!feed) {
+            feed = createFeed({
+                log: config.log.child({component: 'changefeed'}),
+                vmapi: req.sdc.vmapi,
+                interval: interval
+            });
+        }
+
+        var sub = {
+            owner: customer,
+            res: res,
+            log: log,
+            cursor: cursor,
+            queue: [],
+            // Nothing is sent until catching up with the missed events:
+            sending: true,
+            closed: false,
+            authorized: function authorized(event, cb) {
+                if (!req.accountMgmt || !req.subuser) {
+                    return cb(null, true);
+                }
+
+                return req.sdc.vmapi.getVm({
+                    uuid: event.data.machine,
+                    owner_uuid: customer,
+                    fields: '*'
+                }, {
+                    log: log,
+                    headers: {
+                        'x-request-id': req.getId()
+                    }
+                }, function (err, vm) {
+                    if (err) {
+                        return cb(err.statusCode === 404 ? null : err, false);
+                    }
+
+                    return machines.authorizeMachine(req, res, vm,
+                            'getmachine', function (authErr) {
+                        return cb(null, !authErr);
+                    });
+                });
+            }
+        };
+
+        function caughtUp(events) {
+            sub.sending = false;
+            publish(sub, events);
+        }
+
+        req.once('close', function () {
+            sub.closed = true;
+            feed.unsubscribe(sub);
+            log.debug('changefeed (%s): client closed', req.account.login);
+            next();
+        });
+
+        // This is a long lived response:
+        if (req.connection && req.connection.setTimeout) {
+            req.connection.setTimeout(0);
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write(util.format('retry: %d\n\n', interval));
+
+        // Subscribe before catching up, so the events found meanwhile are
+        // queued rather than missed:
+        feed.subscribe(sub);
+
+        if (!lastId) {
+            return caughtUp([]);
+        }
+
+        return listJobsSince(req.sdc.vmapi, {
+            owner_uuid: customer
+        }, cursor.time - MAX_JOB_DURATION, {
+            log: log,
+            headers: {
+                'x-request-id': req.getId()
+            }
+        }, function (err, jobs) {
+            if (err) {
+                log.error(err, 'changefeed: error listing missed jobs');
+                return caughtUp([]);
+            }
+
+            return caughtUp(jobsToEvents(jobs, cursor));
+        });
+    };
+}
+
+
+function mount(server, before, config) {
+    assert.object(server, 'server');
+    assert.ok(before);
+    assert.object(config, 'config');
+
+    server.get({
+        path: '/:account/changefeed',
+        name: 'GetChangefeed'
+    }, before, changefeed(config));
+}
+
+
+///--- Exports
+
+module.exports = {
+    mount: mount
+};
@@ -0,0 +1,179 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016, Joyent, Inc.
+ */
+
+/*
+ * Parsing and matching of cron-like schedules, as given to the machine
+ * snapshot policies.
+ *
+ * A schedule has the five standard crontab(5) fields: minute, hour, day of
+ * month, month and day of week, always evaluated in UTC. Each field accepts
+ * `*`, single values, ranges (`1-5`), steps (`*\/15`, `0-30/10`) and comma
+ * separated lists of any of these. As in crontab(5), when both day of month
+ * and day of week are restricted, a time matches when any of them does.
+ */
+
+var restify = require('restify');
+
+var InvalidArgumentError = restify.InvalidArgumentError;
+
+
+///--- Globals
+
+var FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    // Both 0 and 7 are Sunday:
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+
+///--- Helpers
+
+function parseNumber(str, field) {
+    if (!/^\d+$/.test(str)) {
+        throw new InvalidArgumentError('schedule %s "%s" is not a number',
+            field.name, str);
+    }
+
+    var n = Number(str);
+    if (n < field.min || n > field.max) {
+        throw new InvalidArgumentError('schedule %s must be between %d and %d',
+            field.name, field.min, field.max);
+    }
+
+    return n;
+}
+
+
+/**
+ * Parse a single schedule field into the list of values it matches.
+ */
+function parseField(str, field) {
+    var values = [];
+
+    str.split(',').forEach(function (part) {
+        var step = 1;
+        var range = part;
+        var from;
+        var to;
+
+        var slash = part.indexOf('/');
+        if (slash !== -1) {
+            range = part.substr(0, slash);
+            step = parseNumber(part.substr(slash + 1), {
+                name: field.name + ' step',
+                min: 1,
+                max: field.max
+            });
+        }
+
+        if (range === '*') {
+            from = field.min;
+            to = field.max;
+        } else if (range.indexOf('-') !== -1) {
+            from = parseNumber(range.split('-')[0], field);
+            to = parseNumber(range.split('-').slice(1).join('-'), field);
+            if (from > to) {
+                throw new InvalidArgumentError(
+                    'schedule %s range "%s" is reversed', field.name, range);
+            }
+        } else {
+            from = parseNumber(range, field);
+            to = (slash !== -1) ? field.max : from;
+        }
+
+        for (var i = from; i <= to; i += step) {
+            if (values.indexOf(i) === -1) {
+                values.push(i);
+            }
+        }
+    });
+
+    return values;
+}
+
+
+///--- API
+
+/**
+ * Parse the given schedule.
+ *
+ * @param {String} schedule in the crontab(5) five fields format.
+ * @return {Object} the parsed schedule, to be given to `matches`.
+ * @throws {InvalidArgumentError} if the schedule is not valid.
+ */
+function parse(schedule) {
+    if (typeof (schedule) !== 'string') {
+        throw new InvalidArgumentError('schedule must be a string');
+    }
+
+    var parts = schedule.trim().split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new InvalidArgumentError(
+            'schedule must have %d fields (minute, hour, day of month, ' +
+            'month and day of week)', FIELDS.length);
+    }
+
+    var parsed = {};
+    FIELDS.forEach(function (field, i) {
+        parsed[i] = parseField(parts[i], field);
+    });
+
+    // Sunday can be given either as 0 or 7:
+    if (parsed[4].indexOf(7) !== -1 && parsed[4].indexOf(0) === -1) {
+        parsed[4].push(0);
+    }
+
+    return {
+        minutes: parsed[0],
+        hours: parsed[1],
+        days: parsed[2],
+        months: parsed[3],
+        weekdays: parsed[4],
+        anyDay: (parts[2] === '*'),
+        anyWeekday: (parts[4] === '*')
+    };
+}
+
+
+/**
+ * Check if the given time (UTC) matches the parsed schedule, with minute
+ * granularity.
+ *
+ * @param {Object} cron as returned by `parse`.
+ * @param {Date} date
+ * @return {Boolean}
+ */
+function matches(cron, date) {
+    if (cron.minutes.indexOf(date.getUTCMinutes()) === -1 ||
+        cron.hours.indexOf(date.getUTCHours()) === -1 ||
+        cron.months.indexOf(date.getUTCMonth() + 1) === -1) {
+        return false;
+    }
+
+    var day = (cron.days.indexOf(date.getUTCDate()) !== -1);
+    var weekday = (cron.weekdays.indexOf(date.getUTCDay()) !== -1);
+
+    if (cron.anyDay || cron.anyWeekday) {
+        return (day && weekday);
+    }
+
+    return (day || weekday);
+}
+
+
+///--- Exports
+
+module.exports = {
+    parse: parse,
+    matches: matches
+};
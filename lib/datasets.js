@@ -26,15 +26,23 @@ var p = console.log;
 var assert = require('assert-plus');
 var util = require('util');
 var semver = require('semver');
+var vasync = require('vasync');
 var restify = require('restify'),
     MissingParameterError = restify.MissingParameterError,
     InvalidArgumentError = restify.InvalidArgumentError,
+    NotAuthorizedError = restify.NotAuthorizedError,
     ResourceNotFoundError = restify.ResourceNotFoundError;
 
+var filters = require('./filters');
+var imageShares = require('./image_shares');
+var jobs = require('./jobs');
 var resources = require('./resources');
 // --- Globals
 
 var UUID_RE = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/;
+var LIFECYCLE_FIELDS = ['deprecated_at', 'expires_at'];
+// Image tags reserved to CloudAPI itself, hidden from the image tags:
+var INTERNAL_TAG_PREFIX = 'cloudapi.';
 
 
 // --- Helpers
@@ -139,6 +147,12 @@ function translate(req, dataset) {
         obj.description = dataset.description;
     }
 
+    LIFECYCLE_FIELDS.forEach(function (f) {
+        if (dataset[f]) {
+            obj[f] = dataset[f];
+        }
+    });
+
     if (dataset.requirements) {
         obj.requirements.password = dataset.requirements.password;
         if (dataset.requirements.max_ram) {
@@ -151,8 +165,12 @@ function translate(req, dataset) {
         }
     }
 
+    var tags = publicTags(dataset.tags);
+    if (tags) {
+        obj.tags = tags;
+    }
+
     var fields = {
-        tags: true,
         homepage: true,
         published_at: true
     };
@@ -201,18 +219,90 @@ function translate(req, dataset) {
 }
 
 
+/*
+ * The image tags but the ones reserved to CloudAPI, or undefined when there
+ * are none of these.
+ */
+function publicTags(tags) {
+    if (!tags) {
+        return undefined;
+    }
+
+    var pub = {};
+    Object.keys(tags).forEach(function (k) {
+        if (k.indexOf(INTERNAL_TAG_PREFIX) !== 0) {
+            pub[k] = tags[k];
+        }
+    });
+
+    return (Object.keys(pub).length ? pub : undefined);
+}
+
+
+/*
+ * Image deprecation and expiry dates are not part of the IMGAPI manifests, but
+ * kept into the image tags, e.g. `cloudapi.deprecated_at`. Add them to the
+ * given images as attributes.
+ */
+function loadLifecycle(images) {
+    images.forEach(function (img) {
+        LIFECYCLE_FIELDS.forEach(function (f) {
+            var value = img.tags && img.tags[INTERNAL_TAG_PREFIX + f];
+            if (value) {
+                img[f] = value;
+            }
+        });
+    });
+}
+
+
+/*
+ * Get the image deprecation and expiry dates given to UpdateImage, where an
+ * empty value removes the date, or null when none was given.
+ */
+function getLifecycleParams(params) {
+    var lifecycle = {};
+
+    LIFECYCLE_FIELDS.forEach(function (f) {
+        if (params[f] === '' || params[f] === null) {
+            lifecycle[f] = null;
+        } else if (params[f] !== undefined) {
+            lifecycle[f] = new Date(filters.getTimestamp(params, f))
+                .toISOString();
+        }
+    });
+
+    return (Object.keys(lifecycle).length ? lifecycle : null);
+}
+
+
+function isPast(date) {
+    return (date && new Date(date).getTime() <= Date.now());
+}
+
+
 function loadImage(req, cb) {
     var pathname = req.getUrl().pathname;
     var accountUuid = req.account.uuid;
     var datasetUuid = req.params.dataset || req.params.image;
     var opts = { headers: { 'x-request-id': req.getId() } };
 
+    function loaded(err, img) {
+        if (err) {
+            return cb(err);
+        }
+
+        loadLifecycle([img]);
+        return cb(null, img);
+    }
+
     if (/\/machines/.test(pathname) && req.method === 'GET') {
         // We don't pass 'account' here, since we might be loading a
         // now-disabled image which was previously used for a machine:
-        return req.sdc.imgapi.getImage(datasetUuid, opts, cb);
+        return req.sdc.imgapi.getImage(datasetUuid, opts, loaded);
     } else {
-        return req.sdc.imgapi.getImage(datasetUuid, accountUuid, opts, cb);
+        return req.sdc.imgapi.getImage(datasetUuid, accountUuid, opts,
+            loaded);
     }
 }
 
@@ -392,6 +482,7 @@ function loadDatasets(req, res, next) {
             }
 
             req.datasets = req.datasets.concat(imgs);
+            loadLifecycle(req.datasets);
 
             return curImg(req, next);
         });
@@ -402,11 +493,24 @@ function loadDatasets(req, res, next) {
 function list(req, res, next) {
     var log = req.log;
     var datasets = [];
+    var includeDeprecated = req.params.include_deprecated;
+
+    if (includeDeprecated !== undefined &&
+        includeDeprecated !== 'true' && includeDeprecated !== true &&
+        includeDeprecated !== 'false' && includeDeprecated !== false) {
+        return next(new InvalidArgumentError(
+            '%s is not a valid boolean', includeDeprecated));
+    }
+    includeDeprecated = (String(includeDeprecated) === 'true');
+
     if (req.accountMgmt) {
         resources.getRoleTags(req, res);
     }
     req.datasets.forEach(function (d) {
-        return datasets.push(translate(req, d));
+        if (!includeDeprecated && isPast(d.deprecated_at)) {
+            return;
+        }
+        datasets.push(translate(req, d));
     });
 
     log.debug('ListDatasets(%s) => %j', req.account.login, datasets);
@@ -436,6 +540,30 @@ function get(req, res, next) {
 }
 
 
+/*
+ * Queue the creation of a new image from the given machine, also used to
+ * clone machines from a snapshot of their current state.
+ */
+function createImageFromMachine(req, data, vmUuid, cb) {
+    var createOpts = {
+        vm_uuid: vmUuid,
+        incremental: true,
+        headers: {
+            'x-request-id': req.getId()
+        }
+    };
+
+    return req.sdc.imgapi.createImageFromVm(data, createOpts, req.account.uuid,
+            function (err, job) {
+        if (err) {
+            return cb(errFromImgapiErr(err));
+        }
+
+        return cb(null, job);
+    });
+}
+
+
 function create(req, res, next) {
     var log = req.log;
     if (!req.params.machine) {
@@ -450,6 +578,13 @@ function create(req, res, next) {
         return next(new MissingParameterError(
                     'Image version is a required argument'));
     }
+    // IMGAPI always creates images from the current state of the machine.
+    // Refuse rather than ignore a snapshot, which would give an image of
+    // something else than what was asked for:
+    if (req.params.snapshot !== undefined) {
+        return next(new InvalidArgumentError(
+                    'Creating images from machine snapshots is not supported'));
+    }
 
     var data = {
         name: req.params.name,
@@ -470,19 +605,10 @@ function create(req, res, next) {
         }
     });
 
-    var vm_uuid = req.params.machine;
-
-    var createOpts = {
-        vm_uuid: vm_uuid,
-        incremental: true,
-        headers: {
-            'x-request-id': req.getId()
-        }
-    };
-    return req.sdc.imgapi.createImageFromVm(data, createOpts, req.account.uuid,
-            function (err, job, result) {
+    return createImageFromMachine(req, data, req.params.machine,
+            function (err, job) {
         if (err) {
-            return next(errFromImgapiErr(err));
+            return next(err);
         }
 
         data.uuid = job.image_uuid;
@@ -500,13 +626,126 @@ function create(req, res, next) {
                 roles: []
             };
         }
-        res.setHeader('x-joyent-jobid', job.job_uuid);
+        jobs.setJobHeader(res, job);
         res.header('Location', locat);
         res.send(201, translate(req, data));
         return next();
     });
 }
 
+/*
+ * Import an image from another datacenter (or any other IMGAPI source)
+ * configured into `image_import_sources`. Given IMGAPI imports keep the image
+ * owner, only images owned by the account can be imported, or public ones by
+ * operators.
+ */
+function importImage(req, res, next) {
+    var log = req.log;
+    var imageUUID = req.params.id;
+    var source = req.params.datacenter;
+    var sources = req.config.image_import_sources || {};
+    var opts = {
+        headers: {
+            'x-request-id': req.getId()
+        }
+    };
+    var image;
+
+    if (req.params.action !== 'import') {
+        return next();
+    }
+    if (!imageUUID) {
+        return next(new MissingParameterError(
+                    'Image id is a required argument'));
+    }
+    if (!UUID_RE.test(imageUUID)) {
+        return next(new InvalidArgumentError(
+                    '%s is not a valid image id', imageUUID));
+    }
+    if (!source) {
+        return next(new MissingParameterError(
+                    'datacenter is a required argument'));
+    }
+    if (!sources[source] || !req.sdc.imgapiSources[source]) {
+        return next(new InvalidArgumentError(
+                    'Images cannot be imported from %s', source));
+    }
+
+    return vasync.pipeline({
+        funcs: [
+            function getSourceImage(_, cb) {
+                req.sdc.imgapiSources[source].getImage(imageUUID, opts,
+                        function (err, img) {
+                    if (err && err.statusCode !== 404) {
+                        return cb(errFromImgapiErr(err));
+                    }
+
+                    // Do not tell apart images of other accounts:
+                    if (err || img.state === 'destroyed' ||
+                        (!img.public && img.owner !== req.account.uuid)) {
+                        return cb(new ResourceNotFoundError(
+                            '%s not found in %s', imageUUID, source));
+                    }
+
+                    // Imported images keep their owner, so only operators
+                    // can add public images of other accounts to this DC:
+                    if (img.owner !== req.account.uuid &&
+                        !req.account.isAdmin()) {
+                        return cb(new NotAuthorizedError(
+                            'Only operators can import images of other ' +
+                            'accounts'));
+                    }
+
+                    if (img.state !== 'active') {
+                        return cb(new InvalidArgumentError(
+                            'Image %s is not active in %s', imageUUID,
+                            source));
+                    }
+
+                    image = img;
+                    return cb();
+                });
+            },
+            function checkLocalImage(_, cb) {
+                req.sdc.imgapi.getImage(imageUUID, opts, function (err) {
+                    if (!err) {
+                        return cb(new InvalidArgumentError(
+                            'Image %s already exists', imageUUID));
+                    }
+
+                    return cb(err.statusCode === 404 ? null :
+                        errFromImgapiErr(err));
+                });
+            },
+            function importSourceImage(_, cb) {
+                req.sdc.imgapi.adminImportRemoteImage(imageUUID,
+                        sources[source], opts, function (err, job) {
+                    if (err) {
+                        return cb(errFromImgapiErr(err));
+                    }
+
+                    return cb(null, job);
+                });
+            }
+        ]
+    }, function (err, results) {
+        if (err) {
+            return next(err);
+        }
+
+        var job = results.operations[2].result;
+        var data = translate(req, image);
+        data.state = 'creating';
+        log.debug('ImportImage(%s) => %j', req.account.login, data);
+        jobs.setJobHeader(res, job);
+        res.header('Location', util.format('/%s/images/%s',
+            req.account.login, imageUUID));
+        res.send(201, data);
+        return next(false);
+    });
+}
+
+
 function update(req, res, next) {
     var log = req.log;
     var action = req.params.action;
@@ -539,14 +778,53 @@ function update(req, res, next) {
         }
     });
 
+    var lifecycle;
+    try {
+        lifecycle = getLifecycleParams(req.params);
+    } catch (e) {
+        return next(e);
+    }
+
+    // IMGAPI replaces the image tags altogether, so the ones reserved to
+    // CloudAPI, like the deprecation and expiry dates, must be given back
+    // along with the tags given here, and the other way around:
+    if (data.tags !== undefined || lifecycle) {
+        var current = (req.dataset && req.dataset.tags) || {};
+        var tags = data.tags || publicTags(current) || {};
+
+        if (typeof (tags) !== 'object' || Array.isArray(tags)) {
+            return next(new InvalidArgumentError('tags must be an object'));
+        }
+
+        data.tags = {};
+        Object.keys(tags).forEach(function (k) {
+            if (k.indexOf(INTERNAL_TAG_PREFIX) !== 0) {
+                data.tags[k] = tags[k];
+            }
+        });
+        Object.keys(current).forEach(function (k) {
+            if (k.indexOf(INTERNAL_TAG_PREFIX) === 0) {
+                data.tags[k] = current[k];
+            }
+        });
+        Object.keys(lifecycle || {}).forEach(function (f) {
+            if (lifecycle[f]) {
+                data.tags[INTERNAL_TAG_PREFIX + f] = lifecycle[f];
+            } else {
+                delete data.tags[INTERNAL_TAG_PREFIX + f];
+            }
+        });
+    }
+
     return req.sdc.imgapi.updateImage(imageUUID, data, account, updateOpts,
-            function (err, obj, result) {
+            function (err, image) {
         if (err) {
             return next(err);
         }
 
-        log.debug('UpdateImage(%s) => %j %s', req.account.login, obj);
-        res.send(translate(req, obj));
+        loadLifecycle([image]);
+        log.debug('UpdateImage(%s) => %j %s', req.account.login, image);
+        res.send(translate(req, image));
         return next(false);
     });
 }
@@ -627,6 +905,8 @@ function mount(server, before, config) {
         version: ['7.0.0', '7.1.0', '7.2.0', '7.3.0', '8.0.0']
     }, before, list);
 
+    imageShares.mount(server, before);
+
     server.get({
         path: '/:account/images/:dataset',
         name: 'GetImage',
@@ -643,13 +923,13 @@ function mount(server, before, config) {
         path: '/:account/images',
         name: 'CreateImageFromMachine',
         version: ['7.0.0', '7.1.0', '7.2.0', '7.3.0', '8.0.0']
-    }, before, create, resources.updateResource);
+    }, before, importImage, create, resources.updateResource);
 
     server.post({
         path: '/:account/images/:dataset',
         name: 'UpdateImage',
         version: ['7.0.0', '7.1.0', '7.2.0', '7.3.0', '8.0.0']
-    }, before, update, exportImage,
+    }, before, update, exportImage, imageShares.share, imageShares.unshare,
         function invalidUpdateAction(req, res, next) {
             if (req.query.action) {
                 return next(new InvalidArgumentError(
@@ -676,5 +956,7 @@ function mount(server, before, config) {
 module.exports = {
     loadDatasets: loadDatasets,
     mount: mount,
-    loadImage: loadImage
+    loadImage: loadImage,
+    createImageFromMachine: createImageFromMachine,
+    translate: translate
 };
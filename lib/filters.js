@@ -0,0 +1,138 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016, Joyent, Inc.
+ */
+
+/*
+ * Utility functions to parse the search filters accepted by list end-points
+ * into something we can pass along to the backend APIs.
+ *
+ * Numeric ranges are given using comparison operators into the query string,
+ * e.g. `GET /:login/packages?memory>=1024&memory<=4096`. Given the query
+ * string is split on the first '=', such input arrives to us as the params
+ * `memory>` and `memory<`, which is what we look for here.
+ */
+
+var restify = require('restify');
+
+var InvalidArgumentError = restify.InvalidArgumentError;
+
+
+///--- API
+
+/**
+ * Get the numeric range given for the `name` parameter, if any.
+ *
+ * @param {Object} params the request params.
+ * @param {String} name of the parameter.
+ * @return {Object} with `ge` and/or `le` numeric members, or null when no
+ *      range was given.
+ * @throws {InvalidArgumentError} if any of the boundaries is not a number.
+ */
+function getRange(params, name) {
+    var range = {};
+
+    [ ['>', 'ge'], ['<', 'le'] ].forEach(function (op) {
+        var value = params[name + op[0]];
+
+        if (value === undefined) {
+            return;
+        }
+
+        var n = Number(value);
+        if (value === '' || isNaN(n)) {
+            throw new InvalidArgumentError('%s%s= must be a number', name,
+                op[0]);
+        }
+
+        range[op[1]] = n;
+    });
+
+    return (Object.keys(range).length ? range : null);
+}
+
+
+/**
+ * Parse an ISO 8601 date given for the `name` parameter into milliseconds
+ * since the epoch.
+ *
+ * @param {Object} params the request params.
+ * @param {String} name of the parameter.
+ * @return {Number} timestamp, or undefined when the parameter was not given.
+ * @throws {InvalidArgumentError} if the parameter is not a valid date.
+ */
+function getTimestamp(params, name) {
+    var value = params[name];
+
+    if (value === undefined) {
+        return undefined;
+    }
+
+    var time = new Date(value).getTime();
+    if (isNaN(time)) {
+        throw new InvalidArgumentError('%s must be an ISO 8601 date', name);
+    }
+
+    return time;
+}
+
+
+/**
+ * Parse an IPv4 CIDR (e.g. '10.88.88.0/24') into a function which tells if a
+ * given IPv4 address is part of that subnet.
+ *
+ * @throws {InvalidArgumentError} if the CIDR is not valid.
+ */
+function cidrMatcher(cidr) {
+    var parts = String(cidr).split('/');
+    var base = ipToNumber(parts[0]);
+    var bits = (parts.length === 2) ? Number(parts[1]) : NaN;
+
+    if (parts.length !== 2 || base === null || !/^\d+$/.test(parts[1]) ||
+        bits > 32) {
+        throw new InvalidArgumentError('%s is not a valid IPv4 CIDR', cidr);
+    }
+
+    // Avoid 32-bit shifts, given they are a no-op in javascript:
+    var size = Math.pow(2, 32 - bits);
+    var start = base - (base % size);
+
+    return function inCidr(ip) {
+        var n = ipToNumber(ip);
+        return (n !== null && n >= start && n < start + size);
+    };
+}
+
+
+function ipToNumber(ip) {
+    var octets = String(ip).split('.');
+
+    if (octets.length !== 4) {
+        return null;
+    }
+
+    var n = 0;
+    for (var i = 0; i < octets.length; i++) {
+        if (!/^\d{1,3}$/.test(octets[i]) || Number(octets[i]) > 255) {
+            return null;
+        }
+        n = (n * 256) + Number(octets[i]);
+    }
+
+    return n;
+}
+
+
+
+///--- Exports
+
+module.exports = {
+    getRange: getRange,
+    getTimestamp: getTimestamp,
+    cidrMatcher: cidrMatcher
+};
@@ -0,0 +1,664 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016, Joyent, Inc.
+ */
+
+/*
+ * Sharing of images across accounts through invitations.
+ *
+ * The image owner shares an image with another account, given by login,
+ * through the `share` UpdateImage action. This creates an invitation, which
+ * the recipient can see into `/:account/images/shared`, and either accept or
+ * decline. Only accepting the invitation adds the recipient to the image ACL
+ * in IMGAPI. The owner can revoke the share at any time through the `unshare`
+ * UpdateImage action.
+ *
+ * Invitations are kept by IMGAPI into the image tags reserved to CloudAPI
+ * (see datasets.js), as a `cloudapi.share.<recipient uuid>` tag whose value is
+ * the invitation state, either "pending" or "accepted". Therefore, there's at
+ * most one invitation for each image and recipient, identified by the image
+ * UUID.
+ */
+
+var assert = require('assert-plus');
+var restify = require('restify');
+var vasync = require('vasync');
+
+var ConflictError = restify.ConflictError;
+var InvalidArgumentError = restify.InvalidArgumentError;
+var MissingParameterError = restify.MissingParameterError;
+var NotAuthorizedError = restify.NotAuthorizedError;
+var ResourceNotFoundError = restify.ResourceNotFoundError;
+
+
+///--- Globals
+
+var SHARE_TAG_PREFIX = 'cloudapi.share.';
+var STATES = ['pending', 'accepted'];
+// Locks serializing the updates of each image invitations (see withImageLock),
+// and how long they are held at most, in milliseconds:
+var LOCKS_BUCKET = 'image_shares_locks';
+var LOCK_TIMEOUT = 30000;
+// Times an invitation is set when overwritten by other updates, and the base
+// delay in milliseconds before trying again, or taking a lock again:
+var MAX_UPDATE_ATTEMPTS = 5;
+var RETRY_DELAY = 100;
+
+var UUID_RE = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/;
+
+
+///--- Helpers
+
+function shareTag(recipient) {
+    return (SHARE_TAG_PREFIX + recipient);
+}
+
+
+/**
+ * The state of the invitation to the given image for the given recipient
+ * UUID, if any.
+ */
+function shareState(image, recipient) {
+    return (image.tags && image.tags[shareTag(recipient)]);
+}
+
+
+function translate(image, owner, recipient) {
+    assert.object(image, 'image');
+    assert.string(owner, 'owner');
+    assert.object(recipient, 'recipient');
+
+    return {
+        id: image.uuid,
+        image: image.uuid,
+        name: image.name,
+        version: image.version,
+        owner: owner,
+        recipient: recipient.login,
+        state: shareState(image, recipient.uuid)
+    };
+}
+
+
+/**
+ * Look up the account with the given login, which is the one we want to
+ * share images with.
+ */
+function getRecipient(req, login, cb) {
+    req.sdc.ufds.getUser(login, function (err, user) {
+        if (err) {
+            if (err.restCode === 'ResourceNotFound') {
+                return cb(new ResourceNotFoundError('account %s not found',
+                    login));
+            }
+            return cb(err);
+        }
+
+        return cb(null, user);
+    });
+}
+
+
+/**
+ * Look up the logins of the owners of the given images, by owner UUID.
+ */
+function getOwnerLogins(req, images, cb) {
+    var logins = {};
+
+    images.forEach(function (img) {
+        logins[img.owner] = null;
+    });
+
+    vasync.forEachPipeline({
+        inputs: Object.keys(logins),
+        func: function (uuid, next) {
+            req.sdc.ufds.getUser(uuid, function (err, user) {
+                if (err) {
+                    return next(err);
+                }
+
+                logins[uuid] = user.login;
+                return next();
+            });
+        }
+    }, function (err) {
+        return cb(err, logins);
+    });
+}
+
+
+function imgapiOpts(req) {
+    return {
+        headers: {
+            'x-request-id': req.getId()
+        }
+    };
+}
+
+
+/**
+ * Run func(cb) holding the lock on the given image, taken through the store so
+ * that all the CloudAPI processes sharing it wait for each other. Locks left
+ * behind by a process which died holding them expire after LOCK_TIMEOUT.
+ */
+function withImageLock(req, uuid, func, cb) {
+    var store = req.sdc.store;
+    var waited = 0;
+
+    function unlock() {
+        var args = arguments;
+
+        store.del(LOCKS_BUCKET, uuid, function (err) {
+            if (err) {
+                req.log.error(err, 'error unlocking image %s', uuid);
+            }
+            return cb.apply(null, args);
+        });
+    }
+
+    function lock() {
+        store.create(LOCKS_BUCKET, uuid, {
+            pid: process.pid,
+            time: Date.now()
+        }, function (err, locked) {
+            if (err) {
+                return cb(err);
+            }
+
+            if (locked) {
+                return func(unlock);
+            }
+
+            return store.get(LOCKS_BUCKET, uuid, function (err2, held) {
+                if (err2) {
+                    return cb(err2);
+                }
+
+                if (held && Date.now() - held.time > LOCK_TIMEOUT) {
+                    return store.del(LOCKS_BUCKET, uuid, function (err3) {
+                        return (err3 ? cb(err3) : lock());
+                    });
+                }
+
+                if (waited >= LOCK_TIMEOUT) {
+                    return cb(new ConflictError('image %s is being ' +
+                        'updated, try again', uuid));
+                }
+
+                waited += RETRY_DELAY;
+                return setTimeout(lock, RETRY_DELAY);
+            });
+        });
+    }
+
+    lock();
+}
+
+
+/**
+ * Set the state of the invitation to the given image for the given recipient
+ * UUID, or remove the invitation when no state is given. Calls back with the
+ * updated image.
+ *
+ * IMGAPI replaces the image tags altogether, and has no conditional updates,
+ * so the tags are read, changed and written back holding the image lock, for
+ * concurrent requests not to overwrite each other's invitations. Other image
+ * tag updates, like the ones from other CloudAPI zones, can't take the lock,
+ * so the image is read back to make sure the invitation is still there,
+ * trying again otherwise.
+ */
+function setShareState(req, image, recipient, state, cb) {
+    var attempts = 0;
+    var opts = imgapiOpts(req);
+
+    function update(done) {
+        req.sdc.imgapi.getImage(image.uuid, opts, function (err, latest) {
+            if (err) {
+                return done(err);
+            }
+
+            var tags = {};
+            Object.keys(latest.tags || {}).forEach(function (k) {
+                tags[k] = latest.tags[k];
+            });
+
+            if (state) {
+                tags[shareTag(recipient)] = state;
+            } else {
+                delete tags[shareTag(recipient)];
+            }
+
+            // Only the image owner can update its tags:
+            return req.sdc.imgapi.updateImage(image.uuid, {
+                tags: tags
+            }, latest.owner, opts, function (err2) {
+                return done(err2);
+            });
+        });
+    }
+
+    function attempt() {
+        attempts++;
+
+        withImageLock(req, image.uuid, update, function (err) {
+            if (err) {
+                return cb(err);
+            }
+
+            return req.sdc.imgapi.getImage(image.uuid, opts,
+                    function (err2, updated) {
+                if (err2) {
+                    return cb(err2);
+                }
+
+                if ((shareState(updated, recipient) || null) ===
+                    (state || null)) {
+                    return cb(null, updated);
+                }
+
+                if (attempts >= MAX_UPDATE_ATTEMPTS) {
+                    return cb(new ConflictError('image %s is being updated ' +
+                        'concurrently, try again', image.uuid));
+                }
+
+                req.log.debug('image %s share for %s overwritten, trying ' +
+                    'again', image.uuid, recipient);
+                return setTimeout(attempt,
+                    Math.floor(Math.random() * RETRY_DELAY * attempts));
+            });
+        });
+    }
+
+    attempt();
+}
+
+
+/**
+ * Make sure the image given to the share and unshare actions is owned by the
+ * account, and the login of the other account was given.
+ */
+function checkShareParams(req, cb) {
+    if (!req.dataset) {
+        return cb(new ResourceNotFoundError('%s not found',
+            req.params.dataset));
+    }
+
+    if (req.dataset.owner !== req.account.uuid) {
+        return cb(new NotAuthorizedError('only the owner of image %s can ' +
+            'share it', req.dataset.uuid));
+    }
+
+    if (!req.params.login) {
+        return cb(new MissingParameterError('login is a required argument'));
+    }
+
+    if (req.params.login === req.account.login) {
+        return cb(new InvalidArgumentError('cannot share an image with ' +
+            'its owner'));
+    }
+
+    return cb();
+}
+
+
+/**
+ * Load the image shared with the account, given the invitation id, along with
+ * the login of its owner.
+ */
+function loadInvitation(req, res, next) {
+    var id = req.params.id;
+
+    if (!UUID_RE.test(id)) {
+        return next(new ResourceNotFoundError('%s not found', id));
+    }
+
+    // The image is not available to the account until the invitation is
+    // accepted, so it's loaded without giving the account:
+    return req.sdc.imgapi.getImage(id, imgapiOpts(req), function (err, img) {
+        if (err) {
+            if (err.statusCode === 404) {
+                return next(new ResourceNotFoundError('%s not found', id));
+            }
+            return next(err);
+        }
+
+        if (!shareState(img, req.account.uuid)) {
+            return next(new ResourceNotFoundError('%s not found', id));
+        }
+
+        return getOwnerLogins(req, [img], function (err2, logins) {
+            if (err2) {
+                return next(err2);
+            }
+
+            req.invitation = {
+                image: img,
+                owner: logins[img.owner]
+            };
+            return next();
+        });
+    });
+}
+
+
+///--- Handlers
+
+/**
+ * UpdateImage `share` action.
+ */
+function share(req, res, next) {
+    if (req.params.action !== 'share') {
+        return next();
+    }
+
+    var ctx = {
+        image: req.dataset
+    };
+
+    return vasync.pipeline({
+        funcs: [
+            function checkParams(_, cb) {
+                checkShareParams(req, cb);
+            },
+            function loadRecipient(_, cb) {
+                getRecipient(req, req.params.login, function (err, user) {
+                    ctx.recipient = user;
+                    return cb(err);
+                });
+            },
+            function createInvitation(_, cb) {
+                // Sharing twice with the same account gives the same
+                // invitation:
+                if (shareState(ctx.image, ctx.recipient.uuid)) {
+                    return cb();
+                }
+
+                ctx.created = true;
+                return setShareState(req, ctx.image, ctx.recipient.uuid,
+                        'pending', function (err, img) {
+                    ctx.image = img;
+                    return cb(err);
+                });
+            }
+        ]
+    }, function (err) {
+        if (err) {
+            return next(err);
+        }
+
+        var invitation = translate(ctx.image, req.account.login,
+            ctx.recipient);
+        req.log.debug('ShareImage(%s) => %j', req.account.login, invitation);
+        res.send(ctx.created ? 201 : 200, invitation);
+        return next(false);
+    });
+}
+
+
+/**
+ * UpdateImage `unshare` action. Revokes both pending and accepted shares, and
+ * also removes the account from the image ACL when it was added there by
+ * other means.
+ */
+function unshare(req, res, next) {
+    if (req.params.action !== 'unshare') {
+        return next();
+    }
+
+    var ctx = {
+        image: req.dataset
+    };
+
+    return vasync.pipeline({
+        funcs: [
+            function checkParams(_, cb) {
+                checkShareParams(req, cb);
+            },
+            function loadRecipient(_, cb) {
+                getRecipient(req, req.params.login, function (err, user) {
+                    ctx.recipient = user;
+                    return cb(err);
+                });
+            },
+            function removeAcl(_, cb) {
+                if ((ctx.image.acl || []).indexOf(ctx.recipient.uuid) === -1) {
+                    return cb();
+                }
+
+                return req.sdc.imgapi.removeImageAcl(ctx.image.uuid,
+                        [ctx.recipient.uuid], req.account.uuid,
+                        imgapiOpts(req), function (err, img) {
+                    ctx.image = img || ctx.image;
+                    return cb(err);
+                });
+            },
+            function removeInvitation(_, cb) {
+                if (!shareState(ctx.image, ctx.recipient.uuid)) {
+                    return cb();
+                }
+
+                return setShareState(req, ctx.image, ctx.recipient.uuid,
+                        null, function (err) {
+                    return cb(err);
+                });
+            }
+        ]
+    }, function (err) {
+        if (err) {
+            return next(err);
+        }
+
+        req.log.debug('UnshareImage(%s) => %s', req.account.login,
+            ctx.recipient.login);
+        res.send(204);
+        return next(false);
+    });
+}
+
+
+function list(req, res, next) {
+    var images = [];
+
+    vasync.forEachParallel({
+        inputs: STATES,
+        func: function (state, cb) {
+            var filters = {};
+            filters['tag.' + shareTag(req.account.uuid)] = state;
+
+            req.sdc.imgapi.listImages(filters, imgapiOpts(req),
+                    function (err, imgs) {
+                if (err) {
+                    return cb(err);
+                }
+
+                images = images.concat(imgs);
+                return cb();
+            });
+        }
+    }, function (err) {
+        if (err) {
+            return next(err);
+        }
+
+        return getOwnerLogins(req, images, function (err2, logins) {
+            if (err2) {
+                return next(err2);
+            }
+
+            var invitations = images.map(function (img) {
+                return translate(img, logins[img.owner], req.account);
+            });
+
+            req.log.debug('ListSharedImages(%s) => %j', req.account.login,
+                invitations);
+            res.send(invitations);
+            return next();
+        });
+    });
+}
+
+
+function get(req, res, next) {
+    assert.ok(req.invitation);
+
+    var invitation = translate(req.invitation.image, req.invitation.owner,
+        req.account);
+    req.log.debug('GetSharedImage(%s) => %j', req.account.login, invitation);
+    res.send(invitation);
+    return next();
+}
+
+
+function accept(req, res, next) {
+    assert.ok(req.invitation);
+
+    if (req.params.action !== 'accept') {
+        return next();
+    }
+
+    var image = req.invitation.image;
+    var owner = req.invitation.owner;
+    var recipient = req.account.uuid;
+
+    if (shareState(image, recipient) === 'accepted') {
+        res.send(translate(image, owner, req.account));
+        return next(false);
+    }
+
+    return vasync.pipeline({
+        funcs: [
+            function addAcl(_, cb) {
+                // Only the image owner can update its ACL:
+                req.sdc.imgapi.addImageAcl(image.uuid, [recipient],
+                        image.owner, imgapiOpts(req), function (err, img) {
+                    image = img || image;
+                    return cb(err);
+                });
+            },
+            function acceptInvitation(_, cb) {
+                setShareState(req, image, recipient, 'accepted',
+                        function (err, img) {
+                    image = img;
+                    return cb(err);
+                });
+            }
+        ]
+    }, function (err) {
+        if (err) {
+            return next(err);
+        }
+
+        var invitation = translate(image, owner, req.account);
+        req.log.debug('AcceptSharedImage(%s) => %j', req.account.login,
+            invitation);
+        res.send(invitation);
+        return next(false);
+    });
+}
+
+
+/**
+ * Declining an already accepted invitation also stops sharing the image.
+ */
+function decline(req, res, next) {
+    assert.ok(req.invitation);
+
+    if (req.params.action !== 'decline') {
+        return next();
+    }
+
+    var image = req.invitation.image;
+    var recipient = req.account.uuid;
+
+    return vasync.pipeline({
+        funcs: [
+            function removeAcl(_, cb) {
+                if (shareState(image, recipient) !== 'accepted') {
+                    return cb();
+                }
+
+                return req.sdc.imgapi.removeImageAcl(image.uuid,
+                        [recipient], image.owner, imgapiOpts(req),
+                        function (err, img) {
+                    image = img || image;
+                    return cb(err);
+                });
+            },
+            function removeInvitation(_, cb) {
+                setShareState(req, image, recipient, null, function (err) {
+                    return cb(err);
+                });
+            }
+        ]
+    }, function (err) {
+        if (err) {
+            return next(err);
+        }
+
+        req.log.debug('DeclineSharedImage(%s) => %s', req.account.login,
+            image.uuid);
+        res.send(204);
+        return next(false);
+    });
+}
+
+
+function invalidAction(req, res, next) {
+    if (req.params.action) {
+        return next(new InvalidArgumentError('action %s is not a valid ' +
+            'argument', req.params.action));
+    }
+
+    return next(new MissingParameterError('action is a required argument'));
+}
+
+
+/**
+ * Given `/:account/images/shared` would otherwise match the image routes,
+ * these must be mounted before them.
+ */
+function mount(server, before) {
+    assert.object(server, 'server');
+    assert.ok(before);
+
+    server.get({
+        path: '/:account/images/shared',
+        name: 'ListSharedImages'
+    }, before, list);
+
+    server.head({
+        path: '/:account/images/shared',
+        name: 'HeadSharedImages'
+    }, before, list);
+
+    server.get({
+        path: '/:account/images/shared/:id',
+        name: 'GetSharedImage'
+    }, before, loadInvitation, get);
+
+    server.head({
+        path: '/:account/images/shared/:id',
+        name: 'HeadSharedImage'
+    }, before, loadInvitation, get);
+
+    server.post({
+        path: '/:account/images/shared/:id',
+        name: 'UpdateSharedImage'
+    }, before, loadInvitation, accept, decline, invalidAction);
+
+    return server;
+}
+
+
+///--- Exports
+
+module.exports = {
+    mount: mount,
+    share: share,
+    unshare: unshare
+};
@@ -0,0 +1,235 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016, Joyent, Inc.
+ */
+
+/*
+ * Jobs queued by the machine, snapshot, NIC and image end-points. Routes
+ * queueing a job return its id using the `x-joyent-jobid` header, which can
+ * then be used to wait for the job with GetJob.
+ */
+
+var assert = require('assert-plus');
+var restify = require('restify');
+
+var audit = require('./audit');
+
+var ResourceNotFoundError = restify.ResourceNotFoundError;
+
+
+///--- Globals
+
+var JOB_HEADER = 'x-joyent-jobid';
+
+var FINISHED = ['succeeded', 'failed', 'canceled'];
+
+
+///--- Helpers
+
+/*
+ * Translate a workflow job, as given by VMAPI, into the CloudAPI job
+ * representation. Job internals (chain, params) are intentionally not exposed.
+ */
+function translate(job) {
+    var params = job.params || {};
+    var results = job.chain_results || [];
+    var j = {
+        id: job.uuid,
+        name: job.name,
+        state: job.execution,
+        progress: {
+            completed: results.filter(function (r) {
+                return (r.finished_at !== undefined && r.finished_at !== null);
+            }).length
+        },
+        created: job.created_at
+    };
+
+    if (Array.isArray(job.chain)) {
+        j.progress.total = job.chain.length;
+    }
+
+    try {
+        j.action = audit.translateAction(job);
+    } catch (e) {
+        j.action = params.task;
+    }
+
+    if (params.vm_uuid) {
+        j.machine = params.vm_uuid;
+    }
+
+    if (params.image_uuid) {
+        j.image = params.image_uuid;
+    }
+
+    if (FINISHED.indexOf(job.execution) !== -1 && results.length) {
+        j.finished = results[results.length - 1].finished_at;
+    }
+
+    if (job.execution === 'failed') {
+        var failed = results.filter(function (r) {
+            return (r.error);
+        }).pop();
+
+        j.error = {
+            message: failed ? (failed.error.message || String(failed.error)) :
+                'Job failed'
+        };
+    }
+
+    return j;
+}
+
+
+/*
+ * Jobs are owned by an account when that's given as a job parameter, or when
+ * the job is for one of the account machines (image creation jobs don't
+ * include the owner).
+ */
+function checkOwner(req, job, cb) {
+    var params = job.params || {};
+    var customer = req.account.uuid;
+
+    if (params.owner_uuid) {
+        return cb(null, params.owner_uuid === customer);
+    }
+
+    if (!params.vm_uuid) {
+        return cb(null, false);
+    }
+
+    return req.sdc.vmapi.getVm({
+        uuid: params.vm_uuid,
+        owner_uuid: customer
+    }, {
+        log: req.log,
+        headers: {
+            'x-request-id': req.getId()
+        }
+    }, function (err) {
+        if (err) {
+            return cb(err.statusCode === 404 ? null : err, false);
+        }
+
+        return cb(null, true);
+    });
+}
+
+
+/*
+ * Set the job id header for the given job, as returned by VMAPI or IMGAPI
+ * when queueing it. Does nothing when no job was queued.
+ */
+function setJobHeader(res, job) {
+    if (job && job.job_uuid) {
+        res.header(JOB_HEADER, job.job_uuid);
+    }
+}
+
+
+///--- Handlers
+
+function get(req, res, next) {
+    assert.ok(req.sdc);
+
+    var id = req.params.id;
+    var log = req.log;
+
+    return req.sdc.vmapi.getJob(id, {
+        log: req.log,
+        headers: {
+            'x-request-id': req.getId()
+        }
+    }, function (err, job) {
+        if (err) {
+            if (err.statusCode === 404) {
+                return next(new ResourceNotFoundError('%s not found', id));
+            }
+            return next(err);
+        }
+
+        return checkOwner(req, job, function (err2, owned) {
+            if (err2) {
+                return next(err2);
+            }
+
+            if (!owned) {
+                return next(new ResourceNotFoundError('%s not found', id));
+            }
+
+            var j = translate(job);
+            log.debug('GET %s -> %j', req.path(), j);
+            res.send(j);
+            return next();
+        });
+    });
+}
+
+
+function list(req, res, next) {
+    assert.ok(req.sdc);
+    assert.ok(req.machine);
+
+    var log = req.log;
+
+    // The machine has already been loaded, so we know it's owned by this
+    // account. Not all the jobs for the machine include the owner though:
+    return req.sdc.vmapi.listJobs({
+        vm_uuid: req.params.machine
+    }, {
+        log: req.log,
+        headers: {
+            'x-request-id': req.getId()
+        }
+    }, function (err, jobs) {
+        if (err) {
+            return next(err);
+        }
+
+        var translated = jobs.map(translate);
+
+        log.debug('GET %s -> %j', req.path(), translated);
+        res.send(translated);
+        return next();
+    });
+}
+
+
+function mount(server, before) {
+    assert.object(server, 'server');
+    assert.ok(before);
+
+    server.get({
+        path: '/:account/jobs/:id',
+        name: 'GetJob'
+    }, before, get);
+
+    server.head({
+        path: '/:account/jobs/:id',
+        name: 'HeadJob'
+    }, before, get);
+
+    server.get({
+        path: '/:account/machines/:machine/jobs',
+        name: 'ListMachineJobs'
+    }, before, list);
+
+    server.head({
+        path: '/:account/machines/:machine/jobs',
+        name: 'HeadMachineJobs'
+    }, before, list);
+}
+
+
+///--- Exports
+
+module.exports = {
+    mount: mount,
+    setJobHeader: setJobHeader
+};
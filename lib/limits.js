@@ -0,0 +1,91 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016, Joyent, Inc.
+ */
+
+/*
+ * Provisioning limits applied to the account, and how much of them is already
+ * in use. Limits are enforced by the provisioning plugins, so these are also
+ * the ones reporting them, through an optional `limits` hook. Like
+ * `preProvision`, `limits` is given the plugin config and must return a
+ * function which, given the request, calls back with a list of limits.
+ */
+
+var assert = require('assert-plus');
+var restify = require('restify');
+var vasync = require('vasync');
+
+var InvalidArgumentError = restify.InvalidArgumentError;
+
+
+///--- Handlers
+
+function list(hooks) {
+    return function listLimits(req, res, next) {
+        var log = req.log;
+        var limits = [];
+
+        // req.dataset is preloaded when given an image UUID:
+        if (req.params.image && !req.dataset) {
+            return next(new InvalidArgumentError('%s is not a valid image',
+                req.params.image));
+        }
+
+        return vasync.forEachPipeline({
+            inputs: hooks,
+            func: function (hook, cb) {
+                hook(req, function (err, l) {
+                    if (err) {
+                        return cb(err);
+                    }
+
+                    // Limits with a value of zero are not applied at all:
+                    limits = limits.concat(l.filter(function (limit) {
+                        return (limit.value !== 0);
+                    }));
+                    return cb();
+                });
+            }
+        }, function (err) {
+            if (err) {
+                return next(err);
+            }
+
+            log.debug('GET %s => %j', req.path(), limits);
+            res.send(limits);
+            return next();
+        });
+    };
+}
+
+
+/**
+ * Note @param {Array} hooks can be undefined when there aren't limits hooks
+ * for the configured plugins.
+ */
+function mount(server, before, hooks) {
+    assert.object(server, 'server');
+    assert.ok(before);
+
+    server.get({
+        path: '/:account/limits',
+        name: 'ListLimits'
+    }, before, list(hooks || []));
+
+    server.head({
+        path: '/:account/limits',
+        name: 'HeadLimits'
+    }, before, list(hooks || []));
+}
+
+
+///--- Exports
+
+module.exports = {
+    mount: mount
+};
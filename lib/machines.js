@@ -13,6 +13,8 @@
  */
 
 var assert = require('assert-plus');
+var crypto = require('crypto');
+var querystring = require('querystring');
 var util = require('util');
 
 var restify = require('restify');
@@ -23,8 +25,13 @@ function uuid() {
 var clone = require('clone');
 var vasync = require('vasync');
 
+var auth = require('./auth');
+var filters = require('./filters');
 var images = require('./datasets');
+var jobs = require('./jobs');
+var redact = require('./redact');
 var resources = require('./resources');
+var snapshots = require('./snapshots');
 var membership = require('./membership'),
     preloadGroups = membership.preloadGroups;
 var semver = require('semver');
@@ -35,6 +42,8 @@ var InvalidArgumentError = restify.InvalidArgumentError;
 var MissingParameterError = restify.MissingParameterError;
 var ResourceNotFoundError = restify.ResourceNotFoundError;
 var InternalError = restify.InternalError;
+var ConflictError = restify.ConflictError;
+var RequestTimeoutError = restify.RequestTimeoutError;
 var RestError = restify.RestError;
 
 var MD_RE = /^metadata\.\w/;
@@ -49,6 +58,61 @@ var DEFAULT_NETWORKS = [EXTERNAL_NIC_TAG, INTERNAL_NIC_TAG];
 var PKG_USED_PARAMS = ['uuid', 'max_physical_memory', 'name', 'version',
         'networks', 'active', 'default', 'owner_uuids', 'fss', 'os'];
 
+// Maximum number of machines returned by a single ListMachines page, which is
+// also VMAPI's own maximum page size:
+var MAX_LIST_LIMIT = 1000;
+
+// Secrets, like `metadata.*_pw`, are never given back by dry runs:
+var DRY_RUN_REDACTOR = redact.createRedactor();
+// ListMachines sort fields, and the VMAPI attributes they map to:
+var SORT_FIELDS = {
+    created: 'create_timestamp',
+    name: 'alias',
+    memory: 'ram'
+};
+// Markers are only meaningful for a stable sort order, so when no sort is
+// given we always ask VMAPI for its own default order explicitly:
+var DEFAULT_SORT = {
+    attribute: 'create_timestamp',
+    order: 'desc'
+};
+var UUID_RE = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/;
+
+// Actions which can be run at once for a selection of machines, using
+// `POST /:account/machines?action=<action>`:
+var BULK_ACTIONS = ['start', 'stop', 'reboot', 'enable_firewall',
+    'disable_firewall'];
+// Maximum number of machines a single bulk action can be run for:
+var MAX_BULK_MACHINES = 100;
+// ListMachines filters which can be used to select machines for bulk actions,
+// besides `machines` and `tag.*`:
+var BULK_SELECTORS = ['type', 'brand', 'name', 'image', 'package', 'state',
+    'memory', 'memory>', 'memory<', 'created_after', 'created_before',
+    'network', 'primaryIp', 'docker'];
+// GetMachine `wait_for_state` values, as given by translateState():
+var MACHINE_STATES = ['provisioning', 'ready', 'running', 'stopping',
+    'stopped', 'offline', 'deleted', 'failed', 'unknown'];
+// Default and maximum number of seconds GetMachine can wait for a state:
+var DEFAULT_WAIT_TIMEOUT = 60;
+var MAX_WAIT_TIMEOUT = 300;
+// Milliseconds between machine reloads while waiting for a state:
+var WAIT_POLL_INTERVAL = 2000;
+// States which machines will never leave, so there's no point in waiting for
+// any other state once they are reached:
+var FINAL_STATES = ['deleted', 'failed'];
+// Maximum length of CreateMachine `Idempotency-Key` headers:
+var MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+// Internal metadata key keeping the hash of an idempotent CreateMachine
+// request. Internal metadata keys with a `cloudapi:` prefix aren't credentials:
+var REQUEST_HASH_KEY = 'cloudapi:request_hash';
+// CreateMachine params which don't change what a request creates:
+var UNHASHED_PARAMS = ['account', 'dry_run'];
+// RBAC action names for those machine actions not named `<action>machine`:
+var ACTION_ROUTENAMES = {
+    enable_firewall: 'enablemachinefirewall',
+    disable_firewall: 'disablemachinefirewall'
+};
+
 var sprintf = util.format;
 
 
@@ -226,6 +290,7 @@ function getListOptions(req) {
     assert.ok(req);
 
     var opts = {};
+    var predicates = [];
 
     switch (req.params.state) {
     case 'provisioning':
@@ -258,10 +323,10 @@ function getListOptions(req) {
 
     switch (req.params.type) {
     case 'smartmachine':
-        opts.predicate = '{ "ne": [ "brand", "kvm" ] }';
+        predicates.push({ ne: [ 'brand', 'kvm' ] });
         break;
     case 'virtualmachine':
-        opts.predicate = '{ "eq": [ "brand", "kvm" ] }';
+        predicates.push({ eq: [ 'brand', 'kvm' ] });
         break;
     case undefined:
         break;
@@ -292,18 +357,50 @@ function getListOptions(req) {
         }
     }
 
-    // Not implemented right now into VMAPI
-    opts.limit = req.params.limit || 1000;
-
     if (req.params.memory) {
         opts.ram = req.params.memory;
     }
 
+    var memory = filters.getRange(req.params, 'memory');
+    if (memory) {
+        Object.keys(memory).forEach(function (op) {
+            var p = {};
+            p[op] = [ 'ram', memory[op] ];
+            predicates.push(p);
+        });
+    }
+
+    var createdAfter = filters.getTimestamp(req.params, 'created_after');
+    if (createdAfter !== undefined) {
+        predicates.push({ ge: [ 'create_timestamp', createdAfter ] });
+    }
+
+    var createdBefore = filters.getTimestamp(req.params, 'created_before');
+    if (createdBefore !== undefined) {
+        predicates.push({ le: [ 'create_timestamp', createdBefore ] });
+    }
+
+    // Names including '*' are globs, which VMAPI passes through to the
+    // backend LDAP-style filter, where they're substring matches:
     if (req.params.name) {
-        opts.alias = req.params.name;
+        if (req.params.name.indexOf('*') !== -1) {
+            predicates.push({ eq: [ 'alias', req.params.name ] });
+        } else {
+            opts.alias = req.params.name;
+        }
+    }
+
+    if (req.params['package']) {
+        predicates.push(getPackagePredicate(req, req.params['package']));
     }
-    // Not implemented right now into VMAPI
-    opts.offset = req.params.offset || 0;
+
+    if (predicates.length === 1) {
+        opts.predicate = JSON.stringify(predicates[0]);
+    } else if (predicates.length > 1) {
+        opts.predicate = JSON.stringify({ and: predicates });
+    }
+
+    getPageOptions(req, opts);
 
     // Copy in any and all tags
     Object.keys(req.params).forEach(function (k) {
@@ -321,6 +418,254 @@ function getListOptions(req) {
 }
 
 
+/*
+ * Packages can be given either by UUID or by name. Given the latter can match
+ * several versions of the same package, we look for any of them.
+ */
+function getPackagePredicate(req, pkg) {
+    var uuids = [];
+
+    if (UUID_RE.test(pkg)) {
+        uuids.push(pkg);
+    } else {
+        uuids = (req.packages || []).filter(function (p) {
+            return (p.name === pkg);
+        }).map(function (p) {
+            return (p.uuid);
+        });
+    }
+
+    // Nothing will match an unknown package:
+    if (uuids.length === 0) {
+        uuids.push(pkg);
+    }
+
+    if (uuids.length === 1) {
+        return { eq: [ 'billing_id', uuids[0] ] };
+    }
+
+    return {
+        or: uuids.map(function (u) {
+            return { eq: [ 'billing_id', u ] };
+        })
+    };
+}
+
+
+/*
+ * Some of the ListMachines filters cannot be expressed as a VMAPI predicate,
+ * given they depend on the machine NICs. Return a function which applies them
+ * to a (network UUIDs loaded) VMAPI machine instead, or null if there are no
+ * such filters. Throws InvalidArgumentError on bad input.
+ */
+function getNicsFilter(req) {
+    var network = req.params.network;
+    var inCidr;
+
+    if (req.params.primaryIp) {
+        inCidr = filters.cidrMatcher(req.params.primaryIp);
+    }
+
+    if (!network && !inCidr) {
+        return null;
+    }
+
+    return function nicsFilter(vm, translated) {
+        var nics = vm.nics || [];
+
+        if (network && !nics.some(function (nic) {
+            return (nic.network_uuid === network);
+        })) {
+            return false;
+        }
+
+        if (inCidr && !inCidr(translated.primaryIp)) {
+            return false;
+        }
+
+        return true;
+    };
+}
+
+
+/*
+ * The sort order is given as `sort=<field>[.asc|.desc]`, with ascending order
+ * being the default once a field is given.
+ */
+function getSort(req) {
+    var sort = req.params.sort;
+
+    if (sort === undefined) {
+        return DEFAULT_SORT;
+    }
+
+    var parts = String(sort).split('.');
+    var attribute = SORT_FIELDS[parts[0]];
+    var order = parts[1] || 'asc';
+
+    if (!attribute || parts.length > 2 ||
+        (order !== 'asc' && order !== 'desc')) {
+        throw new InvalidArgumentError('%s is not a valid sort order. Valid ' +
+            'fields are %s, optionally followed by .asc or .desc', sort,
+            Object.keys(SORT_FIELDS).join(', '));
+    }
+
+    return {
+        attribute: attribute,
+        order: order
+    };
+}
+
+
+/*
+ * Add the pagination options (sort, limit, offset and marker) from the request
+ * to the given vmapi.listVms() options. Throws InvalidArgumentError on bad
+ * input.
+ */
+function getPageOptions(req, opts) {
+    assert.ok(req);
+    assert.ok(opts);
+
+    var params = req.params;
+    var limit = MAX_LIST_LIMIT;
+
+    if (params.limit !== undefined) {
+        limit = Number(params.limit);
+        if (!isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+            throw new InvalidArgumentError('limit must be a number between ' +
+                '1 and %d', MAX_LIST_LIMIT);
+        }
+    }
+
+    var sort = getSort(req);
+
+    opts.limit = limit;
+    opts.sort = sort.attribute + '.' + sort.order;
+
+    if (params.marker !== undefined && params.offset !== undefined) {
+        throw new InvalidArgumentError('marker and offset are mutually ' +
+            'exclusive parameters');
+    }
+
+    if (params.marker !== undefined) {
+        opts.marker = JSON.stringify(decodeMarker(params.marker,
+            sort.attribute));
+        return opts;
+    }
+
+    var offset = 0;
+    if (params.offset !== undefined) {
+        offset = Number(params.offset);
+        if (!isInteger(offset) || offset < 0) {
+            throw new InvalidArgumentError('offset must be a positive number');
+        }
+    }
+
+    opts.offset = offset;
+    return opts;
+}
+
+
+function isInteger(n) {
+    return (typeof (n) === 'number' && isFinite(n) && Math.floor(n) === n);
+}
+
+
+/*
+ * Boolean params can be given either as booleans (JSON body) or as strings
+ * (query string or form). Returns false when the param is not given.
+ */
+function getBoolean(params, name) {
+    var value = params[name];
+
+    if (value === undefined || typeof (value) === 'boolean') {
+        return Boolean(value);
+    }
+
+    if (value === 'true' || value === 'false') {
+        return (value === 'true');
+    }
+
+    throw new InvalidArgumentError('%s is not a valid boolean', value);
+}
+
+
+/*
+ * Markers are opaque to clients: a URL-safe base64 encoding of the VMAPI
+ * marker object for the last machine of a page. VMAPI wants the marker to
+ * contain the machine uuid plus the value of the sort attribute, and compares
+ * create_timestamp as milliseconds since the epoch.
+ */
+function getMarker(vm, attribute) {
+    var marker = {
+        uuid: vm.uuid
+    };
+
+    if (attribute === 'create_timestamp') {
+        marker[attribute] = new Date(vm.create_timestamp).getTime();
+    } else {
+        marker[attribute] = vm[attribute];
+    }
+
+    return marker;
+}
+
+
+function encodeMarker(vm, attribute) {
+    return new Buffer(JSON.stringify(getMarker(vm, attribute)))
+        .toString('base64').replace(/\+/g, '-').replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+
+function decodeMarker(str, attribute) {
+    var marker;
+
+    try {
+        marker = JSON.parse(new Buffer(String(str).replace(/-/g, '+')
+            .replace(/_/g, '/'), 'base64').toString('utf8'));
+    } catch (e) {
+        marker = null;
+    }
+
+    if (!marker || typeof (marker) !== 'object' ||
+        typeof (marker.uuid) !== 'string' ||
+        marker[attribute] === undefined) {
+        throw new InvalidArgumentError('%s is not a valid marker for the ' +
+            'given sort order', str);
+    }
+
+    var decoded = {
+        uuid: marker.uuid
+    };
+    decoded[attribute] = marker[attribute];
+
+    return decoded;
+}
+
+
+/*
+ * When there may be more machines to fetch (see findMachines), we give the
+ * client a Link to the next page. It is the same request with the marker for
+ * the last machine of this page, replacing any offset.
+ */
+function setNextPageLink(req, res, opts, found) {
+    var vms = found.vms;
+
+    if (!found.more || vms.length === 0) {
+        return;
+    }
+
+    var query = querystring.parse(req.getQuery() || '');
+    delete query.offset;
+    query.limit = opts.limit;
+    query.marker = encodeMarker(vms[vms.length - 1], getSort(req).attribute);
+
+    res.header('Link', sprintf('<%s?%s>; rel="next"', req.path(),
+        querystring.stringify(query)));
+}
+
+
 /*
  * Convert the various arguments passed in over HTTP on POST to options which
  * vmapi.createVm() understands.
@@ -558,7 +903,7 @@ function getCreateOptions(req) {
     var shortId;
     var tags = {};
 
-    opts.uuid = uuid();
+    opts.uuid = req.machineUuid || uuid();
     shortId = opts.uuid.split(/-/)[0];
     if (params.name) {
         opts.alias = params.name;
@@ -614,8 +959,16 @@ function getCreateOptions(req) {
             }
         });
 
+    }
+
+    var internal = credentials || {};
+    if (req.requestHash) {
+        internal[REQUEST_HASH_KEY] = req.requestHash;
+    }
+
+    if (Object.keys(internal).length) {
         // Pass a string to VMAPI, not an object, or validation will fail
-        opts.internal_metadata = JSON.stringify(credentials);
+        opts.internal_metadata = JSON.stringify(internal);
     }
 
     if (Object.keys(metadata).length) {
@@ -775,13 +1128,14 @@ function pkgAllowsFabric(cfg, pkg) {
 function updateCallback(req, res, next) {
     var log = req.log;
 
-    return function callback(err) {
+    return function callback(err, job) {
         if (err) {
             return next(err);
         }
 
         var m = req.params.machine;
         log.debug('%s (%s/%s): ok', req.action, req.account.login, m);
+        jobs.setJobHeader(res, job);
         res.send(202);
         return next(false);
     };
@@ -837,6 +1191,13 @@ function loadMachine(req, res, next) {
                     return cb(null, req.datasets);
                 }
 
+                // An image given with the request, like the one to clone the
+                // machine from, is already loaded (see loadDatasets):
+                if (req.dataset) {
+                    req.datasets = [req.dataset];
+                    return cb(null, req.datasets);
+                }
+
                 req.params.image = (machine.image_uuid) ? machine.image_uuid :
                     (machine.brand === 'kvm' && machine.disks[0].image_uuid) ?
                     machine.disks[0].image_uuid : null;
@@ -999,6 +1360,22 @@ function ensureDataset(req, res, next) {
         return next(new InvalidArgumentError('image %s is not active',
                                                 req.params.dataset));
     }
+
+    // Image owners can set deprecation and expiry dates (see UpdateImage):
+    var now = Date.now();
+    if (req.dataset.expires_at &&
+        new Date(req.dataset.expires_at).getTime() <= now) {
+        return next(new InvalidArgumentError('image %s expired on %s',
+            req.dataset.uuid, req.dataset.expires_at));
+    }
+
+    if (req.dataset.deprecated_at &&
+        new Date(req.dataset.deprecated_at).getTime() <= now) {
+        res.header('Warning', util.format('299 cloudapi "image %s is ' +
+            'deprecated since %s"', req.dataset.uuid,
+            req.dataset.deprecated_at));
+    }
+
     return next();
 }
 
@@ -1163,6 +1540,7 @@ function create(req, res, next) {
     };
 
     var pipeline = [];
+    var replayed = false;
 
     if (req.accountMgmt) {
         if (req.headers['role-tag']) {
@@ -1265,6 +1643,27 @@ function create(req, res, next) {
     }
 
 
+    if (req.dryRun) {
+        pipeline.push(function (_, cb) {
+            var payload = getDryRunPayload(req, opts);
+
+            log.debug('CreateMachine(/%s/%s) dry run => %j', customer, name,
+                payload);
+            res.send(200, payload);
+            return cb();
+        });
+
+        return vasync.pipeline({
+            funcs: pipeline
+        }, function (err) {
+            if (err) {
+                return next(err);
+            }
+            // Nothing was provisioned, so skip postProvision plugins:
+            return next(false);
+        });
+    }
+
     pipeline.push(function (_, cb) {
         return req.sdc.vmapi.createVm(opts, {
             log: req.log,
@@ -1290,6 +1689,8 @@ function create(req, res, next) {
                         } else if (['networks', 'tags', 'customer_metadata',
                             'firewall_enabled'].indexOf(e.field) !== -1) {
                             msgs.push('Invalid ' + e.field);
+                        } else if (e.field === 'uuid') {
+                            msgs.push('Machine uuid already in use');
                         }
                     });
                 }
@@ -1298,6 +1699,29 @@ function create(req, res, next) {
                     err.message = err.message + ': ' + msgs.join('. ');
                     err.body.message = err.message;
                 }
+
+                // A concurrent request with the same idempotency key may have
+                // created the machine since we checked for it:
+                if (req.machineUuid && body.errors &&
+                    body.errors.some(function (e) {
+                        return (e.field === 'uuid');
+                    })) {
+                    return findExisting(req, function (err2, existing) {
+                        if (err2 || !existing) {
+                            return cb(err);
+                        }
+
+                        var conflict = checkExisting(req, existing);
+                        if (conflict) {
+                            return cb(conflict);
+                        }
+
+                        sendExisting(req, res, existing);
+                        replayed = true;
+                        return cb();
+                    });
+                }
+
                 return cb(err);
             }
 
@@ -1325,6 +1749,7 @@ function create(req, res, next) {
                     // Cache machine as a res member, so it can be used from
                     // postProvision plugins.
                     res.machine = machine;
+                    jobs.setJobHeader(res, vm);
                     res.header('Location', sprintf(
                             '/%s/machines/%s', login, machine.id));
                     log.debug('GetMachine(/%s/%s) => %j',
@@ -1343,92 +1768,435 @@ function create(req, res, next) {
         if (err) {
             return next(err);
         }
+        // Provisioning plugins already ran for the replayed machine:
+        if (replayed) {
+            return next(false);
+        }
         return next();
     });
 }
 
 
-function list(req, res, next) {
-    assert.ok(req.sdc);
-    if (req.accountMgmt) {
-        resources.getRoleTags(req, res);
+/*
+ * The VMAPI payload a dry run CreateMachine request would have used. Audit
+ * context and passwords are left out, and so is the machine uuid unless it
+ * was requested, given a new one would be generated for the real request.
+ */
+function getDryRunPayload(req, opts) {
+    var payload = clone(opts);
+
+    delete payload.context;
+    delete payload.internal_metadata;
+
+    if (!req.machineUuid) {
+        delete payload.uuid;
     }
-    var customer = req.account.uuid;
-    var log = req.log;
 
-    try {
-        var opts = getListOptions(req);
-    } catch (e) {
-        if (e.name === 'InvalidArgumentError') {
-            return next(e);
-        } else {
-            throw (e);
+    if (payload.customer_metadata) {
+        payload.customer_metadata = JSON.stringify(DRY_RUN_REDACTOR.value({
+            metadata: JSON.parse(payload.customer_metadata)
+        }).metadata);
+    }
+
+    return DRY_RUN_REDACTOR.value(payload);
+}
+
+
+/*
+ * CreateMachine requests are made idempotent by giving them the UUID of the
+ * machine to create, either explicitly with the `uuid` param, or through an
+ * `Idempotency-Key` header, which we turn into an UUID unique for the account.
+ * Retried requests will then find the machine created the first time instead
+ * of creating a new one. Returns undefined for non idempotent requests.
+ */
+function getRequestedUuid(req) {
+    var key = req.headers['idempotency-key'];
+    var requested = req.params.uuid;
+
+    if (key !== undefined && requested !== undefined) {
+        throw new InvalidArgumentError('Idempotency-Key and uuid cannot be ' +
+            'used together');
+    }
+
+    if (requested !== undefined) {
+        if (typeof (requested) !== 'string' || !UUID_RE.test(requested)) {
+            throw new InvalidArgumentError('%s is not a valid UUID',
+                requested);
         }
+        return requested;
     }
 
-    opts.owner_uuid = customer;
-    // Advanced search, to allow searching any tagged machine (note this
-    // overrides any other option):
-    if (req.params.tags && req.params.tags === '*') {
-        opts = {
-            query: '(&(owner_uuid=' + customer + ')(tags=*))'
-        };
+    if (key === undefined) {
+        return undefined;
     }
 
-    function addNetworks(machine, cb) {
-        loadNetworkUuids(req, machine, cb);
+    if (!key.length || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+        throw new InvalidArgumentError('Idempotency-Key must be between 1 ' +
+            'and %d characters long', MAX_IDEMPOTENCY_KEY_LENGTH);
+    }
+
+    // A name-based (version 5) UUID for the key within the account:
+    var hex = crypto.createHash('sha1').update(req.account.uuid + '/' + key)
+        .digest('hex').substr(0, 32).split('');
+    hex[12] = '5';
+    hex[16] = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+    hex = hex.join('');
+
+    return [hex.substr(0, 8), hex.substr(8, 4), hex.substr(12, 4),
+        hex.substr(16, 4), hex.substr(20, 12)].join('-');
+}
+
+
+/*
+ * A hash of the CreateMachine params, kept with machines created by idempotent
+ * requests to tell retries from different requests reusing the same key.
+ */
+function getRequestHash(req) {
+    function serialize(v) {
+        if (Array.isArray(v)) {
+            return '[' + v.map(serialize).join(',') + ']';
+        }
+
+        if (v && typeof (v) === 'object') {
+            return '{' + Object.keys(v).sort().map(function (k) {
+                return JSON.stringify(k) + ':' + serialize(v[k]);
+            }).join(',') + '}';
+        }
+
+        return String(JSON.stringify(v));
     }
 
-    return req.sdc.vmapi.listVms(opts, {
+    // The params given by the client, before any of them is filled in by
+    // CloudAPI (see cloneMachine):
+    var given = req.givenParams || req.params;
+    var params = {};
+    Object.keys(given).forEach(function (k) {
+        if (UNHASHED_PARAMS.indexOf(k) === -1) {
+            params[k] = given[k];
+        }
+    });
+
+    return crypto.createHash('sha1').update(serialize(params)).digest('hex');
+}
+
+
+/*
+ * Look for an existing account machine with the requested UUID.
+ */
+function findExisting(req, cb) {
+    return req.sdc.vmapi.getVm({
+        uuid: req.machineUuid,
+        owner_uuid: req.account.uuid
+    }, {
         log: req.log,
         headers: {
             'x-request-id': req.getId()
         }
-    }, function (err, machines) {
+    }, function (err, vm) {
         if (err) {
-            return next(err);
+            return cb(err.statusCode === 404 ? null : err);
         }
 
-        return vasync.forEachPipeline({
-            inputs: machines,
-            func: addNetworks
-        }, function (err2) {
-            if (err2) {
-                return next(err2);
-            }
+        return loadNetworkUuids(req, vm, cb);
+    });
+}
 
-            // NB: machines was mutated by the addNetworks() calls
-            var translated = machines.map(function (m) {
-                return translate(m, req);
-            });
 
-            log.debug('ListMachines(%s) => %j', customer, translated);
+/*
+ * Only the request which created a machine can be replayed: a destroyed
+ * machine can't be returned as created, nor can its UUID be used again.
+ */
+function checkExisting(req, vm) {
+    var hash = vm.internal_metadata && vm.internal_metadata[REQUEST_HASH_KEY];
 
-            res.header('x-query-limit', opts.limit);
-            res.header('x-resource-count', translated.length);
-            res.send(translated);
+    if (vm.state === 'destroyed') {
+        return new ConflictError('Machine %s created by a previous request ' +
+            'with the same Idempotency-Key or uuid was destroyed', vm.uuid);
+    }
 
-            return next();
-        });
-    });
+    if (hash && hash !== req.requestHash) {
+        return new ConflictError('Machine %s was created by a previous ' +
+            'request with the same Idempotency-Key or uuid but different ' +
+            'params', vm.uuid);
+    }
+
+    return null;
 }
 
 
-function get(req, res, next) {
-    assert.ok(req.sdc);
-    if (req.accountMgmt) {
-        resources.getRoleTags(req, res);
-    }
-    var customer = req.account.uuid,
-        log = req.log,
-        name = req.params.machine;
-    // Already preloaded by loadMachine:
-    log.debug('GetMachine(%s/%s) => %j', customer, name, req.machine);
+function sendExisting(req, res, vm) {
+    var machine = translate(vm, req);
+
+    req.log.debug('CreateMachine(/%s/%s): replaying %j', req.account.uuid,
+        machine.id, machine);
+    res.header('Location', sprintf('/%s/machines/%s', req.account.login,
+        machine.id));
+    res.send(201, machine);
+}
+
+
+/*
+ * Return the machine created by a previous CreateMachine request with the same
+ * idempotency key or uuid instead of creating it again. Provisioning plugins
+ * are not run again either. Requests with different params than the one which
+ * created the machine, or for a machine since destroyed, fail with a 409.
+ */
+function replayCreate(req, res, next) {
+    try {
+        req.dryRun = getBoolean(req.params, 'dry_run');
+        req.machineUuid = getRequestedUuid(req);
+    } catch (e) {
+        return next(e);
+    }
+
+    // Dry runs validate the request as if it was the first one:
+    if (!req.machineUuid || req.dryRun) {
+        return next();
+    }
+
+    // Before provisioning plugins get to change the params:
+    req.requestHash = getRequestHash(req);
+
+    return findExisting(req, function (err, existing) {
+        if (err) {
+            return next(err);
+        }
+
+        if (!existing) {
+            return next();
+        }
+
+        var conflict = checkExisting(req, existing);
+        if (conflict) {
+            return next(conflict);
+        }
+
+        sendExisting(req, res, existing);
+        return next(false);
+    });
+}
+
+
+function list(req, res, next) {
+    assert.ok(req.sdc);
+    if (req.accountMgmt) {
+        resources.getRoleTags(req, res);
+    }
+    var customer = req.account.uuid;
+    var log = req.log;
+
+    try {
+        var opts = getListOptions(req);
+        var nicsFilter = getNicsFilter(req);
+    } catch (e) {
+        if (e.name === 'InvalidArgumentError') {
+            return next(e);
+        } else {
+            throw (e);
+        }
+    }
+
+    opts.owner_uuid = customer;
+    // Advanced search, to allow searching any tagged machine (note this
+    // overrides any other option but pagination):
+    if (req.params.tags && req.params.tags === '*') {
+        opts = getPageOptions(req, {
+            query: '(&(owner_uuid=' + customer + ')(tags=*))'
+        });
+    }
+
+    return findMachines(req, opts, nicsFilter, function (err, found) {
+        if (err) {
+            return next(err);
+        }
+
+        var translated = found.translated;
+
+        log.debug('ListMachines(%s) => %j', customer, translated);
+
+        res.header('x-query-limit', opts.limit);
+        // The number of machines in this page, not the total matching ones:
+        res.header('x-resource-count', translated.length);
+        setNextPageLink(req, res, opts, found);
+        res.send(translated);
+
+        return next();
+    });
+}
+
+
+/*
+ * List the VMAPI machines for the given vmapi.listVms() options, calling back
+ * with an object including the `vms` passing the NICs filter (see
+ * getNicsFilter), together with their `translated` versions, and whether
+ * there may be `more` of them past the last one.
+ *
+ * The NICs filter can't be part of the VMAPI query, so when given one we keep
+ * fetching VMAPI pages, following the last machine of each, until we have
+ * `opts.limit` machines passing it or there are no more machines.
+ */
+function findMachines(req, opts, nicsFilter, cb) {
+    var attribute = getSort(req).attribute;
+    var found = {
+        vms: [],
+        translated: [],
+        more: false
+    };
+
+    function addNetworks(machine, next) {
+        loadNetworkUuids(req, machine, next);
+    }
+
+    function listPage(pageOpts) {
+        req.sdc.vmapi.listVms(pageOpts, {
+            log: req.log,
+            headers: {
+                'x-request-id': req.getId()
+            }
+        }, function (err, machines) {
+            if (err) {
+                return cb(err);
+            }
+
+            return vasync.forEachPipeline({
+                inputs: machines,
+                func: addNetworks
+            }, function (err2) {
+                if (err2) {
+                    return cb(err2);
+                }
+
+                // VMAPI gives at most `limit` machines, unless told
+                // otherwise (e.g. by the advanced search):
+                var full = (machines.length >= opts.limit);
+
+                // NB: machines was mutated by the addNetworks() calls.
+                for (var i = 0; i < machines.length; i++) {
+                    if (found.vms.length === opts.limit) {
+                        found.more = true;
+                        return cb(null, found);
+                    }
+
+                    var translated = translate(machines[i], req);
+                    if (!nicsFilter || nicsFilter(machines[i], translated)) {
+                        found.vms.push(machines[i]);
+                        found.translated.push(translated);
+                    }
+                }
+
+                // Raw advanced search queries are not paged through:
+                if (!full || !nicsFilter || pageOpts.query ||
+                    found.vms.length === opts.limit) {
+                    found.more = full;
+                    return cb(null, found);
+                }
+
+                var nextOpts = {};
+                Object.keys(pageOpts).forEach(function (k) {
+                    nextOpts[k] = pageOpts[k];
+                });
+                delete nextOpts.offset;
+                nextOpts.marker = JSON.stringify(getMarker(
+                    machines[machines.length - 1], attribute));
+
+                return listPage(nextOpts);
+            });
+        });
+    }
+
+    return listPage(opts);
+}
+
+
+function get(req, res, next) {
+    assert.ok(req.sdc);
+    if (req.accountMgmt) {
+        resources.getRoleTags(req, res);
+    }
+    var customer = req.account.uuid,
+        log = req.log,
+        name = req.params.machine;
+    // Already preloaded by loadMachine:
+    log.debug('GetMachine(%s/%s) => %j', customer, name, req.machine);
     res.send((req.machine.state === 'deleted' ? 410 : 200), req.machine);
     return next();
 }
 
 
+/*
+ * When given `wait_for_state`, hold GetMachine until the machine reaches that
+ * state, reloading it every WAIT_POLL_INTERVAL, or fail with a 408 once
+ * `timeout` seconds have passed. The machine is returned right away when it
+ * reaches a final state other than the one requested.
+ */
+function waitForState(req, res, next) {
+    var state = req.params.wait_for_state;
+
+    if (state === undefined) {
+        return next();
+    }
+
+    if (MACHINE_STATES.indexOf(state) === -1) {
+        return next(new InvalidArgumentError('%s is not a valid state',
+            state));
+    }
+
+    var timeout = DEFAULT_WAIT_TIMEOUT;
+    if (req.params.timeout !== undefined) {
+        timeout = Number(req.params.timeout);
+        if (!isInteger(timeout) || timeout < 1 || timeout > MAX_WAIT_TIMEOUT) {
+            return next(new InvalidArgumentError('timeout must be an ' +
+                'integer between 1 and %d', MAX_WAIT_TIMEOUT));
+        }
+    }
+
+    var log = req.log;
+    var deadline = Date.now() + timeout * 1000;
+    var closed = false;
+
+    // Don't let the socket idle timeout hang up on us while waiting:
+    if (req.connection && req.connection.setTimeout) {
+        req.connection.setTimeout((timeout + 10) * 1000);
+    }
+
+    req.once('close', function () {
+        closed = true;
+    });
+
+    function check() {
+        var current = req.machine.state;
+
+        if (current === state || FINAL_STATES.indexOf(current) !== -1) {
+            return next();
+        }
+
+        if (closed) {
+            log.debug('GetMachine(%s): client went away while waiting for ' +
+                '%s', req.params.machine, state);
+            return next(false);
+        }
+
+        if (Date.now() + WAIT_POLL_INTERVAL > deadline) {
+            return next(new RequestTimeoutError('Timed out waiting for ' +
+                'machine %s to be %s (currently %s)', req.params.machine,
+                state, current));
+        }
+
+        return setTimeout(function () {
+            loadMachine(req, res, function (err) {
+                if (err) {
+                    return next(err);
+                }
+
+                return check();
+            });
+        }, WAIT_POLL_INTERVAL);
+    }
+
+    return check();
+}
+
+
 function start(req, res, next) {
     if (req.params.action !== 'start') {
         return next();
@@ -1439,22 +2207,8 @@ function start(req, res, next) {
         return next();
     }
 
-    return req.sdc.vmapi.startVm({
-        uuid: req.params.machine,
-        owner_uuid: req.account.uuid,
-        origin: req.params.origin || 'cloudapi',
-        creator_uuid: req.account.uuid,
-        // Audit:
-        context: {
-            caller: req._auditCtx,
-            params: req.params
-        }
-    }, {
-        log: req.log,
-        headers: {
-            'x-request-id': req.getId()
-        }
-    }, updateCallback(req, res, next));
+    return machineAction(req, req.machine, 'start',
+        updateCallback(req, res, next));
 }
 
 
@@ -1468,22 +2222,8 @@ function stop(req, res, next) {
         return next();
     }
 
-    return req.sdc.vmapi.stopVm({
-        uuid: req.params.machine,
-        owner_uuid: req.account.uuid,
-        origin: req.params.origin || 'cloudapi',
-        creator_uuid: req.account.uuid,
-        // Audit:
-        context: {
-            caller: req._auditCtx,
-            params: req.params
-        }
-    }, {
-        log: req.log,
-        headers: {
-            'x-request-id': req.getId()
-        }
-    }, updateCallback(req, res, next));
+    return machineAction(req, req.machine, 'stop',
+        updateCallback(req, res, next));
 }
 
 
@@ -1497,22 +2237,28 @@ function reboot(req, res, next) {
         return next();
     }
 
-    return req.sdc.vmapi.rebootVm({
-        uuid: req.params.machine,
-        owner_uuid: req.account.uuid,
-        origin: req.params.origin || 'cloudapi',
-        creator_uuid: req.account.uuid,
-        // Audit:
-        context: {
-            caller: req._auditCtx,
-            params: req.params
-        }
-    }, {
-        log: req.log,
-        headers: {
-            'x-request-id': req.getId()
-        }
-    }, updateCallback(req, res, next));
+    return machineAction(req, req.machine, 'reboot',
+        updateCallback(req, res, next));
+}
+
+
+/*
+ * The machine size before and after a resize, kept into the job context so
+ * MachineAudit can tell what changed (see audit.js).
+ */
+function resizeBefore(req) {
+    return {
+        'package': req.machine['package'],
+        memory: req.machine.memory
+    };
+}
+
+
+function resizeAfter(req) {
+    return {
+        'package': req.pkg.name,
+        memory: req.pkg.max_physical_memory
+    };
 }
 
 
@@ -1533,86 +2279,459 @@ function resize(req, res, next) {
     // it probably doesn't hurt (too much) to have redundant checks, since we're
     // facing the Internet. Bugs happen; best fail closed.
 
-    // KVM resize is not supported at the moment. VMAPI will move to return this
-    // error synchronously instead
-    if (req.machine.type === 'virtualmachine') {
-        return next(new InvalidArgumentError('resize is not supported for ' +
-            'KVM virtualmachines'));
-    }
+    // Don't let the user resize to the default
+    if (!req.pkg) {
+        if (req.params['package']) {
+            return next(new InvalidArgumentError('%s is not a valid package',
+                                                    req.params['package']));
+        }
+        return next(new MissingParameterError('package must be specified'));
+    }
+
+    if (!req.pkg.active) {
+        return next(new InvalidArgumentError('%s is inactive. ' +
+                    'Must use an active package', req.params['package']));
+    }
+
+    var imgReq = req.dataset.requirements;
+    var pkgRam = req.pkg.max_physical_memory;
+
+    if (imgReq && imgReq.min_ram > pkgRam) {
+        return next(new InvalidArgumentError(
+                    'Package RAM (%s) is less than allowed by the image (%s)',
+                    pkgRam, imgReq.min_ram));
+    }
+
+    if (imgReq && imgReq.max_ram < pkgRam) {
+        return next(new InvalidArgumentError(
+                    'Package RAM (%s) is more than allowed by the image (%s)',
+                    pkgRam, imgReq.max_ram));
+    }
+
+    if (req.machine.type === 'virtualmachine') {
+        return resizeKvm(req, res, next);
+    }
+
+    var callback = updateCallback(req, res, next),
+        params = {
+            uuid: req.params.machine,
+            owner_uuid: req.account.uuid,
+            origin: req.params.origin || 'cloudapi',
+            creator_uuid: req.account.uuid,
+            payload: {
+                'package': req.pkg.uuid,
+                max_physical_memory: pkgRam,
+                ram: pkgRam,
+                max_swap: req.pkg.max_swap,
+                quota: Math.ceil(Number(req.pkg.quota) / 1024),
+                cpu_cap: req.pkg.cpu_cap,
+                max_lwps: req.pkg.max_lwps,
+                zfs_io_priority: req.pkg.zfs_io_priority,
+                vcpus: req.pkg.vcpus,
+                billing_id: req.pkg.uuid
+            }
+        };
+
+    // PUBAPI-444: Trying to figure out where do we have the missing resize
+    // params happening just some times, found it was due to missing package
+    // on random cases. If we don't have a package to resize loaded, we rather
+    // fail early.
+    req.log.info({
+        request_params: req.params,
+        req_pkg: req.pkg,
+        params: params
+    }, 'updateVm resize params');
+
+    if (!req.pkg) {
+        return next(new InternalError('Unable to load the requested package'));
+    }
+    // Audit:
+    params.context = {
+        caller: req._auditCtx,
+        params: req.params,
+        before: resizeBefore(req),
+        after: resizeAfter(req)
+    };
+    return req.sdc.vmapi.updateVm(params, {
+        log: req.log,
+        headers: {
+            'x-request-id': req.getId()
+        }
+    }, callback);
+}
+
+
+/*
+ * KVM machines only pick up RAM and vCPUs changes when their hardware VM is
+ * started, so running machines get rebooted (a full stop/start cycle for KVM)
+ * right after the update job, which is queued together with the reboot one.
+ * When given `resize_disk`, the data disk is also grown up to the package
+ * quota. Disks cannot be shrunk.
+ */
+function resizeKvm(req, res, next) {
+    var log = req.log;
+    var pkg = req.pkg;
+    var resizeDisk;
+
+    try {
+        resizeDisk = getBoolean(req.params, 'resize_disk');
+    } catch (e) {
+        return next(e);
+    }
+
+    var diskSize = parseInt(pkg.quota, 10);
+    if (resizeDisk && diskSize < req.machine.disk) {
+        return next(new InvalidArgumentError('Package disk (%s) is less than ' +
+            'the machine data disk (%s), which cannot be shrunk', diskSize,
+            req.machine.disk));
+    }
+
+    var options = {
+        log: log,
+        headers: {
+            'x-request-id': req.getId()
+        }
+    };
+    var params = {
+        uuid: req.params.machine,
+        owner_uuid: req.account.uuid,
+        origin: req.params.origin || 'cloudapi',
+        creator_uuid: req.account.uuid,
+        payload: {
+            'package': pkg.uuid,
+            ram: pkg.max_physical_memory,
+            cpu_cap: pkg.cpu_cap,
+            zfs_io_priority: pkg.zfs_io_priority,
+            vcpus: pkg.vcpus,
+            billing_id: pkg.uuid
+        },
+        // Audit:
+        context: {
+            caller: req._auditCtx,
+            params: req.params,
+            before: resizeBefore(req),
+            after: resizeAfter(req)
+        }
+    };
+    var updateJob, rebootJob;
+
+    function getDisks(_, cb) {
+        if (!resizeDisk || diskSize === req.machine.disk) {
+            return cb();
+        }
+
+        return req.sdc.vmapi.getVm({
+            uuid: req.params.machine,
+            owner_uuid: req.account.uuid,
+            fields: 'disks'
+        }, options, function (err, vm) {
+            if (err) {
+                return cb(err);
+            }
+
+            var disk = vm.disks && vm.disks[1];
+            if (!disk || !disk.path) {
+                return cb(new InvalidArgumentError('Machine %s has no data ' +
+                    'disk to resize', req.params.machine));
+            }
+
+            params.payload.update_disks = [ {
+                path: disk.path,
+                size: diskSize
+            } ];
+            return cb();
+        });
+    }
+
+    function update(_, cb) {
+        log.info({
+            request_params: req.params,
+            req_pkg: pkg,
+            params: params
+        }, 'updateVm KVM resize params');
+
+        return req.sdc.vmapi.updateVm(params, options, function (err, job) {
+            updateJob = job;
+            return cb(err);
+        });
+    }
+
+    // VMAPI runs the jobs of a machine one at a time, in the order they were
+    // queued, so the reboot only starts once the update job has finished:
+    function reboot(_, cb) {
+        if (req.machine.state !== 'running') {
+            return cb();
+        }
+
+        return machineAction(req, req.machine, 'reboot',
+                function (err, job) {
+            rebootJob = job;
+            return cb(err);
+        });
+    }
+
+    return vasync.pipeline({
+        funcs: [getDisks, update, reboot]
+    }, function (err) {
+        if (err) {
+            return next(err);
+        }
+
+        log.debug('resize (%s/%s): ok', req.account.login,
+            req.params.machine);
+        jobs.setJobHeader(res, updateJob);
+        if (!rebootJob) {
+            res.send(202);
+        } else {
+            res.send(202, {
+                jobs: [updateJob.job_uuid, rebootJob.job_uuid]
+            });
+        }
+        return next(false);
+    });
+}
+
+
+/*
+ * Run the given restify handlers in order as part of the current route chain,
+ * which is stopped once they're done.
+ */
+function runHandlers(handlers, req, res, next) {
+    var i = 0;
+
+    function step(arg) {
+        if (arg !== undefined || i === handlers.length) {
+            return next(arg === undefined ? false : arg);
+        }
+
+        return handlers[i++](req, res, step);
+    }
+
+    return step();
+}
+
+
+/*
+ * Authorize subusers to run `routename` on the given collection (e.g.
+ * `machines`) of the account, as if they were calling the route creating
+ * resources on it. Needed when a request creates more than the resource it's
+ * authorized for, like cloning a machine.
+ */
+function authorizeCollection(req, res, collection, routename, cb) {
+    if (!req.accountMgmt || !req.subuser) {
+        return cb();
+    }
+
+    var creq = Object.create(req);
+    var path = sprintf('/%s/%s', req.params.account, collection);
+
+    creq.machine = undefined;
+    creq.path = function () {
+        return path;
+    };
+    creq.resourcename = path;
+    creq.routename = routename;
+
+    return resources.loadResource(creq, res, function (err) {
+        if (err) {
+            return cb(err);
+        }
+
+        return auth.authorize(creq, res, cb);
+    });
+}
+
+
+/*
+ * Provision a copy of the machine, using its image, package, networks,
+ * metadata, tags and firewall status, unless given a different `image`,
+ * `name`, `package` or `networks`. The copy is created through the
+ * CreateMachine handlers (including provisioning plugins), so it accepts the
+ * same params, and subusers need to be allowed to CreateMachine too.
+ *
+ * When given `from_snapshot`, a new image is created from the machine instead,
+ * and the request returns with the image being created. The copy is then
+ * provisioned by cloning the machine again with the new `image`.
+ */
+function cloneMachine(pre, post) {
+    var handlers = [replayCreate].concat(pre || [], ensureDataset,
+        ensurePackage, checkPassword, loadSSHKeys, create, post || []);
+
+    return function clone(req, res, next) {
+        if (req.params.action !== 'clone') {
+            return next();
+        }
+
+        if (req.machine.state === 'deleted') {
+            res.send(410, req.machine);
+            return next();
+        }
+
+        var fromSnapshot;
+        try {
+            fromSnapshot = getBoolean(req.params, 'from_snapshot');
+        } catch (e) {
+            return next(e);
+        }
+
+        var log = req.log;
+        var options = {
+            log: log,
+            headers: {
+                'x-request-id': req.getId()
+            }
+        };
+        var source;
+
+        function authorizeClone(_, cb) {
+            if (fromSnapshot) {
+                return authorizeCollection(req, res, 'images',
+                    'createimagefrommachine', cb);
+            }
+
+            return authorizeCollection(req, res, 'machines', 'createmachine',
+                cb);
+        }
+
+        function getSource(_, cb) {
+            return req.sdc.vmapi.getVm({
+                uuid: req.params.machine,
+                owner_uuid: req.account.uuid,
+                fields: '*'
+            }, options, function (err, vm) {
+                source = vm;
+                return cb(err);
+            });
+        }
+
+        function getPackage(_, cb) {
+            if (req.pkg) {
+                return cb();
+            }
+
+            return req.sdc.papi.get(source.billing_id, {},
+                    function (err, pkg) {
+                if (err) {
+                    return cb(err);
+                }
+
+                req.pkg = pkg;
+                return cb();
+            });
+        }
+
+        function setParams(_, cb) {
+            var params = req.params;
+
+            if (!req.dataset) {
+                return cb(new InvalidArgumentError('The image of machine %s ' +
+                    'is no longer available, use from_snapshot to clone it',
+                    source.uuid));
+            }
+
+            if (!params.networks) {
+                params.networks = cloneNetworks(req, source);
+            }
+
+            if (params.firewall_enabled === undefined &&
+                source.firewall_enabled !== undefined) {
+                params.firewall_enabled = source.firewall_enabled;
+            }
 
-    // Don't let the user resize to the default
-    if (!req.pkg) {
-        if (req.params['package']) {
-            return next(new InvalidArgumentError('%s is not a valid package',
-                                                    req.params['package']));
-        }
-        return next(new MissingParameterError('package must be specified'));
-    }
+            // Metadata and tags given with the request take precedence:
+            [ ['metadata.', source.customer_metadata],
+                ['tag.', source.tags] ].forEach(function (src) {
+                Object.keys(src[1] || {}).forEach(function (k) {
+                    if (params[src[0] + k] === undefined) {
+                        params[src[0] + k] = src[1][k];
+                    }
+                });
+            });
 
-    if (!req.pkg.active) {
-        return next(new InvalidArgumentError('%s is inactive. ' +
-                    'Must use an active package', req.params['package']));
-    }
+            return cb();
+        }
 
-    var imgReq = req.dataset.requirements;
-    var pkgRam = req.pkg.max_physical_memory;
+        if (fromSnapshot) {
+            return vasync.pipeline({
+                funcs: [authorizeClone, getSource]
+            }, function (err) {
+                if (err) {
+                    return next(err);
+                }
 
-    if (imgReq && imgReq.min_ram > pkgRam) {
-        return next(new InvalidArgumentError(
-                    'Package RAM (%s) is less than allowed by the image (%s)',
-                    pkgRam, imgReq.min_ram));
-    }
+                return createCloneImage(req, res, source, next);
+            });
+        }
 
-    if (imgReq && imgReq.max_ram < pkgRam) {
-        return next(new InvalidArgumentError(
-                    'Package RAM (%s) is more than allowed by the image (%s)',
-                    pkgRam, imgReq.max_ram));
-    }
+        // The source machine may change before a request with the same
+        // idempotency key is retried, so only the params given are hashed:
+        req.givenParams = {};
+        Object.keys(req.params).forEach(function (k) {
+            req.givenParams[k] = req.params[k];
+        });
 
-    var callback = updateCallback(req, res, next),
-        params = {
-            uuid: req.params.machine,
-            owner_uuid: req.account.uuid,
-            origin: req.params.origin || 'cloudapi',
-            creator_uuid: req.account.uuid,
-            payload: {
-                'package': req.pkg.uuid,
-                max_physical_memory: pkgRam,
-                ram: pkgRam,
-                max_swap: req.pkg.max_swap,
-                quota: Math.ceil(Number(req.pkg.quota) / 1024),
-                cpu_cap: req.pkg.cpu_cap,
-                max_lwps: req.pkg.max_lwps,
-                zfs_io_priority: req.pkg.zfs_io_priority,
-                vcpus: req.pkg.vcpus,
-                billing_id: req.pkg.uuid
+        return vasync.pipeline({
+            funcs: [authorizeClone, getSource, getPackage, setParams]
+        }, function (err) {
+            if (err) {
+                return next(err);
             }
-        };
 
-    // PUBAPI-444: Trying to figure out where do we have the missing resize
-    // params happening just some times, found it was due to missing package
-    // on random cases. If we don't have a package to resize loaded, we rather
-    // fail early.
-    req.log.info({
-        request_params: req.params,
-        req_pkg: req.pkg,
-        params: params
-    }, 'updateVm resize params');
+            log.debug({params: req.params}, 'clone (%s): create params',
+                source.uuid);
+            return runHandlers(handlers, req, res, next);
+        });
+    };
+}
 
-    if (!req.pkg) {
-        return next(new InternalError('Unable to load the requested package'));
-    }
-    // Audit:
-    params.context = {
-        caller: req._auditCtx,
-        params: req.params
+
+/*
+ * Create the image to clone the given machine from. There's no waiting for it
+ * to be created: the request returns the image, and its job, right away.
+ */
+function createCloneImage(req, res, vm, next) {
+    var data = {
+        name: vm.alias || vm.uuid.split('-')[0],
+        version: String(Date.now()),
+        description: sprintf('Snapshot of %s for cloning', vm.uuid)
     };
-    return req.sdc.vmapi.updateVm(params, {
-        log: req.log,
-        headers: {
-            'x-request-id': req.getId()
+
+    return images.createImageFromMachine(req, data, vm.uuid,
+            function (err, job) {
+        if (err) {
+            return next(err);
         }
-    }, callback);
+
+        data.uuid = job.image_uuid;
+        data.state = 'creating';
+        req.log.debug('clone (%s): creating image %s', vm.uuid,
+            job.image_uuid);
+
+        jobs.setJobHeader(res, job);
+        res.header('Location', sprintf('/%s/images/%s', req.account.login,
+            job.image_uuid));
+        res.send(202, images.translate(req, data));
+        return next(false);
+    });
+}
+
+
+/*
+ * Networks for a clone, in the same order than the source machine NICs. NICs
+ * on networks which are part of a network pool are given the pool instead,
+ * given it's the pool which the account can provision on.
+ */
+function cloneNetworks(req, vm) {
+    return (vm.nics || []).map(function (nic) {
+        var net = req.networks.filter(function (n) {
+            return (n.uuid === nic.network_uuid || (n.networks &&
+                n.networks.some(function (poolNet) {
+                    return (poolNet.uuid === nic.network_uuid);
+                })));
+        })[0];
+
+        return (net ? net.uuid : nic.network_uuid);
+    });
 }
 
 
@@ -1655,7 +2774,13 @@ function rename(req, res, next) {
         // Audit:
         context: {
             caller: req._auditCtx,
-            params: req.params
+            params: req.params,
+            before: {
+                alias: req.machine.name
+            },
+            after: {
+                alias: req.params.name
+            }
         },
         payload: {
             alias: req.params.name
@@ -1679,31 +2804,8 @@ function enable_firewall(req, res, next) {
         return next();
     }
 
-    // No need to queue a job if it's already enabled
-    if (req.machine.firewall_enabled === true) {
-        res.send(202);
-        return next(false);
-    }
-
-    return req.sdc.vmapi.updateVm({
-        uuid: req.params.machine,
-        owner_uuid: req.account.uuid,
-        origin: req.params.origin || 'cloudapi',
-        creator_uuid: req.account.uuid,
-        payload: {
-            firewall_enabled: true
-        },
-        // Audit:
-        context: {
-            caller: req._auditCtx,
-            params: req.params
-        }
-    }, {
-        log: req.log,
-        headers: {
-            'x-request-id': req.getId()
-        }
-    }, updateCallback(req, res, next));
+    return machineAction(req, req.machine, 'enable_firewall',
+        updateCallback(req, res, next));
 }
 
 
@@ -1717,31 +2819,289 @@ function disable_firewall(req, res, next) {
         return next();
     }
 
-    // No need to queue a job if it's already enabled
-    if (req.machine.firewall_enabled === false) {
-        res.send(202);
-        return next(false);
-    }
+    return machineAction(req, req.machine, 'disable_firewall',
+        updateCallback(req, res, next));
+}
 
-    return req.sdc.vmapi.updateVm({
-        uuid: req.params.machine,
+
+/*
+ * Queue the VMAPI job for one of the BULK_ACTIONS on the given (translated)
+ * machine. Calls back with the VMAPI response including the job_uuid, or with
+ * no response at all when there was nothing to do.
+ */
+function machineAction(req, machine, action, cb) {
+    var params = {
+        uuid: machine.id,
         owner_uuid: req.account.uuid,
         origin: req.params.origin || 'cloudapi',
         creator_uuid: req.account.uuid,
-        payload: {
-            firewall_enabled: false
-        },
         // Audit:
         context: {
             caller: req._auditCtx,
             params: req.params
         }
-    }, {
+    };
+    var options = {
         log: req.log,
         headers: {
             'x-request-id': req.getId()
         }
-    }, updateCallback(req, res, next));
+    };
+    var vmapi = req.sdc.vmapi;
+
+    switch (action) {
+    case 'start':
+        return vmapi.startVm(params, options, cb);
+    case 'stop':
+        return vmapi.stopVm(params, options, cb);
+    case 'reboot':
+        return vmapi.rebootVm(params, options, cb);
+    case 'enable_firewall':
+    case 'disable_firewall':
+        var enabled = (action === 'enable_firewall');
+        // No need to queue a job if it's already enabled/disabled
+        if (machine.firewall_enabled === enabled) {
+            return cb();
+        }
+
+        params.payload = {
+            firewall_enabled: enabled
+        };
+        params.context.before = {
+            firewall_enabled: Boolean(machine.firewall_enabled)
+        };
+        params.context.after = {
+            firewall_enabled: enabled
+        };
+        return vmapi.updateVm(params, options, cb);
+    default:
+        return cb(new InvalidArgumentError('%s is not a valid action',
+            action));
+    }
+}
+
+
+/*
+ * Run one of the BULK_ACTIONS for a selection of machines, given either as
+ * a list of `machines` UUIDs, ListMachines filters, or both. Responds with the
+ * result for each one of the machines, so a failure for any of them doesn't
+ * prevent the action from being run for the others.
+ */
+function bulkAction(req, res, next) {
+    // Without an action, this is a CreateMachine request:
+    if (req.params.action === undefined) {
+        return next();
+    }
+
+    var action = req.params.action;
+    var log = req.log;
+
+    if (BULK_ACTIONS.indexOf(action) === -1) {
+        return next(new InvalidArgumentError('%s is not a valid action',
+            action));
+    }
+
+    try {
+        var uuids = getBulkMachines(req);
+        var opts = getListOptions(req);
+        var nicsFilter = getNicsFilter(req);
+    } catch (e) {
+        if (e.name === 'InvalidArgumentError') {
+            return next(e);
+        } else {
+            throw (e);
+        }
+    }
+
+    var selected = Object.keys(req.params).some(function (k) {
+        return (TAG_RE.test(k) || BULK_SELECTORS.indexOf(k) !== -1);
+    });
+
+    if (!uuids && !selected) {
+        return next(new MissingParameterError('machines or any ListMachines ' +
+            'filter is required'));
+    }
+
+    // Pagination doesn't apply here; we'll refuse to act on more than
+    // MAX_BULK_MACHINES instead:
+    delete opts.offset;
+    delete opts.marker;
+    opts.limit = MAX_BULK_MACHINES + 1;
+    opts.owner_uuid = req.account.uuid;
+    // We need the machine role tags for authorization:
+    opts.fields = '*';
+
+    if (uuids) {
+        var byUuid = {
+            or: uuids.map(function (u) {
+                return { eq: [ 'uuid', u ] };
+            })
+        };
+
+        opts.predicate = JSON.stringify(opts.predicate ?
+            { and: [ JSON.parse(opts.predicate), byUuid ] } : byUuid);
+    }
+
+    return findMachines(req, opts, nicsFilter, function (err, found) {
+        if (err) {
+            return next(err);
+        }
+
+        if (found.vms.length > MAX_BULK_MACHINES) {
+            return next(new InvalidArgumentError('Bulk actions can be run ' +
+                'for up to %d machines at once', MAX_BULK_MACHINES));
+        }
+
+        var results = [];
+        var routename = ACTION_ROUTENAMES[action] || action + 'machine';
+
+        function runAction(i, cb) {
+            var machine = found.translated[i];
+            var result = {
+                id: machine.id,
+                action: action
+            };
+            results.push(result);
+
+            authorizeMachine(req, res, found.vms[i], routename,
+                    function (authErr) {
+                if (authErr) {
+                    result.error = toResultError(authErr);
+                    return cb();
+                }
+
+                return machineAction(req, machine, action,
+                        function (actErr, job) {
+                    if (actErr) {
+                        log.debug(actErr, 'BulkMachineAction %s (%s/%s) ' +
+                            'failed', action, req.account.login, machine.id);
+                        result.error = toResultError(actErr);
+                    } else if (job) {
+                        result.job_uuid = job.job_uuid;
+                    }
+
+                    return cb();
+                });
+            });
+        }
+
+        return vasync.forEachPipeline({
+            inputs: Object.keys(found.translated),
+            func: runAction
+        }, function (err2) {
+            if (err2) {
+                return next(err2);
+            }
+
+            // Let callers know about those machines they asked for
+            // explicitly, but which aren't theirs or don't match the filters:
+            (uuids || []).forEach(function (u) {
+                var done = results.some(function (r) {
+                    return (r.id === u);
+                });
+
+                if (!done) {
+                    results.push({
+                        id: u,
+                        action: action,
+                        error: toResultError(new ResourceNotFoundError(
+                            '%s not found', u))
+                    });
+                }
+            });
+
+            log.debug('BulkMachineAction %s (%s) => %j', action,
+                req.account.login, results);
+            res.send(202, results);
+            return next(false);
+        });
+    });
+}
+
+
+/*
+ * Machine UUIDs for bulk actions can be given either as a JSON array or as
+ * a comma separated list.
+ */
+function getBulkMachines(req) {
+    var machines = req.params.machines;
+
+    if (machines === undefined) {
+        return null;
+    }
+
+    if (typeof (machines) === 'string') {
+        machines = machines.split(',');
+    }
+
+    if (!Array.isArray(machines) || machines.length === 0) {
+        throw new InvalidArgumentError('machines must be a list of UUIDs');
+    }
+
+    machines.forEach(function (m) {
+        if (typeof (m) !== 'string' || !UUID_RE.test(m)) {
+            throw new InvalidArgumentError('%s is not a valid machine UUID',
+                m);
+        }
+    });
+
+    if (machines.length > MAX_BULK_MACHINES) {
+        throw new InvalidArgumentError('Bulk actions can be run for up to ' +
+            '%d machines at once', MAX_BULK_MACHINES);
+    }
+
+    return machines;
+}
+
+
+/*
+ * Authorize subusers to run `routename` for the given VMAPI machine exactly as
+ * if they were calling the route for that machine alone, which is needed
+ * whenever a request deals with more than one machine. Bulk actions, for
+ * example, are authorized as ListMachines, given they need to find the
+ * machines first.
+ */
+function authorizeMachine(req, res, vm, routename, cb) {
+    if (!req.accountMgmt || !req.subuser) {
+        return cb();
+    }
+
+    var mreq = Object.create(req);
+    var path = sprintf('/%s/machines/%s', req.params.account, vm.uuid);
+
+    mreq.machine = translate(vm, req);
+    mreq.path = function () {
+        return path;
+    };
+    mreq.routename = routename;
+    mreq.resource = {
+        name: path,
+        account: req.account.uuid,
+        roles: []
+    };
+
+    if (!vm.role_tags || !vm.role_tags.length) {
+        return auth.authorize(mreq, res, cb);
+    }
+
+    return preloadGroups(mreq, vm.role_tags, {
+        searchby: 'uuid'
+    }, function (err, roles) {
+        if (err) {
+            return cb(err);
+        }
+
+        mreq.resource.roles = roles;
+        return auth.authorize(mreq, res, cb);
+    });
+}
+
+
+function toResultError(err) {
+    return {
+        code: err.restCode || err.code || 'InternalError',
+        message: err.message
+    };
 }
 
 
@@ -1766,12 +3126,13 @@ function del(req, res, next) {
         headers: {
             'x-request-id': req.getId()
         }
-    }, function (err, jobs) {
+    }, function (err, destroyJobs) {
         if (err) {
             return next(err);
         }
 
-        var execution = jobs[0] && jobs[0].execution;
+        var job = destroyJobs[0];
+        var execution = job && job.execution;
 
         if (execution === 'succeeded') {
             res.send(410, machine);
@@ -1779,6 +3140,7 @@ function del(req, res, next) {
         }
 
         if (execution === 'running') {
+            jobs.setJobHeader(res, {job_uuid: job.uuid});
             res.send(204);
             return next();
         }
@@ -1798,20 +3160,27 @@ function del(req, res, next) {
             headers: {
                 'x-request-id': req.getId()
             }
-        }, function (err2) {
+        }, function (err2, deleteJob) {
             if (err2) {
                 return next(err2);
             }
 
             log.debug('rm %s/%s successful', req.account.login, machine);
-            res.send(204);
-            return next();
-        });
-    });
-
-
 
+            // The snapshots are going away with the machine, and so do their
+            // descriptions and tags:
+            return snapshots.deleteMetadata(req.sdc.store, machine, null,
+                    function (err3) {
+                if (err3) {
+                    log.error(err3, 'error removing snapshots metadata');
+                }
 
+                jobs.setJobHeader(res, deleteJob);
+                res.send(204);
+                return next();
+            });
+        });
+    });
 }
 
 
@@ -1873,6 +3242,8 @@ function mount(server, before, pre, post) {
             name: 'CreateMachine'
         },
         before,
+        bulkAction,
+        replayCreate,
         pre || [],
         imageToDataset,
         ensureDataset,
@@ -1899,6 +3270,7 @@ function mount(server, before, pre, post) {
         resize,
         enable_firewall,
         disable_firewall,
+        cloneMachine(pre, post),
         function invalidAction7(req, res, next) {
             if (req.params.action) {
                 return next(new InvalidArgumentError('%s is not a valid action',
@@ -1943,6 +3315,7 @@ function mount(server, before, pre, post) {
             name: 'GetMachine'
         },
         before,
+        waitForState,
         get);
 
     server.head(
@@ -1951,6 +3324,7 @@ function mount(server, before, pre, post) {
             name: 'HeadMachine'
         },
         before,
+        waitForState,
         get);
 
     server.del(
@@ -1969,5 +3343,6 @@ function mount(server, before, pre, post) {
 
 module.exports = {
     mount: mount,
-    loadMachine: loadMachine
+    loadMachine: loadMachine,
+    authorizeMachine: authorizeMachine
 };
@@ -13,12 +13,17 @@ var util = require('util');
 var vasync = require('vasync');
 var restify = require('restify');
 
+var jobs = require('./jobs');
+
 
 ///--- Globals
 
 var ResourceNotFoundError = restify.ResourceNotFoundError;
 var InvalidArgumentError = restify.InvalidArgumentError;
 
+// Internal metadata keys used by CloudAPI itself, which aren't credentials:
+var INTERNAL_KEY_RE = /^cloudapi:/;
+
 
 ///--- Functions
 
@@ -116,10 +121,10 @@ function add(req, res, next) {
             }
         });
         log.debug('POST %s -> %j', req.path(), allMeta);
-        // Add an extra header intended to be used by 7.0 consumers mostly
-        // TODO: Replace this with the job location instead, once we can
-        // provide access to such location through Cloud API
+        // x-job-uuid predates x-joyent-jobid, used by all the other routes
+        // queueing jobs, and is kept for 7.0 consumers:
         res.header('x-job-uuid', jobUUID);
+        jobs.setJobHeader(res, {job_uuid: jobUUID});
         res.send(allMeta);
         return next();
     });
@@ -172,7 +177,9 @@ function list(req, res, next) {
 
                 if (Object.keys(md2).length) {
                     Object.keys(md2).forEach(function (k) {
-                        if (/_pw$/.test(k)) {
+                        if (INTERNAL_KEY_RE.test(k)) {
+                            delete md2[k];
+                        } else if (/_pw$/.test(k)) {
                             md2[k.replace(/_pw$/, '')] =
                                 md2[k];
                             delete md2[k];
@@ -222,7 +229,9 @@ function get(req, res, next) {
 
             if (Object.keys(md).length) {
                 Object.keys(md).forEach(function (k) {
-                    if (/_pw$/.test(k)) {
+                    if (INTERNAL_KEY_RE.test(k)) {
+                        delete md[k];
+                    } else if (/_pw$/.test(k)) {
                         md[k.replace(/_pw$/, '')] =
                             md[k];
                         delete md[k];
@@ -290,11 +299,12 @@ function del(req, res, next) {
         headers: {
             'x-request-id': req.getId()
         }
-    }, function (err) {
+    }, function (err, job) {
         if (err) {
             return next(err);
         }
         log.debug('DELETE %s -> ok', req.path());
+        jobs.setJobHeader(res, job);
         res.send(204);
         return next();
     });
@@ -350,12 +360,13 @@ function delAll(req, res, next) {
             headers: {
                 'x-request-id': req.getId()
             }
-        }, function (err1) {
+        }, function (err1, job) {
             if (err1) {
                 return next(err1);
             }
 
             log.debug('DELETE %s -> ok', req.path());
+            jobs.setJobHeader(res, job);
             res.send(204);
             return next();
         });
@@ -176,11 +176,12 @@ function preLoadNetworks(req, res, next) {
     }
 
     // Skip network loading and filtering if we're neither on networks
-    // end-points, creating a machine or updating the user's config
+    // end-points, creating or cloning a machine or updating the user's config
     // (which requires checking network existence)
     if (!/\/networks/.test(pathname) && !((/\/machines$/.test(pathname) &&
-        method === 'POST')) && !(/\/config/.test(pathname) &&
-        method === 'PUT')) {
+        method === 'POST')) && !(/\/machines\/[^\/]+$/.test(pathname) &&
+        method === 'POST' && req.params.action === 'clone') &&
+        !(/\/config/.test(pathname) && method === 'PUT')) {
         return next();
     }
 
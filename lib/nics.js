@@ -45,6 +45,8 @@ var assert  = require('assert-plus');
 var restify = require('restify');
 var vasync  = require('vasync');
 
+var jobs = require('./jobs');
+
 
 
 // --- Globals
@@ -120,7 +122,7 @@ function addNic(req, res, next) {
         return next(new InvalidArgumentError(errMsg));
     }
 
-    var network, nic;  // filled in by the vasync-called functions
+    var network, nic, job;  // filled in by the vasync-called functions
 
     function getNetworkPool(_, cb) {
         req.sdc.napi.getNetworkPool(networkUuid, {
@@ -355,11 +357,12 @@ function addNic(req, res, next) {
         }, {
             log: log,
             headers: headers
-        }, function (err, job) {
+        }, function (err, _job) {
             if (err) {
                 return cb(err);
             }
 
+            job = _job;
             log.debug(job, 'Job created to add NIC to VM');
 
             return cb();
@@ -370,6 +373,7 @@ function addNic(req, res, next) {
         nic = formatNic(nic);
         var path = getNicPath(login, vmUuid, nic.mac);
         res.header('Location', path);
+        jobs.setJobHeader(res, job);
         res.send(201, nic);
 
         return cb();
@@ -479,6 +483,7 @@ function removeNic(req, res, next) {
     }
 
     function writeResult(_, cb) {
+        jobs.setJobHeader(res, job);
         res.send(204);
         return cb();
     }
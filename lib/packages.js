@@ -21,13 +21,35 @@ var util = require('util');
 var semver = require('semver');
 var restify = require('restify');
 
+var filters = require('./filters');
 var resources = require('./resources');
 
 // --- Globals
 
+var InvalidArgumentError = restify.InvalidArgumentError;
 var ResourceNotFoundError = restify.ResourceNotFoundError;
 var UUID_RE = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/;
 
+// ListPackages filters, and the PAPI attributes they're translated into:
+var FILTER_FIELDS = {
+    name: 'name',
+    memory: 'max_physical_memory',
+    disk: 'quota',
+    swap: 'max_swap',
+    lwps: 'max_lwps',
+    version: 'version',
+    vcpus: 'vcpus',
+    group: 'group',
+    os: 'os'
+};
+
+// Filters which also accept ranges, i.e. `memory>=1024&memory<=4096`:
+var RANGE_FIELDS = ['memory', 'disk', 'swap', 'lwps', 'vcpus'];
+
+// Fields of the translated packages ListPackages can be sorted by:
+var SORT_FIELDS = ['name', 'memory', 'disk', 'swap', 'lwps', 'vcpus',
+    'version', 'group'];
+
 
 // --- Helpers
 
@@ -61,6 +83,128 @@ function translate(req, pkg) {
 }
 
 
+/*
+ * Check if a machine could be created using the given image and package, the
+ * same way CreateMachine does: the package RAM must be within the image
+ * min_ram and max_ram requirements, and the package OS, if any, must be the
+ * one of the image.
+ */
+function isCompatible(img, pkg) {
+    var reqs = img.requirements || {};
+    var ram = pkg.max_physical_memory;
+
+    if ((reqs.min_ram && ram < reqs.min_ram) ||
+        (reqs.max_ram && ram > reqs.max_ram)) {
+        return false;
+    }
+
+    return (!pkg.os || pkg.os === img.os);
+}
+
+
+/*
+ * Smaller packages first: by RAM, then disk and then name.
+ */
+function compareSize(a, b) {
+    return ((a.max_physical_memory - b.max_physical_memory) ||
+        (a.quota - b.quota) ||
+        (a.name < b.name ? -1 : (a.name > b.name ? 1 : 0)));
+}
+
+
+function ldapEscape(str) {
+    return String(str).replace(/[\\\*\(\)\0]/g, function (c) {
+        return '\\' + ('0' + c.charCodeAt(0).toString(16)).substr(-2);
+    });
+}
+
+
+/*
+ * Translate the ListPackages params into a PAPI LDAP search filter, which
+ * unlike the plain PAPI search params can also express ranges. Only the
+ * active packages either owned by the account or with no owner at all are
+ * listed. Throws InvalidArgumentError on bad input.
+ */
+function getListFilter(req) {
+    var params = req.params;
+    var clauses = [
+        '(active=true)',
+        util.format('(|(owner_uuids=%s)(!(owner_uuids=*)))',
+            ldapEscape(req.account.uuid))
+    ];
+
+    Object.keys(FILTER_FIELDS).forEach(function (f) {
+        var attr = FILTER_FIELDS[f];
+
+        if (params[f]) {
+            clauses.push(util.format('(%s=%s)', attr, ldapEscape(params[f])));
+        }
+
+        if (RANGE_FIELDS.indexOf(f) === -1) {
+            return;
+        }
+
+        var range = filters.getRange(params, f);
+        if (range && range.ge !== undefined) {
+            clauses.push(util.format('(%s>=%d)', attr, range.ge));
+        }
+        if (range && range.le !== undefined) {
+            clauses.push(util.format('(%s<=%d)', attr, range.le));
+        }
+    });
+
+    return '(&' + clauses.join('') + ')';
+}
+
+
+/*
+ * The sort order is given as `sort=<field>[.asc|.desc]`, like for machines.
+ * Returns a compare function for translated packages, or null when no sort
+ * order was given. Throws InvalidArgumentError on bad input.
+ */
+function getSort(req) {
+    var sort = req.params.sort;
+
+    if (sort === undefined) {
+        return null;
+    }
+
+    var parts = String(sort).split('.');
+    var field = parts[0];
+    var order = parts[1] || 'asc';
+
+    if (SORT_FIELDS.indexOf(field) === -1 || parts.length > 2 ||
+        (order !== 'asc' && order !== 'desc')) {
+        throw new InvalidArgumentError('%s is not a valid sort order. Valid ' +
+            'fields are %s, optionally followed by .asc or .desc', sort,
+            SORT_FIELDS.join(', '));
+    }
+
+    var sign = (order === 'asc') ? 1 : -1;
+
+    return function compare(a, b) {
+        var x = a[field];
+        var y = b[field];
+
+        if (field === 'version' && semver.valid(x) && semver.valid(y)) {
+            return sign * semver.compare(x, y);
+        }
+
+        if (x === y) {
+            return 0;
+        }
+        // Packages without the field go last:
+        if (x === undefined) {
+            return 1;
+        }
+        if (y === undefined) {
+            return -1;
+        }
+        return sign * (x < y ? -1 : 1);
+    };
+}
+
+
 
 // --- Functions
 // TODO: this mother needs a refactor
@@ -79,6 +223,22 @@ function loadPackages(req, res, next) {
 
     req.pkg = false;
 
+    // Packages for a given image: only the active ones the account can use,
+    // then filtered by the image requirements (see listForImage):
+    if (/\/images\/[^\/]+\/packages$/.test(pathname)) {
+        return req.sdc.papi.list({
+            owner_uuids: req.account.uuid,
+            active: true
+        }, {}, function (err, pkgs) {
+            if (err) {
+                return next(err);
+            }
+
+            req.packages = pkgs;
+            return next();
+        });
+    }
+
     // Given packages list applies its own filters, we'd rather skip it here:
     if (/\/packages$/.test(pathname)) {
         return next();
@@ -200,45 +360,17 @@ function list(req, res, next) {
     if (req.accountMgmt) {
         resources.getRoleTags(req, res);
     }
-    var params = req.params;
-    var opts = {};
-
-    if (params.name) {
-        opts.name = params.name;
-    }
 
-    if (req.params.memory) {
-        opts.max_physical_memory = params.memory;
+    var filter;
+    var compare;
+    try {
+        filter = getListFilter(req);
+        compare = getSort(req);
+    } catch (e) {
+        return next(e);
     }
 
-    if (req.params.disk) {
-        opts.quota = params.disk;
-    }
-
-    if (req.params.swap) {
-        opts.max_swap = params.swap;
-    }
-
-    if (req.params.lwps) {
-        opts.max_lwps = params.lwps;
-    }
-
-    if (req.params.version) {
-        opts.version = params.version;
-    }
-
-    if (req.params.vcpus) {
-        opts.vcpus = params.vcpus;
-    }
-
-    if (req.params.group) {
-        opts.group = params.group;
-    }
-
-    opts.active = true;
-    opts.owner_uuids = req.account.uuid;
-
-    return req.sdc.papi.list(opts, {}, function (err, pkgs) {
+    return req.sdc.papi.list(filter, {}, function (err, pkgs) {
         if (err) {
             return next(err);
         }
@@ -247,6 +379,10 @@ function list(req, res, next) {
             return translate(req, p);
         });
 
+        if (compare) {
+            pkgs.sort(compare);
+        }
+
         req.log.debug('GET %s => %j', req.path(), pkgs);
 
         res.send(pkgs);
@@ -274,6 +410,35 @@ function get(req, res, next) {
 }
 
 
+/*
+ * Packages which can be used to create a machine with the given image,
+ * sorted by size.
+ */
+function listForImage(req, res, next) {
+    assert.ok(req.packages);
+
+    if (!req.dataset) {
+        return next(new ResourceNotFoundError('%s not found',
+            req.params.dataset));
+    }
+
+    if (req.accountMgmt) {
+        resources.getRoleTags(req, res);
+    }
+
+    var img = req.dataset;
+    var pkgs = req.packages.filter(function (p) {
+        return isCompatible(img, p);
+    }).sort(compareSize).map(function (p) {
+        return translate(req, p);
+    });
+
+    req.log.debug('GET %s => %j', req.path(), pkgs);
+    res.send(pkgs);
+    return next();
+}
+
+
 
 function mount(server, before) {
     assert.object(server);
@@ -298,6 +463,16 @@ function mount(server, before) {
         name: 'HeadPackage'
     }, before || get, before ? get : undefined);
 
+    server.get({
+        path: '/:account/images/:dataset/packages',
+        name: 'ListImagePackages'
+    }, before || listForImage, before ? listForImage : undefined);
+
+    server.head({
+        path: '/:account/images/:dataset/packages',
+        name: 'HeadImagePackages'
+    }, before || listForImage, before ? listForImage : undefined);
+
     return server;
 }
 
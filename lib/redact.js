@@ -0,0 +1,215 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016, Joyent, Inc.
+ */
+
+/*
+ * Redaction of secrets from the requests and responses audited.
+ *
+ * A redactor is given a deny-list of `headers`, matched case insensitively,
+ * and a list of `paths`, which are patterns for the attributes of JSON objects
+ * (request bodies, query strings, ...) whose values must never be audited.
+ * Paths are made of dot separated segments, where `*` matches anything but a
+ * dot. A path matches an attribute when it matches the last segments of the
+ * attribute path, ignoring arrays, so:
+ *
+ * - `password` matches `password` at any depth (e.g. `user.password`).
+ * - `metadata.*_pw` matches both `{metadata: {root_pw: ...}}` and
+ *   `{'metadata.root_pw': ...}`, the way CreateMachine takes metadata.
+ *
+ * The DEFAULT_HEADERS and DEFAULT_PATHS are always redacted, and the ones
+ * given are added to these.
+ *
+ * Request bodies are usually left unparsed by restify (given `mapParams`), so
+ * JSON and form encoded bodies are parsed for redaction, and given back in the
+ * same encoding. Bodies which can't be parsed are given back as they are.
+ */
+
+var assert = require('assert-plus');
+var querystring = require('querystring');
+var mod_url = require('url');
+
+
+///--- Globals
+
+var REDACTED = '[REDACTED]';
+
+// Credentials given by either clients or proxies, and session cookies:
+var DEFAULT_HEADERS = [
+    'authorization',
+    'proxy-authorization',
+    'x-auth-token',
+    'x-api-key',
+    'cookie',
+    'set-cookie'
+];
+
+var DEFAULT_PATHS = [
+    'password',
+    'password_confirmation',
+    'metadata.*_pw',
+    'credentials'
+];
+
+
+///--- Helpers
+
+function compileSegment(segment) {
+    var re = segment.split('*').map(function (s) {
+        return s.replace(/[\-\[\]\/\{\}\(\)\+\?\.\\\^\$\|]/g, '\\$&');
+    }).join('[^.]*');
+
+    return new RegExp('^' + re + '$', 'i');
+}
+
+
+function compilePath(p) {
+    assert.string(p, 'path');
+
+    return p.split('.').map(compileSegment);
+}
+
+
+/*
+ * Whether the given compiled path matches the end of the given segments.
+ */
+function matchesPath(compiled, segments) {
+    var offset = segments.length - compiled.length;
+
+    if (offset < 0) {
+        return false;
+    }
+
+    return compiled.every(function (re, i) {
+        return re.test(segments[offset + i]);
+    });
+}
+
+
+///--- API
+
+/**
+ * Create a redactor for the given rules.
+ *
+ * @param {Object} opts with optional arrays of `headers` and `paths` to
+ *      redact, besides the default ones.
+ * @return {Object} with the `headers`, `value`, `body` and `url` functions,
+ *      each one returning a redacted copy of the given headers, JSON value,
+ *      HTTP body (given its content type) or URL.
+ */
+function createRedactor(opts) {
+    opts = opts || {};
+    assert.object(opts, 'opts');
+    assert.optionalArrayOfString(opts.headers, 'opts.headers');
+    assert.optionalArrayOfString(opts.paths, 'opts.paths');
+
+    var headers = DEFAULT_HEADERS.concat(opts.headers || []).map(
+            function (h) {
+        return h.toLowerCase();
+    });
+    var paths = DEFAULT_PATHS.concat(opts.paths || []).map(compilePath);
+
+    function isSecret(segments) {
+        return paths.some(function (p) {
+            return matchesPath(p, segments);
+        });
+    }
+
+    function redactValue(value, segments) {
+        if (Array.isArray(value)) {
+            return value.map(function (v) {
+                return redactValue(v, segments);
+            });
+        }
+
+        if (value === null || typeof (value) !== 'object' ||
+            Buffer.isBuffer(value)) {
+            return value;
+        }
+
+        var copy = {};
+        Object.keys(value).forEach(function (k) {
+            var s = segments.concat(k.split('.'));
+            copy[k] = isSecret(s) ? REDACTED : redactValue(value[k], s);
+        });
+
+        return copy;
+    }
+
+    return {
+        headers: function redactHeaders(h) {
+            if (!h) {
+                return h;
+            }
+
+            var copy = {};
+            Object.keys(h).forEach(function (k) {
+                copy[k] = (headers.indexOf(k.toLowerCase()) !== -1) ?
+                    REDACTED : h[k];
+            });
+
+            return copy;
+        },
+
+        value: function value(v) {
+            return redactValue(v, []);
+        },
+
+        body: function body(b, contentType) {
+            if (Buffer.isBuffer(b)) {
+                b = b.toString('utf8');
+            }
+
+            if (typeof (b) !== 'string') {
+                return redactValue(b, []);
+            }
+
+            if (/application\/x-www-form-urlencoded/.test(contentType)) {
+                return querystring.stringify(
+                    redactValue(querystring.parse(b), []));
+            }
+
+            try {
+                return JSON.stringify(redactValue(JSON.parse(b), []));
+            } catch (e) {
+                return b;
+            }
+        },
+
+        url: function url(u) {
+            if (typeof (u) !== 'string' || u.indexOf('?') === -1) {
+                return u;
+            }
+
+            var parsed = mod_url.parse(u, true);
+            var redacted = false;
+
+            Object.keys(parsed.query).forEach(function (k) {
+                if (isSecret(k.split('.'))) {
+                    parsed.query[k] = REDACTED;
+                    redacted = true;
+                }
+            });
+
+            if (!redacted) {
+                return u;
+            }
+
+            delete parsed.search;
+            return mod_url.format(parsed);
+        }
+    };
+}
+
+
+///--- Exports
+
+module.exports = {
+    REDACTED: REDACTED,
+    createRedactor: createRedactor
+};
@@ -0,0 +1,639 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016, Joyent, Inc.
+ */
+
+/*
+ * Machine snapshot policies: snapshots taken on a cron-like schedule, with a
+ * retention given as the number of snapshots to keep and/or for how long to
+ * keep them.
+ *
+ * Policies are kept into the CloudAPI store (see store.js), and run by the
+ * scheduler defined here. Only one CloudAPI process runs the scheduler (see
+ * main.js), and it still takes a lock through the store for each minute, so
+ * the policies due on that minute run only once even if another process shares
+ * the store. Snapshots are created and deleted through VMAPI with an audit
+ * context identifying the policy, so their outcome shows up into the machine
+ * audit.
+ */
+
+var assert = require('assert-plus');
+var libuuid = require('libuuid');
+var restify = require('restify');
+var vasync = require('vasync');
+
+var cron = require('./cron');
+var snapshots = require('./snapshots');
+
+var InvalidArgumentError = restify.InvalidArgumentError;
+var ResourceNotFoundError = restify.ResourceNotFoundError;
+
+
+///--- Globals
+
+var POLICIES_BUCKET = 'snapshot_policies';
+var LOCKS_BUCKET = 'snapshot_policies_locks';
+
+var UUID_RE = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/;
+var DURATION_RE = /^(\d+)([mhdw])$/;
+var DURATION_UNITS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+var MINUTE = 60 * 1000;
+
+
+///--- Helpers
+
+function translate(policy) {
+    assert.object(policy, 'policy');
+
+    var p = {
+        id: policy.id,
+        machine: policy.machine,
+        schedule: policy.schedule,
+        created: policy.created,
+        updated: policy.updated
+    };
+
+    if (policy.keep_count) {
+        p.keep_count = policy.keep_count;
+    }
+
+    if (policy.keep_for) {
+        p.keep_for = policy.keep_for;
+    }
+
+    if (policy.last_run) {
+        p.last_run = policy.last_run;
+        p.last_result = policy.last_result;
+    }
+
+    return p;
+}
+
+
+/**
+ * Return the duration in milliseconds for the given `keep_for` value.
+ */
+function parseDuration(str) {
+    var m = DURATION_RE.exec(str);
+    assert.ok(m, 'duration');
+
+    return Number(m[1]) * DURATION_UNITS[m[2]];
+}
+
+
+/**
+ * Validate the request params for create/update, and copy them into the
+ * given policy. On update, an empty value removes a retention rule.
+ *
+ * @return {Error} or nothing, when params are valid.
+ */
+function setParams(params, policy) {
+    if (params.schedule !== undefined) {
+        try {
+            cron.parse(params.schedule);
+        } catch (e) {
+            return e;
+        }
+        policy.schedule = params.schedule.trim();
+    }
+
+    if (params.keep_count === '' || params.keep_count === null) {
+        delete policy.keep_count;
+    } else if (params.keep_count !== undefined) {
+        var count = Number(params.keep_count);
+        if (isNaN(count) || count < 1 || Math.floor(count) !== count) {
+            return new InvalidArgumentError(
+                'keep_count must be a positive integer');
+        }
+        policy.keep_count = count;
+    }
+
+    if (params.keep_for === '' || params.keep_for === null) {
+        delete policy.keep_for;
+    } else if (params.keep_for !== undefined) {
+        var m = DURATION_RE.exec(params.keep_for);
+        if (!m || Number(m[1]) < 1) {
+            return new InvalidArgumentError('keep_for must be a duration ' +
+                'in minutes, hours, days or weeks (e.g. "30m", "12h", ' +
+                '"7d" or "2w")');
+        }
+        policy.keep_for = params.keep_for;
+    }
+
+    if (!policy.schedule) {
+        return new InvalidArgumentError('schedule is required');
+    }
+
+    if (!policy.keep_count && !policy.keep_for) {
+        return new InvalidArgumentError(
+            'at least one of keep_count or keep_for is required');
+    }
+
+    return null;
+}
+
+
+/**
+ * Prefix for the names of the snapshots taken by the given policy, used to
+ * find which snapshots are subject to its retention.
+ */
+function snapshotPrefix(policy) {
+    return 'p-' + policy.id.substr(0, 8) + '-';
+}
+
+
+function loadPolicy(req, res, next) {
+    assert.ok(req.sdc);
+    assert.ok(req.machine);
+
+    var id = req.params.id;
+
+    if (!UUID_RE.test(id)) {
+        return next(new ResourceNotFoundError('%s not found', id));
+    }
+
+    return req.sdc.store.get(POLICIES_BUCKET, id, function (err, policy) {
+        if (err) {
+            return next(err);
+        }
+
+        if (!policy || policy.owner_uuid !== req.account.uuid ||
+            policy.machine !== req.machine.id) {
+            return next(new ResourceNotFoundError('%s not found', id));
+        }
+
+        req.policy = policy;
+        return next();
+    });
+}
+
+
+///--- Handlers
+
+function list(req, res, next) {
+    assert.ok(req.sdc);
+    assert.ok(req.machine);
+
+    req.sdc.store.list(POLICIES_BUCKET, function (err, policies) {
+        if (err) {
+            return next(err);
+        }
+
+        policies = policies.filter(function (p) {
+            return (p.owner_uuid === req.account.uuid &&
+                p.machine === req.machine.id);
+        }).map(translate);
+
+        req.log.debug('GET %s -> %j', req.path(), policies);
+        res.send(policies);
+        return next();
+    });
+}
+
+
+function create(req, res, next) {
+    assert.ok(req.sdc);
+    assert.ok(req.machine);
+
+    var now = new Date().toISOString();
+    var policy = {
+        id: libuuid.create(),
+        machine: req.machine.id,
+        owner_uuid: req.account.uuid,
+        created: now,
+        updated: now
+    };
+
+    var err = setParams(req.params, policy);
+    if (err) {
+        return next(err);
+    }
+
+    return req.sdc.store.put(POLICIES_BUCKET, policy.id, policy,
+            function (err2) {
+        if (err2) {
+            return next(err2);
+        }
+
+        var p = translate(policy);
+        req.log.debug('POST %s -> %j', req.path(), p);
+        res.send(201, p);
+        return next();
+    });
+}
+
+
+function get(req, res, next) {
+    assert.ok(req.policy);
+
+    var p = translate(req.policy);
+    req.log.debug('GET %s -> %j', req.path(), p);
+    res.send(p);
+    return next();
+}
+
+
+function update(req, res, next) {
+    assert.ok(req.sdc);
+    assert.ok(req.policy);
+
+    var policy = req.policy;
+    var err = setParams(req.params, policy);
+    if (err) {
+        return next(err);
+    }
+
+    policy.updated = new Date().toISOString();
+
+    return req.sdc.store.put(POLICIES_BUCKET, policy.id, policy,
+            function (err2) {
+        if (err2) {
+            return next(err2);
+        }
+
+        var p = translate(policy);
+        req.log.debug('POST %s -> %j', req.path(), p);
+        res.send(p);
+        return next();
+    });
+}
+
+
+function del(req, res, next) {
+    assert.ok(req.sdc);
+    assert.ok(req.policy);
+
+    req.sdc.store.del(POLICIES_BUCKET, req.policy.id, function (err) {
+        if (err) {
+            return next(err);
+        }
+
+        req.log.debug('DELETE %s -> ok', req.path());
+        res.send(204);
+        return next();
+    });
+}
+
+
+///--- Scheduler
+
+/**
+ * Take a snapshot of the policy machine, and remove the policy snapshots
+ * falling out of its retention.
+ */
+function runPolicy(opts, policy, date, cb) {
+    var log = opts.log.child({policy: policy.id, machine: policy.machine});
+    var vmapi = opts.vmapi;
+    var name = snapshotPrefix(policy) + snapshots.snapshotName();
+    var reqOpts = {
+        log: log,
+        headers: {
+            'x-request-id': libuuid.create()
+        }
+    };
+
+    function context(params) {
+        params.machine = policy.machine;
+        params.policy = policy.id;
+
+        return {
+            caller: {
+                type: 'snapshot_policy',
+                policy: policy.id
+            },
+            params: params
+        };
+    }
+
+    function vmParams(snapName, action) {
+        return {
+            uuid: policy.machine,
+            name: snapName,
+            owner_uuid: policy.owner_uuid,
+            creator_uuid: policy.owner_uuid,
+            origin: 'cloudapi',
+            // Audit:
+            context: context({action: action, name: snapName})
+        };
+    }
+
+    var result = {};
+
+    vasync.pipeline({
+        funcs: [
+            function getVm(ctx, next) {
+                vmapi.getVm({
+                    uuid: policy.machine,
+                    owner_uuid: policy.owner_uuid,
+                    fields: 'state,snapshots'
+                }, reqOpts, function (err, vm) {
+                    if (err && err.statusCode !== 404) {
+                        return next(err);
+                    }
+
+                    ctx.vm = vm;
+                    return next();
+                });
+            },
+            function removeOrphan(ctx, next) {
+                if (ctx.vm && ctx.vm.state !== 'destroyed') {
+                    return next();
+                }
+
+                log.info('machine is gone, removing its snapshot policy');
+                ctx.removed = true;
+                return opts.store.del(POLICIES_BUCKET, policy.id,
+                        function (err) {
+                    if (err) {
+                        return next(err);
+                    }
+
+                    return snapshots.deleteMetadata(opts.store,
+                        policy.machine, null, next);
+                });
+            },
+            function snapshot(ctx, next) {
+                if (ctx.removed) {
+                    return next();
+                }
+
+                return vmapi.snapshotVm(vmParams(name, 'create_snapshot'),
+                        reqOpts, function (err, job) {
+                    if (err) {
+                        return next(err);
+                    }
+
+                    result.snapshot = name;
+                    result.job = job.job_uuid;
+                    return next();
+                });
+            },
+            function prune(ctx, next) {
+                if (ctx.removed) {
+                    return next();
+                }
+
+                var prefix = snapshotPrefix(policy);
+                var maxAge = policy.keep_for ?
+                    date.getTime() - parseDuration(policy.keep_for) : 0;
+                // Snapshot names embed their creation time, so sorting
+                // them by name puts the most recent first:
+                var existing = (ctx.vm.snapshots || []).map(function (s) {
+                    return {
+                        name: snapshots.filterSnapshotName(s.name),
+                        created: new Date(s.created_at).getTime()
+                    };
+                }).filter(function (s) {
+                    return (s.name.indexOf(prefix) === 0);
+                }).sort(function (a, b) {
+                    return (a.name < b.name ? 1 : -1);
+                });
+
+                // The snapshot just taken counts towards keep_count:
+                var toDelete = existing.filter(function (s, i) {
+                    return ((policy.keep_count &&
+                        i + 1 >= policy.keep_count) ||
+                        (maxAge && s.created < maxAge));
+                });
+
+                result.deleted = [];
+                return vasync.forEachPipeline({
+                    inputs: toDelete,
+                    func: function deleteSnapshot(s, cb2) {
+                        vmapi.deleteSnapshot(vmParams(s.name,
+                                'delete_snapshot'), reqOpts, function (err) {
+                            if (err) {
+                                return cb2(err);
+                            }
+
+                            result.deleted.push(s.name);
+                            return snapshots.deleteMetadata(opts.store,
+                                    policy.machine, [s.name], function (err2) {
+                                if (err2) {
+                                    log.error(err2, 'error removing ' +
+                                        'snapshot metadata');
+                                }
+                                return cb2();
+                            });
+                        });
+                    }
+                }, next);
+            },
+            function save(ctx, next) {
+                if (ctx.removed) {
+                    return next();
+                }
+
+                return saveResult(opts, policy.id, date, result, next);
+            }
+        ],
+        arg: {}
+    }, function (err) {
+        if (err) {
+            log.error(err, 'error running snapshot policy');
+            result.error = err.message;
+            return saveResult(opts, policy.id, date, result, function () {
+                return cb();
+            });
+        }
+
+        log.info({result: result}, 'snapshot policy run');
+        return cb();
+    });
+}
+
+
+/**
+ * Record the outcome of a policy run. The policy is read again given it may
+ * have been updated or removed through the API while running.
+ */
+function saveResult(opts, id, date, result, cb) {
+    opts.store.get(POLICIES_BUCKET, id, function (err, policy) {
+        if (err || !policy) {
+            return cb(err);
+        }
+
+        policy.last_run = date.toISOString();
+        policy.last_result = result;
+        return opts.store.put(POLICIES_BUCKET, id, policy, cb);
+    });
+}
+
+
+/**
+ * Run all the policies due on the given minute, provided no other CloudAPI
+ * process already took care of them.
+ */
+function runDuePolicies(opts, minute, cb) {
+    var store = opts.store;
+    var date = new Date(minute * MINUTE);
+
+    store.create(LOCKS_BUCKET, String(minute), {
+        minute: minute,
+        pid: process.pid
+    }, function (err, locked) {
+        if (err || !locked) {
+            return cb(err);
+        }
+
+        return vasync.pipeline({
+            funcs: [
+                function removeStaleLocks(_, next) {
+                    store.list(LOCKS_BUCKET, function (err2, locks) {
+                        if (err2) {
+                            return next(err2);
+                        }
+
+                        return vasync.forEachPipeline({
+                            inputs: locks.filter(function (l) {
+                                return (l.minute < minute);
+                            }),
+                            func: function (l, cb2) {
+                                store.del(LOCKS_BUCKET, String(l.minute), cb2);
+                            }
+                        }, next);
+                    });
+                },
+                function runPolicies(_, next) {
+                    store.list(POLICIES_BUCKET, function (err2, policies) {
+                        if (err2) {
+                            return next(err2);
+                        }
+
+                        return vasync.forEachPipeline({
+                            inputs: policies.filter(function (p) {
+                                try {
+                                    return cron.matches(cron.parse(p.schedule),
+                                        date);
+                                } catch (e) {
+                                    opts.log.error(e, 'invalid schedule ' +
+                                        'for snapshot policy %s', p.id);
+                                    return false;
+                                }
+                            }),
+                            func: function (p, cb2) {
+                                runPolicy(opts, p, date, cb2);
+                            }
+                        }, next);
+                    });
+                }
+            ]
+        }, cb);
+    });
+}
+
+
+/**
+ * Create the snapshot policies scheduler, which checks for due policies at
+ * the start of every minute until stopped.
+ *
+ * @param {Object} opts with `log`, `store` and `vmapi` members.
+ * @return {Object} with `start` and `stop` methods.
+ */
+function createScheduler(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.object(opts.store, 'opts.store');
+    assert.object(opts.vmapi, 'opts.vmapi');
+
+    var log = opts.log;
+    var timer = null;
+    var stopped = true;
+
+    function schedule() {
+        if (stopped) {
+            return;
+        }
+
+        timer = setTimeout(function () {
+            var minute = Math.floor(Date.now() / MINUTE);
+
+            runDuePolicies(opts, minute, function (err) {
+                if (err) {
+                    log.error(err, 'error running snapshot policies');
+                }
+                schedule();
+            });
+        }, MINUTE - (Date.now() % MINUTE));
+
+        // Do not hold the process open just for the scheduler:
+        timer.unref();
+    }
+
+    return {
+        start: function start() {
+            if (stopped) {
+                stopped = false;
+                schedule();
+            }
+        },
+        stop: function stop() {
+            stopped = true;
+            clearTimeout(timer);
+        }
+    };
+}
+
+
+function mount(server, before) {
+    assert.object(server, 'server');
+    assert.ok(before);
+
+    var path = '/:account/machines/:machine/snapshot-policies';
+
+    server.get({
+        path: path,
+        name: 'ListMachineSnapshotPolicies'
+    }, before, list);
+
+    server.head({
+        path: path,
+        name: 'HeadMachineSnapshotPolicies'
+    }, before, list);
+
+    server.post({
+        path: path,
+        name: 'CreateMachineSnapshotPolicy'
+    }, before, create);
+
+    server.get({
+        path: path + '/:id',
+        name: 'GetMachineSnapshotPolicy'
+    }, before, loadPolicy, get);
+
+    server.head({
+        path: path + '/:id',
+        name: 'HeadMachineSnapshotPolicy'
+    }, before, loadPolicy, get);
+
+    server.post({
+        path: path + '/:id',
+        name: 'UpdateMachineSnapshotPolicy'
+    }, before, loadPolicy, update);
+
+    server.del({
+        path: path + '/:id',
+        name: 'DeleteMachineSnapshotPolicy'
+    }, before, loadPolicy, del);
+
+    return server;
+}
+
+
+///--- Exports
+
+module.exports = {
+    createScheduler: createScheduler,
+    mount: mount
+};
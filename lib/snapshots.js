@@ -9,21 +9,170 @@
  */
 
 var assert = require('assert-plus');
+var crypto = require('crypto');
 var util = require('util');
 var restify = require('restify');
 
+var vasync = require('vasync');
+
+var filters = require('./filters');
+var jobs = require('./jobs');
+
+var InvalidArgumentError = restify.InvalidArgumentError;
+
+
+///--- Globals
+
+var TAG_RE = /^tag\.(.+)/;
+var MAX_DESCRIPTION_LENGTH = 1024;
+// All the regexp special chars but '*':
+var REGEXP_SPECIAL_RE = /[\-\[\]\/\{\}\(\)\+\?\.\\\^\$\|]/g;
+// ZFS properties giving the space usage of snapshots, and the names we give
+// to them:
+var USAGE_PROPERTIES = {
+    used: 'size',
+    referenced: 'referenced'
+};
+// CNAPI requests running at once when loading snapshots usage:
+var USAGE_CONCURRENCY = 5;
+
 
 ///--- Helpers
 
-function translate(snapshot) {
+/**
+ * Snapshots description and tags are not kept by VMAPI, but into the CloudAPI
+ * store, with a bucket per machine and an object per snapshot.
+ */
+function metadataBucket(vmUuid) {
+    return 'snapshots.' + vmUuid;
+}
+
+
+function metadataKey(name) {
+    return crypto.createHash('sha1').update(name).digest('hex');
+}
+
+
+function translate(snapshot, meta) {
     assert.ok(snapshot);
 
-    return {
+    var snap = {
         name: snapshot.name,
         state: (snapshot.creation_state === 'succeeded') ? 'created' :
             snapshot.creation_state,
         created: snapshot.created_at,
-        updated: snapshot.created_at
+        updated: snapshot.created_at,
+        tags: (meta && meta.tags) || {}
+    };
+
+    if (meta && meta.description) {
+        snap.description = meta.description;
+    }
+
+    return snap;
+}
+
+
+/*
+ * Add the space usage of the (translated) snapshots, as long as the machine
+ * server reported it.
+ */
+function addUsage(snaps, usage) {
+    snaps.forEach(function (snap) {
+        var u = usage[snap.name];
+        if (!u) {
+            return;
+        }
+
+        Object.keys(USAGE_PROPERTIES).forEach(function (p) {
+            if (u[p] !== undefined) {
+                snap[USAGE_PROPERTIES[p]] = Number(u[p]);
+            }
+        });
+    });
+}
+
+
+/**
+ * Validate the description and tags given to CreateMachineSnapshot.
+ *
+ * @return {Object} with the `description` and `tags` to keep, or null when
+ *      none were given.
+ * @throws {InvalidArgumentError} on bad input.
+ */
+function getMetadata(params) {
+    var meta = {
+        tags: {}
+    };
+
+    if (params.description !== undefined) {
+        if (typeof (params.description) !== 'string' ||
+            params.description.length > MAX_DESCRIPTION_LENGTH) {
+            throw new InvalidArgumentError('description must be a string ' +
+                'of at most %d characters', MAX_DESCRIPTION_LENGTH);
+        }
+        meta.description = params.description;
+    }
+
+    Object.keys(params).forEach(function (k) {
+        var m = TAG_RE.exec(k);
+        if (m) {
+            meta.tags[m[1]] = String(params[k]);
+        }
+    });
+
+    if (meta.description === undefined &&
+        Object.keys(meta.tags).length === 0) {
+        return null;
+    }
+
+    return meta;
+}
+
+
+/**
+ * Return a function telling if a (translated) snapshot matches the filters
+ * given to ListMachineSnapshots: `name`, where '*' matches anything,
+ * `created_after`, `created_before` and `tag.<key>`.
+ *
+ * @throws {InvalidArgumentError} on bad input.
+ */
+function getListFilter(params) {
+    var createdAfter = filters.getTimestamp(params, 'created_after');
+    var createdBefore = filters.getTimestamp(params, 'created_before');
+    var nameRe = null;
+    var tags = {};
+
+    if (params.name) {
+        nameRe = new RegExp('^' + String(params.name)
+            .replace(REGEXP_SPECIAL_RE, '\\$&').replace(/\*/g, '.*') + '$');
+    }
+
+    Object.keys(params).forEach(function (k) {
+        var m = TAG_RE.exec(k);
+        if (m) {
+            tags[m[1]] = String(params[k]);
+        }
+    });
+
+    return function listFilter(snap) {
+        var created = new Date(snap.created).getTime();
+
+        if (nameRe && !nameRe.test(snap.name)) {
+            return false;
+        }
+
+        if (createdAfter !== undefined && !(created >= createdAfter)) {
+            return false;
+        }
+
+        if (createdBefore !== undefined && !(created <= createdBefore)) {
+            return false;
+        }
+
+        return Object.keys(tags).every(function (t) {
+            return (snap.tags[t] === tags[t]);
+        });
     };
 }
 
@@ -59,7 +208,7 @@ function loadSnapshots(req, res, next) {
     req.sdc.vmapi.getVm({
         uuid: req.params.machine,
         owner_uuid: req.account.uuid,
-        fields: 'snapshots',
+        fields: 'snapshots,server_uuid,zfs_filesystem',
         sync: true
     }, {
         headers: {
@@ -71,11 +220,61 @@ function loadSnapshots(req, res, next) {
         }
 
         req.snapshots = machine.snapshots || [];
+        req.snapshotsVm = machine;
         return next();
     });
 }
 
 
+/*
+ * VMAPI doesn't know about the space used by snapshots, so we ask the machine
+ * server for the ZFS properties of the given snapshots through CNAPI, once
+ * these have been filtered. Snapshots are still listed, just without their
+ * usage, when the server can't tell (e.g. it's not running).
+ *
+ * @param {Object} req
+ * @param {Array} names of the snapshots
+ * @param {Function} cb of the form f(usage), usage keyed by snapshot name
+ */
+function loadSnapshotsUsage(req, names, cb) {
+    var vm = req.snapshotsVm;
+    var log = req.log;
+    var usage = {};
+
+    if (!vm.server_uuid || !vm.zfs_filesystem || names.length === 0) {
+        return cb(usage);
+    }
+
+    var queue = vasync.queue(function getUsage(name, done) {
+        var dataset = vm.zfs_filesystem + '@' + name;
+
+        req.sdc.cnapi.client.get({
+            path: util.format('/servers/%s/datasets/%s/properties?%s',
+                vm.server_uuid, encodeURIComponent(dataset),
+                Object.keys(USAGE_PROPERTIES).map(function (p) {
+                    return ('properties=' + p);
+                }).join('&')),
+            headers: {
+                'x-request-id': req.getId()
+            }
+        }, function (err, _req, _res, props) {
+            if (err) {
+                log.warn({err: err, dataset: dataset},
+                    'unable to load snapshot usage');
+            } else if (props) {
+                usage[name] = props[dataset] || props;
+            }
+            return done();
+        });
+    }, USAGE_CONCURRENCY);
+
+    queue.drain = function () {
+        return cb(usage);
+    };
+    return queue.push(names);
+}
+
+
 function loadSnapshotJobs(req, res, next) {
     req.sdc.vmapi.listJobs({
         vm_uuid: req.params.machine,
@@ -95,6 +294,62 @@ function loadSnapshotJobs(req, res, next) {
 }
 
 
+/**
+ * Remove the description and tags kept for the given snapshots of a machine,
+ * or for all of them when given no names, like once the machine is destroyed.
+ *
+ * @param {Object} store
+ * @param {String} vmUuid
+ * @param {Array} names of the snapshots, optional
+ * @param {Function} cb of the form f(err)
+ */
+function deleteMetadata(store, vmUuid, names, cb) {
+    var bucket = metadataBucket(vmUuid);
+
+    function delKeys(keys) {
+        return vasync.forEachPipeline({
+            inputs: keys,
+            func: function (key, next) {
+                store.del(bucket, key, next);
+            }
+        }, function (err) {
+            return cb(err);
+        });
+    }
+
+    if (names) {
+        return delKeys(names.map(metadataKey));
+    }
+
+    return store.list(bucket, function (err, objs) {
+        if (err) {
+            return cb(err);
+        }
+
+        return delKeys(objs.map(function (meta) {
+            return metadataKey(meta.name);
+        }));
+    });
+}
+
+
+function loadSnapshotsMetadata(req, res, next) {
+    var bucket = metadataBucket(req.params.machine);
+
+    req.sdc.store.list(bucket, function (err, objs) {
+        if (err) {
+            return next(err);
+        }
+
+        req.snapshotsMetadata = {};
+        objs.forEach(function (meta) {
+            req.snapshotsMetadata[meta.name] = meta;
+        });
+        return next();
+    });
+}
+
+
 ///--- Functions
 
 function create(req, res, next) {
@@ -106,8 +361,15 @@ function create(req, res, next) {
     var params = req.params;
     var vmUuid = params.machine;
     var name = params.name || snapshotName();
+    var meta;
+
+    try {
+        meta = getMetadata(params);
+    } catch (e) {
+        return next(e);
+    }
 
-    vmapi.snapshotVm({
+    return vmapi.snapshotVm({
         uuid: vmUuid,
         name: name,
         owner_uuid: ownerUuid,
@@ -134,13 +396,35 @@ function create(req, res, next) {
         // succeeded -> created
         var snapshot = {
             name: name,
-            state: 'queued'
+            state: 'queued',
+            tags: {}
         };
 
-        log.debug('POST /%s/machines/%s/snapshots -> %j',
-                    req.account.login, vmUuid, snapshot);
-        res.send(201, snapshot);
-        return next();
+        function send(err2) {
+            if (err2) {
+                return next(err2);
+            }
+
+            log.debug('POST /%s/machines/%s/snapshots -> %j',
+                        req.account.login, vmUuid, snapshot);
+            jobs.setJobHeader(res, job);
+            res.send(201, snapshot);
+            return next();
+        }
+
+        if (!meta) {
+            return send();
+        }
+
+        meta.name = name;
+        meta.machine = vmUuid;
+        snapshot.tags = meta.tags;
+        if (meta.description !== undefined) {
+            snapshot.description = meta.description;
+        }
+
+        return req.sdc.store.put(metadataBucket(vmUuid), metadataKey(name),
+            meta, send);
     });
 }
 
@@ -175,6 +459,7 @@ function boot(req, res, next) {
 
         req.log.debug('POST /%s/machines/%s/snapshots/%s -> ok',
                     req.account.login, vmUuid, name);
+        jobs.setJobHeader(res, job);
         res.send(202);
         return next();
     });
@@ -185,6 +470,14 @@ function list(req, res, next) {
     assert.ok(req.sdc);
     assert.ok(req.snapshots);
     assert.ok(req.snapshotJobs);
+    assert.ok(req.snapshotsMetadata);
+
+    var listFilter;
+    try {
+        listFilter = getListFilter(req.params);
+    } catch (e) {
+        return next(e);
+    }
 
     var jobsStatuses = {};
     req.snapshotJobs.forEach(function (job) {
@@ -194,14 +487,20 @@ function list(req, res, next) {
     var snapshots = req.snapshots.map(function (s) {
         s.name = filterSnapshotName(s.name);
         s.creation_state = jobsStatuses[s.name];
-        return translate(s);
-    });
+        return translate(s, req.snapshotsMetadata[s.name]);
+    }).filter(listFilter);
 
-    req.log.debug('GET /%s/machines/%s/snapshots -> %j',
-                req.account.login, req.params.machine, snapshots);
+    return loadSnapshotsUsage(req, snapshots.map(function (snap) {
+        return snap.name;
+    }), function (usage) {
+        addUsage(snapshots, usage);
 
-    res.send(snapshots);
-    return next();
+        req.log.debug('GET /%s/machines/%s/snapshots -> %j',
+                    req.account.login, req.params.machine, snapshots);
+
+        res.send(snapshots);
+        return next();
+    });
 }
 
 
@@ -236,11 +535,17 @@ function get(req, res, next) {
         snapshot.creation_state = snapshotJob.execution;
     }
 
-    var snap = translate(snapshot);
-    req.log.debug('GET /%s/machines/%s/snapshots/%s -> %j',
-                req.account.login, params.machine, name, snap);
-    res.send(snap);
-    return next();
+    var snap = translate(snapshot, req.snapshotsMetadata[name]);
+    var names = (snapshot.creation_state === 'deleted') ? [] : [name];
+
+    return loadSnapshotsUsage(req, names, function (usage) {
+        addUsage([snap], usage);
+
+        req.log.debug('GET /%s/machines/%s/snapshots/%s -> %j',
+                    req.account.login, params.machine, name, snap);
+        res.send(snap);
+        return next();
+    });
 }
 
 
@@ -283,10 +588,20 @@ function del(req, res, next) {
             return next(err);
         }
 
-        req.log.debug('DELETE /%s/machines/%s/snapshots/%s -> ok',
-                    req.account.login, vmUuid, name);
-        res.send(204);
-        return next();
+        return deleteMetadata(req.sdc.store, vmUuid, [name],
+                function (err2) {
+            // The snapshot is going away regardless, so do not fail the
+            // request because of its description and tags:
+            if (err2) {
+                req.log.error(err2, 'error removing snapshot metadata');
+            }
+
+            req.log.debug('DELETE /%s/machines/%s/snapshots/%s -> ok',
+                        req.account.login, vmUuid, name);
+            jobs.setJobHeader(res, job);
+            res.send(204);
+            return next();
+        });
     });
 }
 
@@ -308,22 +623,22 @@ function mount(server, before) {
     server.get({
         path: '/:account/machines/:machine/snapshots',
         name: 'ListMachineSnapshots'
-    }, before, loadSnapshots, loadSnapshotJobs, list);
+    }, before, loadSnapshots, loadSnapshotJobs, loadSnapshotsMetadata, list);
 
     server.head({
         path: '/:account/machines/:machine/snapshots',
         name: 'HeadMachineSnapshots'
-    }, before, loadSnapshots, loadSnapshotJobs, list);
+    }, before, loadSnapshots, loadSnapshotJobs, loadSnapshotsMetadata, list);
 
     server.get({
         path: '/:account/machines/:machine/snapshots/:name',
         name: 'GetMachineSnapshot'
-    }, before, loadSnapshots, loadSnapshotJobs, get);
+    }, before, loadSnapshots, loadSnapshotJobs, loadSnapshotsMetadata, get);
 
     server.head({
         path: '/:account/machines/:machine/snapshots/:name',
         name: 'HeadMachineSnapshot'
-    }, before, loadSnapshots, loadSnapshotJobs, get);
+    }, before, loadSnapshots, loadSnapshotJobs, loadSnapshotsMetadata, get);
 
     server.del({
         path: '/:account/machines/:machine/snapshots/:name',
@@ -338,5 +653,8 @@ function mount(server, before) {
 ///--- Exports
 
 module.exports = {
-    mount: mount
+    mount: mount,
+    deleteMetadata: deleteMetadata,
+    filterSnapshotName: filterSnapshotName,
+    snapshotName: snapshotName
 };
@@ -0,0 +1,353 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016, Joyent, Inc.
+ */
+
+/*
+ * Persistent storage for the data owned by CloudAPI itself, rather than by
+ * any of the backend APIs (e.g. machine snapshot policies).
+ *
+ * Objects are grouped into buckets and kept as one JSON file per object, at
+ * `<store_dir>/<bucket>/<key>.json`. Nothing is cached in memory, and every
+ * write replaces the whole file atomically, so all the CloudAPI processes
+ * running into the same zone can share the store.
+ *
+ * Buckets can also hold append-only logs, kept at
+ * `<store_dir>/<bucket>/<key>.log` with one JSON object per line, for data
+ * growing all the time, like the audit trail (see audit_store.js).
+ *
+ * Note the store is local to the zone, so the required `store_dir` must point
+ * to storage surviving the zone reprovisioning.
+ */
+
+var assert = require('assert-plus');
+var fs = require('fs');
+var path = require('path');
+var vasync = require('vasync');
+
+
+///--- Globals
+
+var KEY_RE = /^[a-zA-Z0-9_\-\.]+$/;
+
+
+///--- Helpers
+
+function mkdir(dir, cb) {
+    fs.mkdir(dir, function (err) {
+        if (err && err.code === 'ENOENT') {
+            return mkdir(path.dirname(dir), function (err2) {
+                if (err2) {
+                    return cb(err2);
+                }
+                return mkdir(dir, cb);
+            });
+        }
+
+        return cb(err && err.code !== 'EEXIST' ? err : null);
+    });
+}
+
+
+///--- API
+
+function Store(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.dir, 'opts.dir');
+    assert.object(opts.log, 'opts.log');
+
+    this.dir = opts.dir;
+    this.log = opts.log;
+}
+
+
+Store.prototype._file = function _file(bucket, key, ext) {
+    assert.ok(KEY_RE.test(bucket), 'bucket');
+    assert.ok(KEY_RE.test(key) && key[0] !== '.', 'key');
+
+    return path.join(this.dir, bucket, key + (ext || '.json'));
+};
+
+
+/**
+ * Get the object stored with the given key.
+ *
+ * @param {String} bucket
+ * @param {String} key
+ * @param {Function} cb of the form f(err, obj), where obj is null when there
+ *      is no object with such key.
+ */
+Store.prototype.get = function get(bucket, key, cb) {
+    assert.func(cb, 'cb');
+
+    var file = this._file(bucket, key);
+
+    fs.readFile(file, 'utf8', function (err, data) {
+        if (err) {
+            return cb(err.code === 'ENOENT' ? null : err, null);
+        }
+
+        var obj;
+        try {
+            obj = JSON.parse(data);
+        } catch (e) {
+            return cb(new Error('Invalid JSON stored at ' + file));
+        }
+
+        return cb(null, obj);
+    });
+};
+
+
+/**
+ * Store the object with the given key, replacing any existing one.
+ *
+ * @param {String} bucket
+ * @param {String} key
+ * @param {Object} obj
+ * @param {Function} cb of the form f(err)
+ */
+Store.prototype.put = function put(bucket, key, obj, cb) {
+    assert.object(obj, 'obj');
+    assert.func(cb, 'cb');
+
+    var file = this._file(bucket, key);
+    var tmp = file + '.' + process.pid + '.tmp';
+
+    mkdir(path.dirname(file), function (err) {
+        if (err) {
+            return cb(err);
+        }
+
+        return fs.writeFile(tmp, JSON.stringify(obj), 'utf8',
+                function (err2) {
+            if (err2) {
+                return cb(err2);
+            }
+
+            return fs.rename(tmp, file, cb);
+        });
+    });
+};
+
+
+/**
+ * Store the object with the given key, only if there is no object with the
+ * same key already. Given this check is atomic, it can be used to coordinate
+ * the CloudAPI processes sharing the store.
+ *
+ * @param {String} bucket
+ * @param {String} key
+ * @param {Object} obj
+ * @param {Function} cb of the form f(err, created)
+ */
+Store.prototype.create = function create(bucket, key, obj, cb) {
+    assert.object(obj, 'obj');
+    assert.func(cb, 'cb');
+
+    var file = this._file(bucket, key);
+
+    mkdir(path.dirname(file), function (err) {
+        if (err) {
+            return cb(err);
+        }
+
+        return fs.writeFile(file, JSON.stringify(obj), {
+            encoding: 'utf8',
+            flag: 'wx'
+        }, function (err2) {
+            if (err2) {
+                return cb(err2.code === 'EEXIST' ? null : err2, false);
+            }
+
+            return cb(null, true);
+        });
+    });
+};
+
+
+/**
+ * Remove the object stored with the given key, if any.
+ *
+ * @param {String} bucket
+ * @param {String} key
+ * @param {Function} cb of the form f(err)
+ */
+Store.prototype.del = function del(bucket, key, cb) {
+    assert.func(cb, 'cb');
+
+    fs.unlink(this._file(bucket, key), function (err) {
+        return cb(err && err.code !== 'ENOENT' ? err : null);
+    });
+};
+
+
+/**
+ * List all the objects into the given bucket.
+ *
+ * @param {String} bucket
+ * @param {Function} cb of the form f(err, objs)
+ */
+Store.prototype.list = function list(bucket, cb) {
+    assert.ok(KEY_RE.test(bucket), 'bucket');
+    assert.func(cb, 'cb');
+
+    var self = this;
+    var objs = [];
+
+    fs.readdir(path.join(self.dir, bucket), function (err, files) {
+        if (err) {
+            return cb(err.code === 'ENOENT' ? null : err, []);
+        }
+
+        return vasync.forEachPipeline({
+            inputs: files.filter(function (f) {
+                return (/\.json$/.test(f));
+            }),
+            func: function (f, next) {
+                self.get(bucket, f.replace(/\.json$/, ''),
+                        function (err2, obj) {
+                    if (err2) {
+                        return next(err2);
+                    }
+
+                    // It may have been removed since we read the directory:
+                    if (obj) {
+                        objs.push(obj);
+                    }
+                    return next();
+                });
+            }
+        }, function (err2) {
+            return cb(err2, objs);
+        });
+    });
+};
+
+
+/**
+ * Append the object to the log with the given key, creating it if needed.
+ * Objects are written with a single append, so the CloudAPI processes sharing
+ * the store can append to the same log.
+ *
+ * @param {String} bucket
+ * @param {String} key
+ * @param {Object} obj
+ * @param {Function} cb of the form f(err)
+ */
+Store.prototype.append = function append(bucket, key, obj, cb) {
+    assert.object(obj, 'obj');
+    assert.func(cb, 'cb');
+
+    var file = this._file(bucket, key, '.log');
+    var line = JSON.stringify(obj) + '\n';
+
+    fs.appendFile(file, line, 'utf8', function (err) {
+        if (err && err.code === 'ENOENT') {
+            return mkdir(path.dirname(file), function (err2) {
+                if (err2) {
+                    return cb(err2);
+                }
+                return fs.appendFile(file, line, 'utf8', cb);
+            });
+        }
+
+        return cb(err);
+    });
+};
+
+
+/**
+ * Read all the objects from the log with the given key, in the order they
+ * were appended. Lines which can't be parsed, like a line still being written,
+ * are skipped.
+ *
+ * @param {String} bucket
+ * @param {String} key
+ * @param {Function} cb of the form f(err, objs)
+ */
+Store.prototype.readLog = function readLog(bucket, key, cb) {
+    assert.func(cb, 'cb');
+
+    var self = this;
+
+    fs.readFile(self._file(bucket, key, '.log'), 'utf8',
+            function (err, data) {
+        if (err) {
+            return cb(err.code === 'ENOENT' ? null : err, []);
+        }
+
+        var objs = [];
+        data.split('\n').forEach(function (line) {
+            if (!line) {
+                return;
+            }
+
+            try {
+                objs.push(JSON.parse(line));
+            } catch (e) {
+                self.log.warn({bucket: bucket, key: key},
+                    'skipping invalid log line');
+            }
+        });
+
+        return cb(null, objs);
+    });
+};
+
+
+/**
+ * List the keys of the logs into the given bucket, sorted.
+ *
+ * @param {String} bucket
+ * @param {Function} cb of the form f(err, keys)
+ */
+Store.prototype.listLogs = function listLogs(bucket, cb) {
+    assert.ok(KEY_RE.test(bucket), 'bucket');
+    assert.func(cb, 'cb');
+
+    fs.readdir(path.join(this.dir, bucket), function (err, files) {
+        if (err) {
+            return cb(err.code === 'ENOENT' ? null : err, []);
+        }
+
+        return cb(null, files.filter(function (f) {
+            return (/\.log$/.test(f));
+        }).map(function (f) {
+            return f.replace(/\.log$/, '');
+        }).sort());
+    });
+};
+
+
+/**
+ * Remove the log with the given key, if any.
+ *
+ * @param {String} bucket
+ * @param {String} key
+ * @param {Function} cb of the form f(err)
+ */
+Store.prototype.delLog = function delLog(bucket, key, cb) {
+    assert.func(cb, 'cb');
+
+    fs.unlink(this._file(bucket, key, '.log'), function (err) {
+        return cb(err && err.code !== 'ENOENT' ? err : null);
+    });
+};
+
+
+function createStore(opts) {
+    return new Store(opts);
+}
+
+
+///--- Exports
+
+module.exports = {
+    createStore: createStore
+};
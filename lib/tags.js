@@ -13,6 +13,7 @@ var util = require('util');
 var vasync = require('vasync');
 
 var errors = require('./errors');
+var jobs = require('./jobs');
 
 
 ///--- Functions
@@ -102,10 +103,10 @@ function add(req, res, next) {
             allTags[k] = tags.metadata[k];
         });
         log.debug('POST %s -> %j', req.path(), allTags);
-        // Add an extra header intended to be used by 7.0 consumers mostly
-        // TODO: Replace this with the job location instead, once we can
-        // provide access to such location through Cloud API
+        // x-job-uuid predates x-joyent-jobid, used by all the other routes
+        // queueing jobs, and is kept for 7.0 consumers:
         res.header('x-job-uuid', jobUUID);
+        jobs.setJobHeader(res, {job_uuid: jobUUID});
         res.send(allTags);
         return next();
     });
@@ -165,10 +166,10 @@ function replace(req, res, next) {
             allTags[k] = tags.metadata[k];
         });
         log.debug('PUT %s -> %j', req.path(), allTags);
-        // Add an extra header intended to be used by 7.0 consumers mostly
-        // TODO: Replace this with the job location instead, once we can
-        // provide access to such location through Cloud API
+        // x-job-uuid predates x-joyent-jobid, used by all the other routes
+        // queueing jobs, and is kept for 7.0 consumers:
         res.header('x-job-uuid', jobUUID);
+        jobs.setJobHeader(res, {job_uuid: jobUUID});
         res.send(allTags);
         return next();
     });
@@ -265,7 +266,7 @@ function del(req, res, next) {
         headers: {
             'x-request-id': req.getId()
         }
-    }, function (err) {
+    }, function (err, job) {
         if (err) {
             if (err.statusCode === 404) {
                 // Import VMAPI's generic 'Metadata key not found' error msg.
@@ -277,6 +278,7 @@ function del(req, res, next) {
             return;
         }
         log.debug('DELETE %s -> ok', req.path());
+        jobs.setJobHeader(res, job);
         res.send(204);
         next();
     });
@@ -305,12 +307,13 @@ function delAll(req, res, next) {
         headers: {
             'x-request-id': req.getId()
         }
-    }, function (err) {
+    }, function (err, job) {
         if (err) {
             next(errors.vmapiErrorWrap(err, 'error deleting all tags'));
             return;
         }
         log.debug('DELETE %s -> ok', req.path());
+        jobs.setJobHeader(res, job);
         res.send(204);
         next();
     });
@@ -0,0 +1,516 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016, Joyent, Inc.
+ */
+
+/*
+ * Usage reporting per account.
+ *
+ * Usage is computed from the machines VMAPI knows about, including the
+ * destroyed ones: each machine is accounted from its creation until its
+ * destruction (or the end of the requested period), whatever its state, with
+ * the package, RAM and disk it had at each moment. The latter come from the
+ * machine resize jobs, the same ones the machines audit reads (see audit.js),
+ * or from the machine itself when it wasn't resized since the period started.
+ *
+ * Given any account can ask for it, the work is kept bounded: the period can't
+ * be longer than MAX_PERIOD_DAYS, only the machines existing during the period
+ * are loaded, and for each one only its jobs since the period started (plus
+ * the one giving the size it had then).
+ */
+
+var assert = require('assert-plus');
+var restify = require('restify');
+var vasync = require('vasync');
+
+var filters = require('./filters');
+
+var InvalidArgumentError = restify.InvalidArgumentError;
+
+
+///--- Globals
+
+var PAGE_LIMIT = 1000;
+var JOBS_PAGE_LIMIT = 100;
+var JOBS_CONCURRENCY = 10;
+var HOUR = 60 * 60 * 1000;
+var MAX_PERIOD_DAYS = 366;
+
+
+///--- Helpers
+
+/*
+ * Call `list(opts, cb)` with increasing offsets until all pages are loaded.
+ */
+function listAll(list, opts, cb) {
+    var all = [];
+
+    function page(offset) {
+        var o = {};
+        Object.keys(opts).forEach(function (k) {
+            o[k] = opts[k];
+        });
+        o.limit = PAGE_LIMIT;
+        o.offset = offset;
+
+        list(o, function (err, objs) {
+            if (err) {
+                return cb(err);
+            }
+
+            all = all.concat(objs);
+            if (objs.length < PAGE_LIMIT) {
+                return cb(null, all);
+            }
+            return page(offset + objs.length);
+        });
+    }
+
+    page(0);
+}
+
+
+/*
+ * The period is given as `from` and `to` ISO 8601 dates, defaulting to the
+ * current month so far. Throws InvalidArgumentError on bad input.
+ */
+function getPeriod(params) {
+    var now = new Date();
+    var from = filters.getTimestamp(params, 'from');
+    var to = filters.getTimestamp(params, 'to');
+
+    if (from === undefined) {
+        from = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+    }
+
+    if (to === undefined) {
+        to = now.getTime();
+    }
+
+    if (from >= to) {
+        throw new InvalidArgumentError('from must be before to');
+    }
+
+    if (to - from > MAX_PERIOD_DAYS * 24 * HOUR) {
+        throw new InvalidArgumentError('the period can not be longer than ' +
+            '%d days', MAX_PERIOD_DAYS);
+    }
+
+    return {
+        from: from,
+        to: to
+    };
+}
+
+
+function jobTime(job) {
+    var results = job.chain_results || [];
+    var last = results[results.length - 1];
+
+    return new Date((last && last.finished_at) || job.created_at).getTime();
+}
+
+
+/*
+ * Disk in GiB: the data disk (given in MiB) for KVM machines, the quota for
+ * everything else.
+ */
+function vmDisk(vm) {
+    if (vm.brand === 'kvm' && vm.disks && vm.disks[1] && vm.disks[1].size) {
+        return Number(vm.disks[1].size) / 1024;
+    }
+
+    return Number(vm.quota) || 0;
+}
+
+
+/*
+ * Get the package, RAM (MiB) and disk (GiB) the given provision or resize job
+ * params set, if any.
+ */
+function jobSize(params) {
+    var p = params.payload || params;
+    var size = {};
+
+    if (p.billing_id) {
+        size.billing_id = p.billing_id;
+    }
+
+    if (p.ram || p.max_physical_memory) {
+        size.ram = Number(p.ram || p.max_physical_memory);
+    }
+
+    if (p.update_disks && p.update_disks[0] && p.update_disks[0].size) {
+        size.disk = Number(p.update_disks[0].size) / 1024;
+    } else if (p.disks && p.disks[1] && p.disks[1].size) {
+        size.disk = Number(p.disks[1].size) / 1024;
+    } else if (p.quota && p.brand !== 'kvm') {
+        size.disk = Number(p.quota);
+    }
+
+    return size;
+}
+
+
+/*
+ * Take the values missing from the given size from the fallback one.
+ */
+function fillSize(size, fallback) {
+    var filled = {};
+
+    ['billing_id', 'ram', 'disk'].forEach(function (k) {
+        filled[k] = (size[k] !== undefined) ? size[k] : fallback[k];
+    });
+
+    return filled;
+}
+
+
+/*
+ * Split the time the machine existed within the period into segments with the
+ * same package, RAM and disk. `resizes` are the machine resize jobs since the
+ * period started, and `initial` the size the machine had then, only needed
+ * when there are such resizes.
+ */
+function vmSegments(vm, initial, resizes, period) {
+    var created = new Date(vm.create_timestamp).getTime();
+    var destroyed = period.to;
+
+    if (vm.state === 'destroyed') {
+        destroyed = new Date(vm.destroyed || vm.last_modified).getTime();
+    }
+
+    var start = Math.max(created, period.from);
+    var end = Math.min(destroyed, period.to);
+
+    if (isNaN(start) || isNaN(end) || start >= end) {
+        return [];
+    }
+
+    var current = {
+        billing_id: vm.billing_id,
+        ram: Number(vm.ram) || 0,
+        disk: vmDisk(vm)
+    };
+
+    if (resizes.length === 0) {
+        return [ { start: start, end: end, size: current } ];
+    }
+
+    var size = fillSize(initial || {}, current);
+    var segments = [];
+    var from = start;
+
+    resizes.slice().sort(function (a, b) {
+        return (jobTime(a) - jobTime(b));
+    }).forEach(function (job) {
+        var at = jobTime(job);
+        segments.push({ start: from, end: at, size: size });
+        size = fillSize(jobSize(job.params), size);
+        from = at;
+    });
+    segments.push({ start: from, end: end, size: size });
+
+    return segments.map(function (s) {
+        return {
+            start: Math.max(s.start, start),
+            end: Math.min(s.end, end),
+            size: s.size
+        };
+    }).filter(function (s) {
+        return (s.start < s.end);
+    });
+}
+
+
+/*
+ * Only the machines existing at some point of the period: created before its
+ * end, and either not destroyed or destroyed after its start.
+ */
+function vmsPredicate(period) {
+    return JSON.stringify({
+        and: [
+            { le: [ 'create_timestamp', period.to ] },
+            { ne: [ 'state', 'failed' ] },
+            { or: [
+                { ne: [ 'state', 'destroyed' ] },
+                { ge: [ 'destroyed', period.from ] }
+            ] }
+        ]
+    });
+}
+
+
+/*
+ * Load the resize jobs of the given machine since the period started, and
+ * find out the size it had then. VMAPI gives jobs from newest to oldest, so
+ * these are paged until a resize from before the period is found, which gives
+ * that size. When there is none, the size is the one the machine was
+ * provisioned with.
+ */
+function loadVmResizes(req, vm, period, opts, cb) {
+    var vmapi = req.sdc.vmapi;
+    var resizes = [];
+    var previous;
+
+    function loadProvision() {
+        if (previous || resizes.length === 0) {
+            return cb(null, {
+                initial: previous && jobSize(previous.params),
+                resizes: resizes
+            });
+        }
+
+        return vmapi.listJobs({
+            vm_uuid: vm.uuid,
+            task: 'provision',
+            execution: 'succeeded'
+        }, opts, function (err, jobs) {
+            if (err) {
+                return cb(err);
+            }
+
+            return cb(null, {
+                initial: jobs.length ? jobSize(jobs[0].params) : undefined,
+                resizes: resizes
+            });
+        });
+    }
+
+    function page(offset) {
+        vmapi.listJobs({
+            vm_uuid: vm.uuid,
+            task: 'update',
+            execution: 'succeeded',
+            limit: JOBS_PAGE_LIMIT,
+            offset: offset
+        }, opts, function (err, jobs) {
+            if (err) {
+                return cb(err);
+            }
+
+            jobs.filter(function (j) {
+                return (j.params && j.params.subtask === 'resize');
+            }).forEach(function (j) {
+                if (jobTime(j) >= period.from) {
+                    resizes.push(j);
+                } else if (!previous || jobTime(j) > jobTime(previous)) {
+                    previous = j;
+                }
+            });
+
+            if (previous || jobs.length < JOBS_PAGE_LIMIT) {
+                return loadProvision();
+            }
+            return page(offset + jobs.length);
+        });
+    }
+
+    page(0);
+}
+
+
+function emptyUsage() {
+    return {
+        instance_hours: 0,
+        ram_gb_hours: 0,
+        disk_gb_hours: 0
+    };
+}
+
+
+function addUsage(usage, segment) {
+    var hours = (segment.end - segment.start) / HOUR;
+
+    usage.instance_hours += hours;
+    usage.ram_gb_hours += hours * segment.size.ram / 1024;
+    usage.disk_gb_hours += hours * segment.size.disk;
+}
+
+
+function roundUsage(usage) {
+    ['instance_hours', 'ram_gb_hours', 'disk_gb_hours'].forEach(function (k) {
+        usage[k] = Math.round(usage[k] * 100) / 100;
+    });
+
+    return usage;
+}
+
+
+
+///--- Handlers
+
+function get(req, res, next) {
+    var log = req.log;
+    var opts = {
+        log: log,
+        headers: {
+            'x-request-id': req.getId()
+        }
+    };
+    var owner = req.account.uuid;
+    var tag = req.params.tag;
+    var ctx = {};
+
+    try {
+        ctx.period = getPeriod(req.params);
+    } catch (e) {
+        return next(e);
+    }
+
+    return vasync.pipeline({
+        funcs: [
+            function listVms(_, cb) {
+                listAll(function (o, cb2) {
+                    req.sdc.vmapi.listVms(o, opts, cb2);
+                }, {
+                    owner_uuid: owner,
+                    predicate: vmsPredicate(ctx.period),
+                    sort: 'create_timestamp.asc'
+                }, function (err, vms) {
+                    ctx.vms = vms;
+                    return cb(err);
+                });
+            },
+            function computeSegments(_, cb) {
+                var failed;
+                var queue = vasync.queue(function (vm, cb2) {
+                    loadVmResizes(req, vm, ctx.period, opts,
+                            function (err, jobs) {
+                        if (err) {
+                            failed = failed || err;
+                        } else {
+                            ctx.segments[vm.uuid] = vmSegments(vm,
+                                jobs.initial, jobs.resizes, ctx.period);
+                        }
+                        return cb2();
+                    });
+                }, JOBS_CONCURRENCY);
+
+                ctx.segments = {};
+                if (ctx.vms.length === 0) {
+                    return cb();
+                }
+
+                queue.drain = function () {
+                    return cb(failed);
+                };
+                return queue.push(ctx.vms);
+            },
+            function listPackages(_, cb) {
+                // Only the packages the machines used, which may no longer
+                // be available to the account, so we don't filter these by
+                // owner:
+                var ids = {};
+                Object.keys(ctx.segments).forEach(function (uuid) {
+                    ctx.segments[uuid].forEach(function (s) {
+                        if (s.size.billing_id) {
+                            ids[s.size.billing_id] = true;
+                        }
+                    });
+                });
+
+                ctx.packages = {};
+                ids = Object.keys(ids);
+                if (ids.length === 0) {
+                    return cb();
+                }
+
+                return req.sdc.papi.list('(|' + ids.map(function (id) {
+                    return ('(uuid=' + id + ')');
+                }).join('') + ')', {}, function (err, pkgs) {
+                    (pkgs || []).forEach(function (p) {
+                        ctx.packages[p.uuid] = p.name;
+                    });
+                    return cb(err);
+                });
+            }
+        ]
+    }, function (err) {
+        if (err) {
+            return next(err);
+        }
+
+        var total = emptyUsage();
+        var byPackage = {};
+        var byTag = {};
+
+        ctx.vms.forEach(function (vm) {
+            var value = null;
+            if (tag && vm.tags && vm.tags[tag] !== undefined) {
+                value = String(vm.tags[tag]);
+            }
+
+            (ctx.segments[vm.uuid] || []).forEach(function (s) {
+                var id = s.size.billing_id || null;
+
+                if (!byPackage[id]) {
+                    byPackage[id] = emptyUsage();
+                    byPackage[id].id = id;
+                    byPackage[id].name = ctx.packages[id] || null;
+                }
+
+                addUsage(total, s);
+                addUsage(byPackage[id], s);
+
+                if (tag) {
+                    // Untagged machines are grouped under a null value:
+                    var key = JSON.stringify(value);
+                    if (!byTag[key]) {
+                        byTag[key] = emptyUsage();
+                        byTag[key].value = value;
+                    }
+                    addUsage(byTag[key], s);
+                }
+            });
+        });
+
+        var usage = roundUsage(total);
+        usage.from = new Date(ctx.period.from).toISOString();
+        usage.to = new Date(ctx.period.to).toISOString();
+        usage.packages = Object.keys(byPackage).map(function (k) {
+            return roundUsage(byPackage[k]);
+        });
+
+        if (tag) {
+            usage.tag = tag;
+            usage.tags = Object.keys(byTag).map(function (k) {
+                return roundUsage(byTag[k]);
+            });
+        }
+
+        log.debug('GetUsage(%s) => %j', req.account.login, usage);
+        res.send(usage);
+        return next();
+    });
+}
+
+
+function mount(server, before) {
+    assert.object(server, 'server');
+    assert.ok(before);
+
+    server.get({
+        path: '/:account/usage',
+        name: 'GetUsage'
+    }, before, get);
+
+    server.head({
+        path: '/:account/usage',
+        name: 'HeadUsage'
+    }, before, get);
+
+    return server;
+}
+
+
+///--- Exports
+
+module.exports = {
+    mount: mount
+};
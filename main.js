@@ -40,6 +40,7 @@ var opts = {
     'debug': Boolean,
     'file': String,
     'port': Number,
+    'snapshot-scheduler': Boolean,
     'help': Boolean
 };
 
@@ -47,6 +48,7 @@ var shortOpts = {
     'd': ['--debug'],
     'f': ['--file'],
     'p': ['--port'],
+    's': ['--snapshot-scheduler'],
     'h': ['--help']
 };
 
@@ -133,6 +135,13 @@ function configure(file, options, log) {
         config.port = options.port;
     }
 
+    // Of all the processes running into the zone, only the one given
+    // --snapshot-scheduler runs the machine snapshot policies, unless these
+    // are disabled altogether by config:
+    if (!options['snapshot-scheduler']) {
+        config.snapshot_scheduler = false;
+    }
+
     try {
         if (config.certificate) {
             config.certificate = fs.readFileSync(config.certificate, 'utf8');
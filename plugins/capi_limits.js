@@ -11,32 +11,115 @@
 var assert = require('assert');
 var util = require('util');
 var restify = require('restify');
+var vasync = require('vasync');
 
 
 // --- Globals
 
 var CODE = 'QuotaExceeded';
 var MESSAGE = 'To have your limits raised please contact Support.';
+// Number of machines allowed for images without a configured limit:
+var DEFAULT_LIMIT = 2;
 
 
-module.exports = {
-    preProvision: function (cfg) {
+// --- Helpers
+
+function checkConfig(cfg) {
+    if (!cfg || typeof (cfg) !== 'object') {
+        throw new TypeError('cfg (object) is required');
+    }
+
+    if (!cfg.datacenter) {
+        throw new TypeError('cfg.datacenter is required');
+    }
+
+    if (!cfg.defaults || typeof (cfg.defaults) !== 'object') {
+        throw new TypeError('cfg.defaults (object) is required');
+    }
+}
+
 
-        if (!cfg || typeof (cfg) !== 'object') {
-            throw new TypeError('cfg (object) is required');
+/*
+ * Number of machines allowed for the given (lowercase) image name, given the
+ * account limits: either the one for the configured datacenter, or the
+ * default one.
+ */
+function getLimit(cfg, limits, dsname) {
+    var i;
+    for (i = 0; i < limits.length; i++) {
+        if (limits[i].datacenter !== cfg.datacenter) {
+            continue;
         }
 
-        if (!cfg.datacenter) {
-            throw new TypeError('cfg.datacenter is required');
+        if (limits[i][dsname]) {
+            return parseInt(limits[i][dsname], 10);
+        }
+    }
+
+    return (cfg.defaults[dsname] || DEFAULT_LIMIT);
+}
+
+
+/*
+ * Count the account machines created from any version of the given image name.
+ *
+ * Note we have no way right now to filter customer machines by dataset name,
+ * since that's not added at all to our VMs representation on VMAPI, neither
+ * to vmadm itself. In order to get a reasonably good filter, we need to query
+ * IMGAPI for all the machines with a given name, then build a VMAPI query
+ * including all those images UUIDs into an LDAP search filter.
+ */
+function countMachines(req, name, cb) {
+    var log = req.log;
+
+    return req.sdc.imgapi.listImages({
+        name: name,
+        state: 'all'
+    }, function (err, images, r) {
+        if (err) {
+            log.error({err: err}, 'capi_limits: unable to list Images');
         }
 
-        if (!cfg.defaults || typeof (cfg.defaults) !== 'object') {
-            throw new TypeError('cfg.defaults (object) is required');
+        if (!images || !images.length) {
+            log.info('No images found with name ' + name);
+            return cb(null, 0);
         }
 
+        var filter = '(&(owner_uuid=' + req.account.uuid +
+                ')(&(!(state=destroyed))(!(state=failed)))(|(' +
+        images.map(function (img) {
+            return ('image_uuid=' + img.uuid);
+        }).join(')(') + ')))';
+
+
+        log.debug({filter: filter}, 'VMAPI search machines filter');
+
+        return req.sdc.vmapi.client.head({
+            path: '/vms',
+            query: {query: filter}
+        }, function (err2, req2, res2) {
+            if (err2) {
+                log.error({err: err2}, 'capi_limits: unable to count VMs.');
+                return cb(new restify.InternalError(
+                        'capi_limits: unable to count VMs.'));
+            }
+
+            return cb(null,
+                Number(res2.headers['x-joyent-resource-count']) || 0);
+        });
+    });
+}
+
+
+module.exports = {
+    preProvision: function (cfg) {
+        checkConfig(cfg);
+
         return function capiLimits(req, res, next) {
-            // Do nothing if we are not provisioning:
-            if (!(/\/machines$/.test(req.url) &&
+            // Do nothing if we are not provisioning, either by creating or
+            // cloning a machine:
+            if (!((/\/machines$/.test(req.path()) ||
+                        req.params.action === 'clone') &&
                         req.method.toUpperCase() === 'POST')) {
                 return next();
             }
@@ -71,18 +154,7 @@ module.exports = {
                 var dsname = req.dataset.name.toLowerCase();
 
                 req.limits = limits;
-                req.limit = cfg.defaults[dsname] || 2;
-                var i;
-                for (i = 0; i < limits.length; i++) {
-                    if (limits[i].datacenter !== cfg.datacenter) {
-                        continue;
-                    }
-
-                    if (limits[i][dsname]) {
-                        req.limit = parseInt(limits[i][dsname], 10);
-                        break;
-                    }
-                }
+                req.limit = getLimit(cfg, limits, dsname);
 
                 log.info({
                     dataset: req.dataset.name,
@@ -102,61 +174,108 @@ module.exports = {
                     return next();
                 }
 
-                // Note we have no way right now to filter customer machines
-                // by dataset name, since that's not added at all to our VMs
-                // representation on VMAPI, neither to vmadm itself.
-                // In order to get a reasonably good filter, we need to query
-                // IMGAPI for all the machines with a given name, then build a
-                // VMAPI query including all those images UUIDs into an LDAP
-                // search filter.
-                return req.sdc.imgapi.listImages({
-                    name: req.dataset.name,
-                    state: 'all'
-                }, function (err2, images, r) {
+                return countMachines(req, req.dataset.name,
+                        function (err2, count) {
                     if (err2) {
-                        log.error({err: err2},
-                            'capi_limits: unable to list Images');
+                        return next(err2);
                     }
 
-                    if (!images) {
-                        log.info('No images found with name ' +
-                            req.dataset.name);
-                        return next();
+                    log.debug('capi_limits: limit=%d, count=%d',
+                        req.limit, count);
+
+                    if (count >= req.limit) {
+                        return next(new restify.NotAuthorizedError(
+                                util.format('%s: %s', CODE, MESSAGE)));
                     }
+                    return next();
+                });
+            });
+        };
+    },
+
+    /*
+     * Report the number of machines allowed by image name, together with how
+     * many of them are in use. When there's an image on the request, only its
+     * limit is reported. Otherwise, the limits for the image names either
+     * configured or given for the account, given any other image is limited to
+     * DEFAULT_LIMIT machines.
+     */
+    limits: function (cfg) {
+        checkConfig(cfg);
+
+        return function capiLimitsUsage(req, cb) {
+            assert.ok(req.account);
 
-                    var filter = '(&(owner_uuid=' + req.account.uuid +
-                            ')(&(!(state=destroyed))(!(state=failed)))(|(' +
-                    images.map(function (img) {
-                        return ('image_uuid=' + img.uuid);
-                    }).join(')(') + ')))';
+            var log = req.log;
 
+            if (req.account.isAdmin()) {
+                return cb(null, []);
+            }
 
-                    log.debug({filter: filter}, 'VMAPI search machines filter');
+            return req.account.listLimits(function (err, limits) {
+                if (err) {
+                    log.error({err: err},
+                        'capi_limits: unable to list limits.');
+                    return cb(new restify.InternalError(
+                            'capi_limits: unable to list limits.'));
+                }
 
-                    return req.sdc.vmapi.client.head({
-                        path: '/vms',
-                        query: {query: filter}
-                    }, function (err3, req3, res3) {
-                        if (err3) {
-                            log.error({err: err3},
-                                'capi_limits: unable to count VMs.');
-                            return next(new restify.InternalError(
-                                    'capi_limits: unable to count VMs.'));
-                        }
+                limits = limits || [];
+
+                var names = [];
+                if (req.dataset) {
+                    names.push(req.dataset.name.toLowerCase());
+                } else {
+                    names = Object.keys(cfg.defaults);
+                    limits.filter(function (l) {
+                        return (l.datacenter === cfg.datacenter);
+                    }).forEach(function (l) {
+                        Object.keys(l).forEach(function (k) {
+                            if (['dn', 'controls', '_parent', '_owner',
+                                'objectclass', 'datacenter',
+                                'limit'].indexOf(k) === -1 &&
+                                names.indexOf(k) === -1) {
+                                names.push(k);
+                            }
+                        });
+                    });
+                }
 
-                        var count = Number(
-                            res3.headers['x-joyent-resource-count']) || 0;
+                var usage = [];
 
-                        log.debug('capi_limits: limit=%d, count=%d',
-                            req.limit, count);
+                return vasync.forEachPipeline({
+                    inputs: names,
+                    func: function (name, next) {
+                        var value = getLimit(cfg, limits, name);
 
-                        if (count >= req.limit) {
-                            return next(new restify.NotAuthorizedError(
-                                    util.format('%s: %s', CODE, MESSAGE)));
+                        // A limit of zero means no limit at all:
+                        if (value === 0) {
+                            return next();
                         }
-                        return next();
 
-                    });
+                        return countMachines(req, name,
+                                function (err2, used) {
+                            if (err2) {
+                                return next(err2);
+                            }
+
+                            usage.push({
+                                check: 'image',
+                                image: name,
+                                by: 'machines',
+                                value: value,
+                                used: used,
+                                remaining: Math.max(value - used, 0)
+                            });
+                            return next();
+                        });
+                    }
+                }, function (err3) {
+                    if (err3) {
+                        return cb(err3);
+                    }
+
+                    return cb(null, usage);
                 });
             });
         };
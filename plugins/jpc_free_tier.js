@@ -48,20 +48,84 @@ function oneYearAgo() {
     return (d - (days * 24 * 60 * 60 * 1000));
 }
 
-module.exports = {
-    preProvision: function (cfg) {
 
-        if (!cfg || typeof (cfg) !== 'object') {
-            throw new TypeError('cfg (object) is required');
-        }
+/*
+ * Why the account cannot create free tier instances, if it wasn't created
+ * during the last year, or was created before the offering began (March the
+ * 1st, 2014). Nothing when it can.
+ */
+function notEligible(account) {
+    // If the account is older than one year, we don't need to lookup
+    // anything else
+    var created = new Date(account.created_at);
+    var aYearAgo = new Date(oneYearAgo());
+    if (created <= aYearAgo) {
+        return util.format('account %s created %s before than one year ' +
+            'ago', account.login, created.toUTCString());
+    }
+    // JPC Offering begins March the 1st, 2014:
+    var offer_begins_at = new Date(2014, 2, 1);
+    if (created < offer_begins_at) {
+        return util.format('account %s created %s before offering ' +
+            'beginning %s', account.login, created.toUTCString(),
+            offer_begins_at.toUTCString());
+    }
+
+    return null;
+}
 
-        if (!cfg.packages) {
-            throw new TypeError('cfg.packages is required');
+
+/*
+ * Count the account machines using any of the free tier packages. Let's
+ * assume we will allow destroy/re-create a machine for the free tier time
+ * period.
+ */
+function countMachines(req, packages, cb) {
+    var log = req.log;
+    var filter = '(&(owner_uuid=' + req.account.uuid +
+            ')(&(!(state=destroyed))(!(state=failed)))(|(' +
+    packages.map(function (i) {
+        return ('billing_id=' + i);
+    }).join(')(') + ')))';
+
+
+    log.debug({filter: filter}, 'VMAPI search machines filter');
+
+    return req.sdc.vmapi.client.head({
+        path: '/vms',
+        query: {query: filter}
+    }, function (err, req2, res2) {
+        if (err) {
+            log.error({err: err}, 'jpc_free_tier: unable to count VMs.');
+            return cb(new restify.InternalError(
+                    'jpc_free_tier: unable to count VMs.'));
         }
 
+        return cb(null, Number(res2.headers['x-joyent-resource-count']) || 0);
+    });
+}
+
+
+function checkConfig(cfg) {
+    if (!cfg || typeof (cfg) !== 'object') {
+        throw new TypeError('cfg (object) is required');
+    }
+
+    if (!cfg.packages) {
+        throw new TypeError('cfg.packages is required');
+    }
+}
+
+
+module.exports = {
+    preProvision: function (cfg) {
+        checkConfig(cfg);
+
         return function jpcFreeTier(req, res, next) {
-            // Do nothing if we are not provisioning:
-            if (!(/\/machines$/.test(req.url) &&
+            // Do nothing if we are not provisioning, either by creating or
+            // cloning a machine:
+            if (!((/\/machines$/.test(req.path()) ||
+                        req.params.action === 'clone') &&
                         req.method.toUpperCase() === 'POST')) {
                 return next();
             }
@@ -95,55 +159,18 @@ module.exports = {
                 return next();
             }
 
-            // If the account is older than one year, we don't need to lookup
-            // anything else
-            var created = new Date(req.account.created_at);
-            var aYearAgo = new Date(oneYearAgo());
-            if (created <= aYearAgo) {
-                log.info('jpc_free_tier: account %s created %s before than ' +
-                        'one year ago, disallowing.',
-                        req.account.login, created.toUTCString());
-                return next(new restify.NotAuthorizedError(
-                                util.format('%s: %s', CODE, MESSAGE)));
-            }
-            // JPC Offering begins March the 1st, 2014:
-            var offer_begins_at = new Date(2014, 2, 1);
-            if (created < offer_begins_at) {
-                log.info('jpc_free_tier: account %s created %s before ' +
-                        'offering beginning %s, disallowing.',
-                        req.account.login, created.toUTCString(),
-                        offer_begins_at.toUTCString());
+            var reason = notEligible(req.account);
+            if (reason) {
+                log.info('jpc_free_tier: %s, disallowing.', reason);
                 return next(new restify.NotAuthorizedError(
                                 util.format('%s: %s', CODE, MESSAGE)));
-
             }
 
-
-            // Let's assume we will allow destroy/re-create a machine for
-            // the free tier time period
-            var filter = '(&(owner_uuid=' + req.account.uuid +
-                    ')(&(!(state=destroyed))(!(state=failed)))(|(' +
-            cfg.packages.map(function (i) {
-                return ('billing_id=' + i);
-            }).join(')(') + ')))';
-
-
-            log.debug({filter: filter}, 'VMAPI search machines filter');
-
-            return req.sdc.vmapi.client.head({
-                path: '/vms',
-                query: {query: filter}
-            }, function (err3, req3, res3) {
-                if (err3) {
-                    log.error({err: err3},
-                        'jpc_free_tier: unable to count VMs.');
-                    return next(new restify.InternalError(
-                            'jpc_free_tier: unable to count VMs.'));
+            return countMachines(req, cfg.packages, function (err, count) {
+                if (err) {
+                    return next(err);
                 }
 
-                var count = Number(
-                    res3.headers['x-joyent-resource-count']) || 0;
-
                 log.debug('jpc_free_tier: limit=1, count=%d', count);
 
                 if (count !== 0) {
@@ -154,9 +181,41 @@ module.exports = {
                 }
 
                 return next();
-
             });
+        };
+    },
+
+    /*
+     * Report the free tier limit: a single instance using any of the free
+     * tier packages, or zero when the account can no longer use them.
+     */
+    limits: function (cfg) {
+        checkConfig(cfg);
+
+        return function jpcFreeTierUsage(req, cb) {
+            assert.ok(req.account);
+            assert.ok(Array.isArray(cfg.packages));
 
+            if (!cfg.packages.length || req.account.isAdmin()) {
+                return cb(null, []);
+            }
+
+            var value = notEligible(req.account) ? 0 : 1;
+
+            return countMachines(req, cfg.packages, function (err, used) {
+                if (err) {
+                    return cb(err);
+                }
+
+                return cb(null, [ {
+                    check: 'package',
+                    packages: cfg.packages,
+                    by: 'machines',
+                    value: value,
+                    used: used,
+                    remaining: Math.max(value - used, 0)
+                } ]);
+            });
         };
     }
 };
@@ -27,6 +27,52 @@ var vasync = require('vasync');
 
 var CODE = 'QuotaExceeded';
 var MESSAGE = 'To have your limits raised please contact Support.';
+// Machines asked to VMAPI at once, which is also its maximum page size:
+var VMS_PAGE_SIZE = 1000;
+
+
+/*
+ * Convert the single UFDS limits entry for the account and datacenter into a
+ * list of limits. Old capi_limits entries, keyed by image name with the
+ * number of machines as value, are converted too.
+ */
+function parseLimits(entry) {
+    var parsedLimits = [];
+
+    Object.keys(entry).forEach(function (k) {
+        if (k === 'limit') {
+            if (typeof (entry[k]) === 'string') {
+                entry[k] = [entry[k]];
+            }
+            if (!Array.isArray(entry[k]) &&
+                typeof (entry[k]) === 'object') {
+                parsedLimits.push(entry[k]);
+            } else {
+                entry[k].forEach(function (j) {
+                    try {
+                        parsedLimits.push(JSON.parse(j));
+                    } catch (e) {}
+                });
+            }
+        } else if (['dn',
+            'controls',
+            '_parent',
+            '_owner',
+            'objectclass',
+            'datacenter'].indexOf(k) === -1) {
+            // This is an old capi_limit: check image by
+            // number of machines:
+            parsedLimits.push({
+                image: k,
+                check: 'image',
+                by: 'machines',
+                value: entry[k]
+            });
+        }
+    });
+
+    return (parsedLimits);
+}
 
 
 /*
@@ -56,39 +102,7 @@ function filterLimits(req_image, cfg_limits, limits) {
     // At this point we should have a single limits entry, let's
     // convert from capi_limits before we go further
     if (limits.length) {
-        var parsedLimits = [];
-        Object.keys(limits[0]).forEach(function (k) {
-            if (k === 'limit') {
-                if (typeof (limits[0][k]) === 'string') {
-                    limits[0][k] = [limits[0][k]];
-                }
-                if (!Array.isArray(limits[0][k]) &&
-                    typeof (limits[0][k]) === 'object') {
-                    parsedLimits.push(limits[0][k]);
-                } else {
-                    limits[0][k].forEach(function (j) {
-                        try {
-                            parsedLimits.push(JSON.parse(j));
-                        } catch (e) {}
-                    });
-                }
-            } else if (['dn',
-                'controls',
-                '_parent',
-                '_owner',
-                'objectclass',
-                'datacenter'].indexOf(k) === -1) {
-                // This is an old capi_limit: check image by
-                // number of machines:
-                parsedLimits.push({
-                    image: k,
-                    check: 'image',
-                    by: 'machines',
-                    value: limits[0][k]
-                });
-            }
-        });
-        limits = parsedLimits;
+        limits = parseLimits(limits[0]);
     }
 
     limits = limits.filter(function (l) {
@@ -127,27 +141,181 @@ function filterLimits(req_image, cfg_limits, limits) {
     return (limits);
 }
 
-module.exports = {
-    filterLimits: filterLimits,
-    preProvision: function (cfg) {
-        if (!cfg || typeof (cfg) !== 'object') {
-            throw new TypeError('cfg (object) is required');
+/*
+ * The limits applied to the account when there's no image to filter them by:
+ * all the account limits, together with the configured ones filterLimits would
+ * add for some image, i.e. those without an account limit for the same os or
+ * image, unless the account has a 'catch all' limit.
+ */
+function mergeLimits(cfg_limits, limits) {
+    if (limits.length) {
+        limits = parseLimits(limits[0]);
+    }
+
+    var catchAll = limits.some(function (l) {
+        return ((l.os && l.os === 'any') || (l.image && l.image === 'any'));
+    });
+
+    if (catchAll) {
+        return (limits);
+    }
+
+    return limits.concat(cfg_limits.filter(function (cfg_l) {
+        return (!limits.some(function (l) {
+            return (l.check === cfg_l.check &&
+                (l.check === 'os' ? l.os === cfg_l.os :
+                    String(l.image).toLowerCase() ===
+                    String(cfg_l.image).toLowerCase()));
+        }));
+    }));
+}
+
+
+/*
+ * Load the limits to be applied to the account in the configured datacenter:
+ * either its own ones or the defaults (per tenant, when given), for the image
+ * on the request, or all of them when there's none.
+ */
+function loadLimits(req, cfg, cb) {
+    return req.account.listLimits(function (err, limits) {
+        if (err) {
+            return cb(err);
         }
 
-        // In the future we may replace this with terms like "any" or "all"
-        // and make possible apply the same configuration to every datacenter.
-        if (!cfg.datacenter) {
-            throw new TypeError('cfg.datacenter is required');
+        // First, we are only interested into limits defined for the
+        // current datacenter:
+        limits = (limits || []).filter(function (l) {
+            return (l.datacenter === cfg.datacenter);
+        });
+
+        var defaults = (req.account.tenant && cfg[req.account.tenant]) ?
+            cfg[req.account.tenant] : cfg.defaults;
+
+        if (req.dataset) {
+            return cb(null, filterLimits(req.dataset, defaults, limits));
         }
 
-        if (!cfg.defaults || typeof (cfg.defaults) !== 'object') {
-            throw new TypeError('cfg.defaults (object) is required');
+        return cb(null, mergeLimits(defaults, limits));
+    });
+}
+
+
+function checkConfig(cfg) {
+    if (!cfg || typeof (cfg) !== 'object') {
+        throw new TypeError('cfg (object) is required');
+    }
+
+    // In the future we may replace this with terms like "any" or "all"
+    // and make possible apply the same configuration to every datacenter.
+    if (!cfg.datacenter) {
+        throw new TypeError('cfg.datacenter is required');
+    }
+
+    if (!cfg.defaults || typeof (cfg.defaults) !== 'object') {
+        throw new TypeError('cfg.defaults (object) is required');
+    }
+}
+
+
+/*
+ * Current usage of the given limit by the machines it applies to: the number
+ * of machines, or the sum of their RAM or quota.
+ */
+function getUsage(limit, machines) {
+    if (limit.by !== 'ram' && limit.by !== 'quota') {
+        return (machines.length);
+    }
+
+    return machines.map(function (vm) {
+        return parseInt(vm[limit.by], 10);
+    }).reduce(function (a, b) {
+        return (a + b);
+    }, 0);
+}
+
+
+/*
+ * Load the account machines counting against limits, i.e. all of them but
+ * those destroyed or failed. VMAPI returns them a page at a time, so we keep
+ * asking for more until getting a page which isn't full.
+ */
+function loadActiveMachines(req, cb) {
+    var filter = '(&(owner_uuid=' + req.account.uuid +
+            ')(&(!(state=destroyed))(!(state=failed))))';
+    var vms = [];
+
+    function loadPage() {
+        req.sdc.vmapi.listVms({
+            query: filter,
+            limit: VMS_PAGE_SIZE,
+            offset: vms.length
+        }, function (err, page) {
+            if (err) {
+                return cb(err);
+            }
+
+            vms = vms.concat(page);
+            if (page.length < VMS_PAGE_SIZE) {
+                return cb(null, vms);
+            }
+
+            return loadPage();
+        });
+    }
+
+    loadPage();
+}
+
+
+/*
+ * Select the machines a limit applies to. Limits checking a given image or os
+ * apply to the machines created from any version of that image, or any image
+ * with that os, which we need to look for into IMGAPI.
+ */
+function limitMachines(req, limit, vms, cb) {
+    var opts = {
+        state: 'all'
+    };
+
+    if (limit.check === 'os' && limit.os !== 'any') {
+        opts.os = req.dataset ? req.dataset.os : limit.os;
+    } else if (limit.check === 'image' && limit.image !== 'any') {
+        opts.name = req.dataset ? req.dataset.name : limit.image;
+    } else {
+        return cb(null, vms);
+    }
+
+    return req.sdc.imgapi.listImages(opts, function (err, imgs) {
+        if (err) {
+            return cb(err);
         }
 
+        var uuids = (imgs || []).map(function (i) {
+            return (i.uuid);
+        });
+
+        return cb(null, vms.filter(function (vm) {
+            var imageUuid = vm.image_uuid;
+            if (vm.brand === 'kvm' && vm.disks && vm.disks[0]) {
+                imageUuid = vm.disks[0].image_uuid;
+            }
+            return (uuids.indexOf(imageUuid) !== -1);
+        }));
+    });
+}
+
+
+module.exports = {
+    filterLimits: filterLimits,
+    preProvision: function (cfg) {
+        checkConfig(cfg);
+
         return function provisioningLimits(req, res, next) {
-            // Do nothing if we are not provisioning, (not strictly required,
-            // since CloudAPI will handle this, but illustrative):
-            if (!(/\/machines$/.test(req.url) &&
+            // Do nothing if we are not provisioning, either by creating or
+            // cloning a machine, (not strictly required, since CloudAPI will
+            // handle this, but illustrative):
+            if (!((/\/machines$/.test(req.path()) ||
+                        req.params.action === 'clone') &&
                         req.method.toUpperCase() === 'POST')) {
                 return next();
             }
@@ -172,7 +340,7 @@ module.exports = {
 
             // If the customer account has limits, we'll use those, otherwise,
             // we'll go with the default limits specified on config
-            return req.account.listLimits(function (err, limits) {
+            return loadLimits(req, cfg, function (err, limits) {
                 if (err) {
                     log.error({err: err},
                         'Prov. limits: unable to list limits.');
@@ -180,19 +348,6 @@ module.exports = {
                             'Provisioning limits: unable to list limits.'));
                 }
 
-                if (!limits) {
-                    limits = [];
-                }
-                // First, we are only interested into limits defined for the
-                // current datacenter:
-                limits = limits.filter(function (l) {
-                    return (l.datacenter === cfg.datacenter);
-                });
-
-                var defaults = (req.account.tenant &&
-                                cfg[req.account.tenant]) ?
-                                cfg[req.account.tenant] : cfg.defaults;
-                limits = filterLimits(req.dataset, defaults, limits);
                 log.debug({provisioning_limits: limits},
                         'Limits to be applied.');
 
@@ -275,12 +430,8 @@ module.exports = {
                     });
                 }
 
-                function loadActiveMachines(_, cb) {
-                    var filter = '(&(owner_uuid=' + req.account.uuid +
-                            ')(&(!(state=destroyed))(!(state=failed))))';
-                    req.sdc.vmapi.listVms({
-                        query: filter
-                    }, function (er, vms) {
+                function loadMachines(_, cb) {
+                    loadActiveMachines(req, function (er, vms) {
                         if (er) {
                             log.error({err: er},
                             'Prov. limits: unable to list VMs');
@@ -322,7 +473,7 @@ module.exports = {
                 }
 
                 return vasync.pipeline({
-                    funcs: [whatToCheck, fetchImages, loadActiveMachines,
+                    funcs: [whatToCheck, fetchImages, loadMachines,
                             machinesByOs, machinesByImg]
                 }, function (er, results) {
                     if (er) {
@@ -354,22 +505,15 @@ module.exports = {
 
                             switch (limit.by) {
                             case 'ram':
-                                count = machines.map(function (vm) {
-                                    return parseInt(vm.ram, 10);
-                                }).reduce(function (a, b) {
-                                    return (a + b);
-                                }, 0) + parseInt(
+                                count = getUsage(limit, machines) + parseInt(
                                     req.pkg.max_physical_memory, 10);
                                 break;
                             case 'quota':
-                                count = machines.map(function (vm) {
-                                    return parseInt(vm.quota, 10);
-                                }).reduce(function (a, b) {
-                                    return (a + b);
-                                }, 0) + parseInt(req.pkg.quota, 10);
+                                count = getUsage(limit, machines) +
+                                    parseInt(req.pkg.quota, 10);
                                 break;
                             default: // machines
-                                count = machines.length + 1;
+                                count = getUsage(limit, machines) + 1;
                                 break;
                             }
 
@@ -393,5 +537,95 @@ module.exports = {
                 });
             });
         };
+    },
+
+    /*
+     * Report the limits applied to the account, together with their current
+     * usage. When there's an image on the request (req.dataset), only the
+     * limits which would apply to provisioning that image are reported.
+     */
+    limits: function (cfg) {
+        checkConfig(cfg);
+
+        return function provisioningLimitsUsage(req, cb) {
+            assert.ok(req.account);
+
+            var log = req.log;
+
+            if (req.account.isAdmin()) {
+                return cb(null, []);
+            }
+
+            return loadLimits(req, cfg, function (err, limits) {
+                if (err) {
+                    log.error({err: err},
+                        'Prov. limits: unable to list limits.');
+                    return cb(new restify.InternalError(
+                            'Provisioning limits: unable to list limits.'));
+                }
+
+                // Limits with a value of zero are not applied at all:
+                limits = limits.filter(function (a) {
+                    return (a.value && parseInt(a.value, 10) !== 0);
+                });
+
+                if (!limits.length) {
+                    return cb(null, []);
+                }
+
+                return loadActiveMachines(req, function (er, vms) {
+                    if (er) {
+                        log.error({err: er},
+                            'Prov. limits: unable to list VMs');
+                        return cb(new restify.InternalError(
+                                'Prov. limits: unable to get machines'));
+                    }
+
+                    var usage = [];
+
+                    return vasync.forEachPipeline({
+                        inputs: limits,
+                        func: function (limit, next) {
+                            limitMachines(req, limit, vms,
+                                    function (er2, machines) {
+                                if (er2) {
+                                    return next(er2);
+                                }
+
+                                var value = parseInt(limit.value, 10);
+                                var used = getUsage(limit, machines);
+                                var l = {
+                                    check: limit.check,
+                                    by: limit.by || 'machines',
+                                    value: value,
+                                    used: used,
+                                    remaining: Math.max(value - used, 0)
+                                };
+
+                                if (limit.os) {
+                                    l.os = limit.os;
+                                }
+
+                                if (limit.image) {
+                                    l.image = limit.image;
+                                }
+
+                                usage.push(l);
+                                return next();
+                            });
+                        }
+                    }, function (er3) {
+                        if (er3) {
+                            log.error({err: er3},
+                                'Prov. limits: unable to list Images');
+                            return cb(new restify.InternalError(
+                                    'Prov. limits: unable to get images'));
+                        }
+
+                        return cb(null, usage);
+                    });
+                });
+            });
+        };
     }
 };
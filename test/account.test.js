@@ -157,6 +157,150 @@ test('PutAccount OK', function (t) {
 });
 
 
+test('AccountAudit OK', function (t) {
+    CLIENT.get('/my/audit', function (err, req, res, obj) {
+        t.ifError(err);
+        t.equal(res.statusCode, 200);
+        common.checkHeaders(t, res.headers);
+        t.ok(Array.isArray(obj));
+
+        var update = obj.filter(function (a) {
+            return (a.action === 'updateaccount');
+        })[0];
+        t.ok(update, 'UpdateAccount recorded');
+        if (update) {
+            t.equal(update.success, 'yes');
+            t.equal(update.login, CLIENT.login);
+            t.ok(update.caller.keyId, 'keyId');
+            t.ok(update.req_id, 'req_id');
+            t.ok(update.path, 'path');
+        }
+
+        // Requests failing authorization are recorded too:
+        t.ok(obj.some(function (a) {
+            return (a.login === OTHER.login && a.success === 'no');
+        }), 'unauthorized request recorded');
+
+        t.end();
+    });
+});
+
+
+test('AccountAudit by caller and action', function (t) {
+    var path = '/my/audit?action=updateaccount&caller=' +
+        encodeURIComponent(OTHER.login);
+
+    CLIENT.get(path, function (err, req, res, obj) {
+        t.ifError(err);
+        t.ok(obj.length, 'entries');
+        obj.forEach(function (a) {
+            t.equal(a.login, OTHER.login);
+            t.equal(a.action, 'updateaccount');
+            t.equal(a.error, 'NotAuthorized');
+        });
+        t.end();
+    });
+});
+
+
+test('AccountAudit until', function (t) {
+    CLIENT.get('/my/audit?until=2000-01-01T00:00:00Z',
+            function (err, req, res, obj) {
+        t.ifError(err);
+        t.deepEqual(obj, []);
+        t.end();
+    });
+});
+
+
+test('AccountAudit invalid since', function (t) {
+    CLIENT.get('/my/audit?since=never', function (err, req, res, obj) {
+        common.checkInvalidArgument(t, err, req, res, obj);
+        t.end();
+    });
+});
+
+
+test('AccountAudit other', function (t) {
+    var path = '/' + encodeURIComponent(CLIENT.login) + '/audit';
+    OTHER.get(path, function (err, req, res, obj) {
+        checkNotAuthorized(t, err, req, res, obj);
+        t.end();
+    });
+});
+
+
+test('GetUsage OK', function (t) {
+    CLIENT.get('/my/usage', function (err, req, res, obj) {
+        t.ifError(err);
+        t.equal(res.statusCode, 200);
+        common.checkHeaders(t, res.headers);
+        t.ok(obj.from, 'from');
+        t.ok(obj.to, 'to');
+        t.ok(obj.from < obj.to, 'from before to');
+        t.equal(typeof (obj.instance_hours), 'number');
+        t.equal(typeof (obj.ram_gb_hours), 'number');
+        t.equal(typeof (obj.disk_gb_hours), 'number');
+        t.ok(Array.isArray(obj.packages), 'packages');
+        t.notOk(obj.tags, 'no tags');
+        t.end();
+    });
+});
+
+
+test('GetUsage by tag', function (t) {
+    var from = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+    var path = '/my/usage?from=' + from + '&tag=team';
+    CLIENT.get(path, function (err, req, res, obj) {
+        t.ifError(err);
+        t.equal(obj.from, from);
+        t.equal(obj.tag, 'team');
+        t.ok(Array.isArray(obj.tags), 'tags');
+
+        var hours = obj.tags.reduce(function (acc, u) {
+            return (acc + u.instance_hours);
+        }, 0);
+        t.ok(Math.abs(hours - obj.instance_hours) < 0.1, 'tags add up');
+        t.end();
+    });
+});
+
+
+test('GetUsage invalid date', function (t) {
+    CLIENT.get('/my/usage?from=yesterday', function (err, req, res, obj) {
+        common.checkInvalidArgument(t, err, req, res, obj);
+        t.end();
+    });
+});
+
+
+test('GetUsage reversed period', function (t) {
+    var path = '/my/usage?from=2016-02-01T00:00:00Z&to=2016-01-01T00:00:00Z';
+    CLIENT.get(path, function (err, req, res, obj) {
+        common.checkInvalidArgument(t, err, req, res, obj);
+        t.end();
+    });
+});
+
+
+test('GetUsage period too long', function (t) {
+    var path = '/my/usage?from=2016-01-01T00:00:00Z&to=2017-02-01T00:00:00Z';
+    CLIENT.get(path, function (err, req, res, obj) {
+        common.checkInvalidArgument(t, err, req, res, obj);
+        t.end();
+    });
+});
+
+
+test('GetUsage other', function (t) {
+    var path = '/' + encodeURIComponent(CLIENT.login) + '/usage';
+    OTHER.get(path, function (err, req, res, obj) {
+        checkNotAuthorized(t, err, req, res, obj);
+        t.end();
+    });
+});
+
+
 test('teardown', function (t) {
     common.teardown(CLIENTS, SERVER, function () {
         t.end();
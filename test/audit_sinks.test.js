@@ -0,0 +1,257 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016, Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var bunyan = require('bunyan');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var auditSinks = require('../lib/audit_sinks');
+var redact = require('../lib/redact');
+
+
+// --- Globals
+
+
+var LOG = bunyan.createLogger({
+    name: 'audit_sinks_test',
+    level: 'fatal'
+});
+
+var DIR = path.join(os.tmpdir(), 'cloudapi-audit-sinks-' + process.pid);
+var FILE = path.join(DIR, 'audit.log');
+
+var RECORD = {
+    time: new Date().toISOString(),
+    req_id: 'a4b2d0c6-0bdf-4b4a-9b8f-2d8f33cbd2ff',
+    req: {
+        method: 'POST',
+        url: '/my/users?password=secret&login=bob',
+        headers: {
+            authorization: 'Signature keyId="/test/keys/id_rsa"',
+            'X-Auth-Token': 'token',
+            'Proxy-Authorization': 'Basic Ym9iOnNlY3JldA==',
+            'x-api-key': 'key',
+            cookie: 'session=secret',
+            'X-Internal-Secret': 'internal',
+            accept: 'application/json'
+        },
+        body: {
+            name: 'test',
+            'metadata.root_pw': 'secret',
+            metadata: {
+                administrator_pw: 'secret',
+                user_script: 'echo'
+            },
+            credentials: {
+                root: 'secret'
+            },
+            users: [ {
+                password: 'secret',
+                login: 'bob'
+            } ]
+        }
+    },
+    res: {
+        statusCode: 201,
+        headers: {
+            'set-cookie': 'session=secret'
+        },
+        body: {
+            login: 'bob',
+            api_key: 'bc8d5d63'
+        }
+    }
+};
+
+
+// --- Helpers
+
+
+function readRecords(file) {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(function (l) {
+        return (l.length > 0);
+    }).map(function (l) {
+        return JSON.parse(l);
+    });
+}
+
+
+// --- Tests
+
+
+test('redact default rules', function (t) {
+    var r = redact.createRedactor();
+    var body = r.value(RECORD.req.body);
+    var headers = r.headers(RECORD.req.headers);
+
+    t.equal(headers.authorization, redact.REDACTED, 'authorization');
+    t.equal(headers['X-Auth-Token'], redact.REDACTED, 'x-auth-token');
+    t.equal(headers['Proxy-Authorization'], redact.REDACTED,
+        'proxy-authorization');
+    t.equal(headers['x-api-key'], redact.REDACTED, 'x-api-key');
+    t.equal(headers.cookie, redact.REDACTED, 'cookie');
+    t.equal(r.headers(RECORD.res.headers)['set-cookie'], redact.REDACTED,
+        'set-cookie');
+    t.equal(headers['X-Internal-Secret'], 'internal', 'other headers');
+    t.equal(headers.accept, 'application/json', 'accept');
+    t.equal(body.name, 'test', 'name');
+    t.equal(body['metadata.root_pw'], redact.REDACTED, 'flat metadata');
+    t.equal(body.metadata.administrator_pw, redact.REDACTED, 'metadata');
+    t.equal(body.metadata.user_script, 'echo', 'user-script');
+    t.equal(body.credentials, redact.REDACTED, 'credentials');
+    t.equal(body.users[0].password, redact.REDACTED, 'nested password');
+    t.equal(body.users[0].login, 'bob', 'login');
+    t.equal(RECORD.req.body.credentials.root, 'secret', 'original kept');
+
+    var url = r.url(RECORD.req.url);
+    t.equal(url.indexOf('secret'), -1, 'url password');
+    t.notEqual(url.indexOf('login=bob'), -1, 'url login');
+    t.end();
+});
+
+
+test('redact additional rules', function (t) {
+    var r = redact.createRedactor({
+        headers: ['x-internal-secret'],
+        paths: ['api_*', 'metadata.user_script']
+    });
+    var body = r.value(RECORD.req.body);
+    var headers = r.headers(RECORD.req.headers);
+
+    t.equal(headers['X-Internal-Secret'], redact.REDACTED, 'header');
+    t.equal(headers['X-Auth-Token'], redact.REDACTED, 'default headers');
+    t.equal(body.metadata.user_script, redact.REDACTED, 'user-script');
+    t.equal(body.metadata.administrator_pw, redact.REDACTED, 'defaults');
+    t.equal(r.value(RECORD.res.body).api_key, redact.REDACTED, 'api_key');
+    t.end();
+});
+
+
+test('redact bodies', function (t) {
+    var r = redact.createRedactor({
+        paths: ['key']
+    });
+
+    var json = JSON.parse(r.body(JSON.stringify(RECORD.req.body),
+        'application/json'));
+    t.equal(json['metadata.root_pw'], redact.REDACTED, 'JSON body');
+    t.equal(json.name, 'test', 'JSON name');
+
+    var buf = JSON.parse(r.body(new Buffer('{"key": "ssh-rsa AAAA"}')));
+    t.equal(buf.key, redact.REDACTED, 'Buffer body');
+
+    var form = r.body('name=test&password=secret',
+        'application/x-www-form-urlencoded');
+    t.equal(form, 'name=test&password=%5BREDACTED%5D', 'form body');
+
+    t.equal(r.body('password'), 'password', 'unparseable body');
+    t.equal(r.body(undefined), undefined, 'no body');
+    t.end();
+});
+
+
+test('unknown sink type', function (t) {
+    t.throws(function () {
+        auditSinks.createAuditSinks({
+            log: LOG,
+            sinks: [ { type: 'carrier-pigeon' } ]
+        });
+    }, /Unknown audit sink type/);
+    t.end();
+});
+
+
+test('no sinks', function (t) {
+    var sinks = auditSinks.createAuditSinks({
+        log: LOG
+    });
+
+    t.equal(sinks.length, 0, 'length');
+    t.equal(sinks.body, false, 'body');
+    sinks.write(RECORD);
+    sinks.close();
+    t.end();
+});
+
+
+test('file sink', function (t) {
+    fs.mkdirSync(DIR);
+
+    var sinks = auditSinks.createAuditSinks({
+        log: LOG,
+        sinks: [ {
+            type: 'file',
+            path: FILE,
+            body: true
+        }, {
+            type: 'file',
+            path: FILE + '.nobody'
+        } ]
+    });
+
+    t.equal(sinks.length, 2, 'length');
+    t.equal(sinks.body, true, 'body');
+    sinks.write(RECORD);
+    sinks.close();
+
+    setTimeout(function () {
+        var r = readRecords(FILE);
+        t.equal(r.length, 1, 'one record');
+        t.equal(r[0].req_id, RECORD.req_id, 'req_id');
+        t.equal(r[0].req.headers.authorization, redact.REDACTED,
+            'authorization');
+        t.equal(r[0].req.body.name, 'test', 'body');
+        t.equal(r[0].req.body.metadata.administrator_pw, redact.REDACTED,
+            'body redacted');
+        t.equal(JSON.stringify(r).indexOf('secret'), -1, 'no secrets');
+
+        r = readRecords(FILE + '.nobody');
+        t.equal(r.length, 1, 'one record without body');
+        t.equal(r[0].req.body, undefined, 'no body');
+        t.end();
+    }, 500);
+});
+
+
+test('file sink rotation', function (t) {
+    var sinks = auditSinks.createAuditSinks({
+        log: LOG,
+        sinks: [ {
+            type: 'file',
+            path: FILE,
+            max_size: 1,
+            max_files: 2
+        } ]
+    });
+
+    sinks.write(RECORD);
+    sinks.write(RECORD);
+    sinks.write(RECORD);
+    sinks.close();
+
+    setTimeout(function () {
+        t.equal(readRecords(FILE).length, 1, 'current file');
+        t.equal(readRecords(FILE + '.1').length, 1, 'first rotated file');
+        t.equal(readRecords(FILE + '.2').length, 1, 'second rotated file');
+        t.notOk(fs.existsSync(FILE + '.3'), 'no third rotated file');
+        t.end();
+    }, 500);
+});
+
+
+test('teardown', function (t) {
+    fs.readdirSync(DIR).forEach(function (f) {
+        fs.unlinkSync(path.join(DIR, f));
+    });
+    fs.rmdirSync(DIR);
+    t.end();
+});
@@ -0,0 +1,154 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016, Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var bunyan = require('bunyan');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var vasync = require('vasync');
+
+var auditStore = require('../lib/audit_store');
+var mod_store = require('../lib/store');
+
+
+// --- Globals
+
+
+var LOG = bunyan.createLogger({
+    name: 'audit_store_test',
+    level: 'fatal'
+});
+
+var DIR = path.join(os.tmpdir(), 'cloudapi-audit-store-' + process.pid);
+var ACCOUNT = 'a3c1a7ac-6a24-4ab5-9c56-0f1c4f5ad3f2';
+var MACHINE = 'd6b5b1c4-7bc5-4bd5-8a5b-4c2f2f6b4d11';
+var DAY = 24 * 60 * 60 * 1000;
+var NOW = Date.now();
+
+var STORE = mod_store.createStore({
+    dir: DIR,
+    log: LOG
+});
+var AUDIT = auditStore.createAuditStore({
+    log: LOG,
+    store: STORE,
+    retention: 10
+});
+
+
+// --- Helpers
+
+
+function entry(daysAgo, i) {
+    return {
+        account: ACCOUNT,
+        machine: (i % 2) ? MACHINE : undefined,
+        action: 'action' + i,
+        time: new Date(NOW - daysAgo * DAY + i * 1000).toISOString(),
+        req_id: 'req' + daysAgo + '.' + i
+    };
+}
+
+
+function rmdir(dir) {
+    fs.readdirSync(dir).forEach(function (f) {
+        var p = path.join(dir, f);
+        if (fs.statSync(p).isDirectory()) {
+            rmdir(p);
+        } else {
+            fs.unlinkSync(p);
+        }
+    });
+    fs.rmdirSync(dir);
+}
+
+
+// --- Tests
+
+
+test('record', function (t) {
+    // Twenty days ago is out of the retention period, but logs are only
+    // pruned when the first entry of a day is recorded:
+    var entries = [];
+    [20, 3, 2, 1, 0].forEach(function (d) {
+        for (var i = 0; i < 4; i++) {
+            entries.push(entry(d, i));
+        }
+    });
+
+    vasync.forEachPipeline({
+        inputs: entries,
+        func: function (e, next) {
+            AUDIT.record(e, next);
+        }
+    }, function (err) {
+        t.ifError(err);
+        STORE.listLogs('audit.' + ACCOUNT, function (err2, days) {
+            t.ifError(err2);
+            var old = new Date(NOW - 20 * DAY).toISOString().slice(0, 10);
+            t.ok(days.length >= 4, 'logs kept');
+            t.equal(days.indexOf(old), -1, 'old logs pruned');
+            t.end();
+        });
+    });
+});
+
+
+test('list', function (t) {
+    AUDIT.list({
+        account: ACCOUNT
+    }, function (err, entries) {
+        t.ifError(err);
+        t.equal(entries.length, 16, 'all entries');
+        t.equal(entries[0].req_id, 'req0.3', 'newest first');
+        t.equal(entries[15].req_id, 'req3.0', 'oldest last');
+        t.end();
+    });
+});
+
+
+test('list - machine, since and until', function (t) {
+    AUDIT.list({
+        account: ACCOUNT,
+        machine: MACHINE,
+        since: NOW - 2 * DAY,
+        until: NOW - DAY + 2000
+    }, function (err, entries) {
+        t.ifError(err);
+        t.deepEqual(entries.map(function (e) {
+            return (e.req_id);
+        }), ['req1.1', 'req2.3', 'req2.1']);
+        t.end();
+    });
+});
+
+
+test('list - limit and filter', function (t) {
+    AUDIT.list({
+        account: ACCOUNT,
+        limit: 3,
+        filter: function (e) {
+            return (e.action === 'action2');
+        }
+    }, function (err, entries) {
+        t.ifError(err);
+        t.deepEqual(entries.map(function (e) {
+            return (e.req_id);
+        }), ['req0.2', 'req1.2', 'req2.2']);
+        t.end();
+    });
+});
+
+
+test('teardown', function (t) {
+    rmdir(DIR);
+    t.end();
+});
@@ -0,0 +1,146 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016, Joyent, Inc.
+ */
+
+var test = require('tape').test;
+
+var cron = require('../lib/cron');
+
+
+// --- Helpers
+
+
+function matches(schedule, date) {
+    return cron.matches(cron.parse(schedule), new Date(date));
+}
+
+
+function checkInvalid(t, schedule) {
+    t.throws(function () {
+        cron.parse(schedule);
+    }, /schedule/, JSON.stringify(schedule));
+}
+
+
+// --- Tests
+
+
+test('parse values', function (t) {
+    var c = cron.parse('5 4 3 2 1');
+
+    t.deepEqual(c.minutes, [5], 'minutes');
+    t.deepEqual(c.hours, [4], 'hours');
+    t.deepEqual(c.days, [3], 'days');
+    t.deepEqual(c.months, [2], 'months');
+    t.deepEqual(c.weekdays, [1], 'weekdays');
+    t.notOk(c.anyDay, 'anyDay');
+    t.notOk(c.anyWeekday, 'anyWeekday');
+    t.end();
+});
+
+
+test('parse ranges and lists', function (t) {
+    var c = cron.parse('0,30 9-11 * * 1-3,5');
+
+    t.deepEqual(c.minutes, [0, 30], 'list');
+    t.deepEqual(c.hours, [9, 10, 11], 'range');
+    t.deepEqual(c.weekdays, [1, 2, 3, 5], 'range and value');
+    t.ok(c.anyDay, 'anyDay');
+    t.end();
+});
+
+
+test('parse steps', function (t) {
+    t.deepEqual(cron.parse('*/15 * * * *').minutes, [0, 15, 30, 45],
+        'step over all values');
+    t.deepEqual(cron.parse('0-30/10 * * * *').minutes, [0, 10, 20, 30],
+        'step over a range');
+    t.deepEqual(cron.parse('50/5 * * * *').minutes, [50, 55],
+        'step from a value');
+    t.deepEqual(cron.parse('0 */12 */10 * *').days, [1, 11, 21, 31],
+        'step starts at the field minimum');
+    t.end();
+});
+
+
+test('parse sunday as 0 or 7', function (t) {
+    t.deepEqual(cron.parse('0 0 * * 7').weekdays, [7, 0], '7');
+    t.deepEqual(cron.parse('0 0 * * 0').weekdays, [0], '0');
+    t.deepEqual(cron.parse('0 0 * * 0,7').weekdays, [0, 7], 'both');
+    t.end();
+});
+
+
+test('parse invalid schedules', function (t) {
+    checkInvalid(t, 5);
+    checkInvalid(t, '* * * *');
+    checkInvalid(t, '* * * * * *');
+    checkInvalid(t, '60 * * * *');
+    checkInvalid(t, '* 24 * * *');
+    checkInvalid(t, '* * 0 * *');
+    checkInvalid(t, '* * * 13 *');
+    checkInvalid(t, '* * * * 8');
+    checkInvalid(t, '10-5 * * * *');
+    checkInvalid(t, '*/0 * * * *');
+    checkInvalid(t, 'a * * * *');
+    checkInvalid(t, '-1 * * * *');
+    t.end();
+});
+
+
+test('matches minute, hour and month', function (t) {
+    t.ok(matches('30 12 * * *', '2016-05-02T12:30:00Z'), 'match');
+    t.ok(matches('30 12 * * *', '2016-05-02T12:30:59Z'), 'same minute');
+    t.notOk(matches('30 12 * * *', '2016-05-02T12:31:00Z'), 'minute');
+    t.notOk(matches('30 12 * * *', '2016-05-02T13:30:00Z'), 'hour');
+    t.ok(matches('0 0 1 5 *', '2016-05-01T00:00:00Z'), 'month');
+    t.notOk(matches('0 0 1 6 *', '2016-05-01T00:00:00Z'), 'other month');
+    t.ok(matches('*/15 * * * *', '2016-05-02T07:45:00Z'), 'step');
+    t.notOk(matches('*/15 * * * *', '2016-05-02T07:50:00Z'), 'off step');
+    t.end();
+});
+
+
+test('matches in UTC', function (t) {
+    t.ok(matches('0 0 * * *', Date.UTC(2016, 4, 2, 0, 0)), 'midnight UTC');
+    t.end();
+});
+
+
+test('matches weekday 0 and 7', function (t) {
+    // 2016-05-01 was a Sunday, and 2016-05-02 a Monday:
+    t.ok(matches('0 0 * * 0', '2016-05-01T00:00:00Z'), '0 is Sunday');
+    t.ok(matches('0 0 * * 7', '2016-05-01T00:00:00Z'), '7 is Sunday');
+    t.ok(matches('0 0 * * 5-7', '2016-05-01T00:00:00Z'), 'range to 7');
+    t.notOk(matches('0 0 * * 7', '2016-05-02T00:00:00Z'), 'not Monday');
+    t.end();
+});
+
+
+test('matches day of month or day of week', function (t) {
+    // Both restricted, either one matches:
+    t.ok(matches('0 0 15 * 1', '2016-05-15T00:00:00Z'),
+        'day of month only');
+    t.ok(matches('0 0 15 * 1', '2016-05-02T00:00:00Z'),
+        'day of week only');
+    t.notOk(matches('0 0 15 * 1', '2016-05-03T00:00:00Z'), 'none');
+
+    // Only one restricted, that one must match:
+    t.ok(matches('0 0 15 * *', '2016-05-15T00:00:00Z'), 'day of month');
+    t.notOk(matches('0 0 15 * *', '2016-05-02T00:00:00Z'),
+        'any day of week');
+    t.ok(matches('0 0 * * 1', '2016-05-02T00:00:00Z'), 'day of week');
+    t.notOk(matches('0 0 * * 1', '2016-05-15T00:00:00Z'),
+        'any day of month');
+
+    // A step is a restriction, unlike '*':
+    t.ok(matches('0 0 */2 * 1', '2016-05-02T00:00:00Z'),
+        'stepped day of month or day of week');
+    t.end();
+});
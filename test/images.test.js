@@ -228,6 +228,29 @@ test('GetImage 404', function (t) {
 });
 
 
+test('ImportImage (missing datacenter)', function (t) {
+    CLIENT.post('/my/images?action=import', {
+        id: common.uuid()
+    }, function (err, req, res, body) {
+        t.ok(err, 'POST /my/images?action=import error');
+        t.equal(res.statusCode, 409, 'POST /my/images?action=import status');
+        t.equal(body.code, 'MissingParameter');
+        t.end();
+    });
+});
+
+
+test('ImportImage (unknown datacenter)', function (t) {
+    CLIENT.post('/my/images?action=import', {
+        id: common.uuid(),
+        datacenter: 'no-such-dc'
+    }, function (err, req, res, body) {
+        common.checkInvalidArgument(t, err, req, res, body);
+        t.end();
+    });
+});
+
+
 test('teardown', function (t) {
     common.teardown(CLIENTS, SERVER, function () {
         t.end();
@@ -0,0 +1,113 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016, Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var common = require('./common');
+
+
+// --- Globals
+
+
+var CLIENTS;
+var CLIENT;
+var SERVER;
+
+var IMAGE_UUID;
+
+
+// --- Helpers
+
+
+function checkLimit(t, limit) {
+    t.ok(limit, 'limit');
+    t.ok(['image', 'os', 'package'].indexOf(limit.check) !== -1,
+        'limit check');
+    t.ok(['machines', 'ram', 'quota'].indexOf(limit.by) !== -1, 'limit by');
+    t.equal(typeof (limit.value), 'number', 'limit value');
+    t.equal(typeof (limit.used), 'number', 'limit used');
+    t.equal(typeof (limit.remaining), 'number', 'limit remaining');
+    t.ok(limit.remaining >= 0, 'limit remaining not negative');
+}
+
+
+// --- Tests
+
+
+test('setup', function (t) {
+    common.setup(function (_, clients, server) {
+        CLIENTS = clients;
+        CLIENT  = clients.user;
+        SERVER  = server;
+
+        t.end();
+    });
+});
+
+
+test('Get base image', function (t) {
+    common.getTestImage(CLIENT, function (err, img) {
+        t.ifError(err);
+        IMAGE_UUID = img.id;
+        t.end();
+    });
+});
+
+
+test('ListLimits OK', function (t) {
+    CLIENT.get('/my/limits', function (err, req, res, body) {
+        t.ifError(err);
+        common.checkHeaders(t, res.headers);
+        t.equal(res.statusCode, 200);
+        t.ok(Array.isArray(body));
+        body.forEach(function (limit) {
+            checkLimit(t, limit);
+        });
+        t.end();
+    });
+});
+
+
+test('ListLimits by image OK', function (t) {
+    CLIENT.get('/my/limits?image=' + IMAGE_UUID,
+            function (err, req, res, body) {
+        t.ifError(err);
+        common.checkHeaders(t, res.headers);
+        t.equal(res.statusCode, 200);
+        t.ok(Array.isArray(body));
+        body.forEach(function (limit) {
+            checkLimit(t, limit);
+        });
+        t.end();
+    });
+});
+
+
+test('ListLimits by unknown image', function (t) {
+    CLIENT.get('/my/limits?image=' + common.uuid(),
+            function (err, req, res, body) {
+        common.checkNotFound(t, err, req, res, body);
+        t.end();
+    });
+});
+
+
+test('ListLimits by invalid image', function (t) {
+    CLIENT.get('/my/limits?image=foo', function (err, req, res, body) {
+        common.checkInvalidArgument(t, err, req, res, body);
+        t.end();
+    });
+});
+
+
+test('teardown', function (t) {
+    common.teardown(CLIENTS, SERVER, function () {
+        t.end();
+    });
+});
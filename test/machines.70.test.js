@@ -27,6 +27,7 @@ var MACHINE_UUID;
 
 var LINUX_IMAGE_UUID;
 var KVM_MACHINE_UUID;
+var KVM_REBOOT_JOB;
 
 var CLIENTS;
 var CLIENT;
@@ -275,6 +276,56 @@ test('Wait For KVM machine Running', function (t) {
 });
 
 
+test('Resize KVM machine', function (t) {
+    if (!KVM_MACHINE_UUID) {
+        return t.end();
+    }
+
+    return CLIENT.post('/my/machines/' + KVM_MACHINE_UUID, {
+        action: 'resize',
+        'package': SDC_128.uuid
+    }, function (err, req, res, body) {
+        t.ifError(err, 'Resize KVM machine error');
+        t.equal(res.statusCode, 202, 'Resize KVM machine status');
+        common.checkHeaders(t, res.headers);
+        t.ok(res.headers['x-joyent-jobid'], 'Resize KVM machine job');
+        t.ok(body && body.jobs, 'Resize KVM machine jobs');
+        if (body && body.jobs) {
+            t.equal(body.jobs.length, 2, 'resize and reboot jobs');
+            t.equal(body.jobs[0], res.headers['x-joyent-jobid'],
+                'resize job first');
+            KVM_REBOOT_JOB = body.jobs[1];
+        }
+        t.end();
+    });
+});
+
+
+test('Wait For KVM machine reboot after resize', function (t) {
+    if (!KVM_REBOOT_JOB) {
+        return t.end();
+    }
+
+    return machinesCommon.waitForJob(CLIENT, KVM_REBOOT_JOB, function (err) {
+        t.ifError(err, 'Wait for reboot job error');
+        t.end();
+    });
+});
+
+
+test('Wait For KVM machine Running after resize', function (t) {
+    if (!KVM_MACHINE_UUID) {
+        return t.end();
+    }
+
+    return machinesCommon.waitForRunningMachine(CLIENT, KVM_MACHINE_UUID,
+                                        function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+
 test('Delete KVM tests', function (t) {
     if (KVM_MACHINE_UUID) {
         var deleteTest = require('./machines/delete');
@@ -26,6 +26,7 @@ var HEADNODE_UUID;
 var MACHINE_UUID;
 var IMAGE_UUID;
 var IMAGE_JOB_UUID;
+var SHARE_UUID;
 
 var CLIENTS;
 var CLIENT;
@@ -211,6 +212,30 @@ test('Create image from machine (missing params)', function (t) {
 });
 
 
+test('Create image from machine (snapshot)', function (t) {
+    if (MACHINE_UUID) {
+        var obj = {
+            machine: MACHINE_UUID,
+            name: uuid(),
+            version: '1.0.0',
+            snapshot: 'just-booted'
+        };
+
+        CLIENT.post({
+            path: '/my/images',
+            headers: {
+                'accept-version': '~7.1'
+            }
+        }, obj, function (err, req, res, body) {
+            common.checkInvalidArgument(t, err, req, res, body);
+            t.end();
+        });
+    } else {
+        t.end();
+    }
+});
+
+
 test('Create image from machine - other', function (t) {
     if (MACHINE_UUID) {
         var obj = {
@@ -334,6 +359,319 @@ test('Update image - other', function (t) {
 });
 
 
+test('Deprecate image (bad date)', function (t) {
+    if (IMAGE_JOB_UUID) {
+        var opts = {
+            path: '/my/images/' + IMAGE_UUID,
+            query: { action: 'update' }
+        };
+
+        CLIENT.post(opts, {
+            deprecated_at: 'yesterday'
+        }, function (err, req, res, body) {
+            common.checkInvalidArgument(t, err, req, res, body);
+            t.end();
+        });
+    } else {
+        t.end();
+    }
+});
+
+
+test('Deprecate image', function (t) {
+    if (IMAGE_JOB_UUID) {
+        var opts = {
+            path: '/my/images/' + IMAGE_UUID,
+            query: { action: 'update' }
+        };
+
+        CLIENT.post(opts, {
+            deprecated_at: '2016-01-01T00:00:00.000Z'
+        }, function (err, req, res, body) {
+            t.ifError(err, 'Deprecate Image error');
+            t.equal(body.deprecated_at, '2016-01-01T00:00:00.000Z');
+            t.end();
+        });
+    } else {
+        t.end();
+    }
+});
+
+
+test('ListImages hides deprecated image', function (t) {
+    if (IMAGE_JOB_UUID) {
+        CLIENT.get({
+            path: '/my/images',
+            headers: {
+                'accept-version': '~7.1'
+            }
+        }, function (err, req, res, body) {
+            t.ifError(err, 'List Images error');
+            t.notOk(body.some(function (img) {
+                return (img.id === IMAGE_UUID);
+            }), 'deprecated image not listed');
+            t.end();
+        });
+    } else {
+        t.end();
+    }
+});
+
+
+test('ListImages include_deprecated', function (t) {
+    if (IMAGE_JOB_UUID) {
+        CLIENT.get({
+            path: '/my/images?include_deprecated=true',
+            headers: {
+                'accept-version': '~7.1'
+            }
+        }, function (err, req, res, body) {
+            t.ifError(err, 'List Images error');
+            t.ok(body.some(function (img) {
+                return (img.id === IMAGE_UUID);
+            }), 'deprecated image listed');
+            t.end();
+        });
+    } else {
+        t.end();
+    }
+});
+
+
+test('Expire image', function (t) {
+    if (IMAGE_JOB_UUID) {
+        var opts = {
+            path: '/my/images/' + IMAGE_UUID,
+            query: { action: 'update' }
+        };
+
+        CLIENT.post(opts, {
+            expires_at: '2016-01-02T00:00:00.000Z'
+        }, function (err, req, res, body) {
+            t.ifError(err, 'Expire Image error');
+            t.equal(body.deprecated_at, '2016-01-01T00:00:00.000Z');
+            t.equal(body.expires_at, '2016-01-02T00:00:00.000Z');
+            t.end();
+        });
+    } else {
+        t.end();
+    }
+});
+
+
+test('Update image tags keeps deprecation', function (t) {
+    if (IMAGE_JOB_UUID) {
+        var opts = {
+            path: '/my/images/' + IMAGE_UUID,
+            query: { action: 'update' }
+        };
+
+        CLIENT.post(opts, {
+            tags: { role: 'test' }
+        }, function (err, req, res, body) {
+            t.ifError(err, 'Update Image tags error');
+            t.deepEqual(body.tags, { role: 'test' }, 'internal tags hidden');
+            t.equal(body.deprecated_at, '2016-01-01T00:00:00.000Z');
+            t.equal(body.expires_at, '2016-01-02T00:00:00.000Z');
+            t.end();
+        });
+    } else {
+        t.end();
+    }
+});
+
+
+test('CreateMachine with expired image', function (t) {
+    if (IMAGE_JOB_UUID) {
+        CLIENT.post({
+            path: '/my/machines',
+            headers: {
+                'accept-version': '~7.1'
+            }
+        }, {
+            image: IMAGE_UUID,
+            package: SDC_128.name,
+            dry_run: true
+        }, function (err, req, res, body) {
+            common.checkInvalidArgument(t, err, req, res, body);
+            t.end();
+        });
+    } else {
+        t.end();
+    }
+});
+
+
+test('Clear image deprecation', function (t) {
+    if (IMAGE_JOB_UUID) {
+        var opts = {
+            path: '/my/images/' + IMAGE_UUID,
+            query: { action: 'update' }
+        };
+
+        CLIENT.post(opts, {
+            deprecated_at: '',
+            expires_at: ''
+        }, function (err, req, res, body) {
+            t.ifError(err, 'Clear Image deprecation error');
+            t.notOk(body.deprecated_at);
+            t.notOk(body.expires_at);
+            t.end();
+        });
+    } else {
+        t.end();
+    }
+});
+
+
+test('Share image (missing login)', function (t) {
+    if (IMAGE_JOB_UUID) {
+        var opts = {
+            path: '/my/images/' + IMAGE_UUID,
+            query: { action: 'share' }
+        };
+
+        CLIENT.post(opts, {}, function (err, req, res, body) {
+            t.ok(err, 'missing login error');
+            t.equal(res.statusCode, 409);
+            t.end();
+        });
+    } else {
+        t.end();
+    }
+});
+
+
+test('Share image', function (t) {
+    if (IMAGE_JOB_UUID) {
+        var opts = {
+            path: '/my/images/' + IMAGE_UUID,
+            query: { action: 'share' }
+        };
+
+        CLIENT.post(opts, {
+            login: OTHER.login
+        }, function (err, req, res, body) {
+            t.ifError(err, 'Share Image error');
+            t.equal(res.statusCode, 201);
+            t.equal(body.id, IMAGE_UUID, 'invitation id');
+            t.equal(body.image, IMAGE_UUID);
+            t.equal(body.owner, CLIENT.login);
+            t.equal(body.recipient, OTHER.login);
+            t.equal(body.state, 'pending');
+            SHARE_UUID = body.id;
+            t.end();
+        });
+    } else {
+        t.end();
+    }
+});
+
+
+test('Share image again', function (t) {
+    if (SHARE_UUID) {
+        var opts = {
+            path: '/my/images/' + IMAGE_UUID,
+            query: { action: 'share' }
+        };
+
+        CLIENT.post(opts, {
+            login: OTHER.login
+        }, function (err, req, res, body) {
+            t.ifError(err, 'Share Image error');
+            t.equal(res.statusCode, 200);
+            t.equal(body.id, SHARE_UUID, 'same invitation');
+            t.end();
+        });
+    } else {
+        t.end();
+    }
+});
+
+
+test('List shared images', function (t) {
+    if (SHARE_UUID) {
+        OTHER.get('/my/images/shared', function (err, req, res, body) {
+            t.ifError(err, 'List Shared Images error');
+            t.equal(res.statusCode, 200);
+            t.ok(body.some(function (i) {
+                return (i.id === SHARE_UUID && i.state === 'pending');
+            }), 'invitation listed');
+            t.end();
+        });
+    } else {
+        t.end();
+    }
+});
+
+
+test('Accept shared image - owner', function (t) {
+    if (SHARE_UUID) {
+        var opts = {
+            path: '/my/images/shared/' + SHARE_UUID,
+            query: { action: 'accept' }
+        };
+
+        CLIENT.post(opts, {}, function (err, req, res, body) {
+            checkNotFound(t, err, req, res, body);
+            t.end();
+        });
+    } else {
+        t.end();
+    }
+});
+
+
+test('Accept shared image', function (t) {
+    if (SHARE_UUID) {
+        var opts = {
+            path: '/my/images/shared/' + SHARE_UUID,
+            query: { action: 'accept' }
+        };
+
+        OTHER.post(opts, {}, function (err, req, res, body) {
+            t.ifError(err, 'Accept Shared Image error');
+            t.equal(res.statusCode, 200);
+            t.equal(body.state, 'accepted');
+
+            OTHER.get('/my/images/' + IMAGE_UUID,
+                    function (err2, req2, res2, img) {
+                t.ifError(err2, 'Get shared image error');
+                t.equal(img.id, IMAGE_UUID);
+                t.end();
+            });
+        });
+    } else {
+        t.end();
+    }
+});
+
+
+test('Unshare image', function (t) {
+    if (SHARE_UUID) {
+        var opts = {
+            path: '/my/images/' + IMAGE_UUID,
+            query: { action: 'unshare' }
+        };
+
+        CLIENT.post(opts, {
+            login: OTHER.login
+        }, function (err, req, res, body) {
+            t.ifError(err, 'Unshare Image error');
+            t.equal(res.statusCode, 204);
+
+            OTHER.get('/my/images/shared/' + SHARE_UUID,
+                    function (err2, req2, res2, body2) {
+                checkNotFound(t, err2, req2, res2, body2);
+                t.end();
+            });
+        });
+    } else {
+        t.end();
+    }
+});
+
+
 test('Delete image', function (t) {
     if (IMAGE_JOB_UUID) {
         CLIENT.imgapi.deleteImage(IMAGE_UUID, function (err, res) {
@@ -530,6 +530,62 @@ test('ListMachines all - other', function (t) {
 });
 
 
+test('ListMachines (paginate with marker)', function (t) {
+    CLIENT.get('/my/machines?limit=1', function (err, req, res, body) {
+        t.ifError(err, 'GET /my/machines?limit=1 error');
+        t.equal(res.statusCode, 200);
+        t.equal(res.headers['x-query-limit'], '1');
+        t.equal(res.headers['x-resource-count'], '1');
+        t.equal(body.length, 1);
+
+        var link = res.headers.link;
+        t.ok(link, 'Link header');
+
+        var next = /^<([^>]+)>; rel="next"$/.exec(link);
+        t.ok(next, 'Link header has rel="next"');
+        t.ok(/marker=/.test(next[1]), 'next page has marker');
+
+        CLIENT.get(next[1], function (err2, req2, res2, body2) {
+            t.ifError(err2, 'GET next page error');
+            t.equal(res2.statusCode, 200);
+            t.ok(Array.isArray(body2));
+
+            body2.forEach(function (m) {
+                t.notEqual(m.id, body[0].id, 'machine not repeated');
+            });
+
+            t.end();
+        });
+    });
+});
+
+
+test('ListMachines (bad marker)', function (t) {
+    CLIENT.get('/my/machines?marker=foo', function (err, req, res, body) {
+        common.checkInvalidArgument(t, err, req, res, body);
+        t.end();
+    });
+});
+
+
+test('ListMachines (marker and offset)', function (t) {
+    var path = '/my/machines?offset=0&marker=foo';
+
+    CLIENT.get(path, function (err, req, res, body) {
+        common.checkInvalidArgument(t, err, req, res, body);
+        t.end();
+    });
+});
+
+
+test('ListMachines (limit too large)', function (t) {
+    CLIENT.get('/my/machines?limit=1001', function (err, req, res, body) {
+        common.checkInvalidArgument(t, err, req, res, body);
+        t.end();
+    });
+});
+
+
 // Fixed by PUBAPI-774, again!
 test('ListMachines (filter by image)', function (t) {
     searchAndCheck('image=' + IMAGE_UUID, t, function (m) {
@@ -681,6 +737,106 @@ test('ListMachines (filter by docker) - other', function (t) {
 });
 
 
+test('ListMachines (filter by package)', function (t) {
+    searchAndCheck('package=' + SDC_256.name, t, function (m) {
+        t.equal(m['package'], SDC_256.name);
+    });
+});
+
+
+test('ListMachines (filter by memory range)', function (t) {
+    searchAndCheck('memory>=256&memory<=256', t, function (m) {
+        t.equal(m.memory, 256);
+    });
+});
+
+
+test('ListMachines (filter by memory range) - other', function (t) {
+    searchAndCheckOther('memory>=256', t);
+});
+
+
+test('ListMachines (filter by creation time)', function (t) {
+    var since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+
+    searchAndCheck('created_after=' + since, t, function (m) {
+        t.ok(new Date(m.created).getTime() >= new Date(since).getTime());
+    });
+});
+
+
+test('ListMachines (filter by name glob)', function (t) {
+    machinesCommon.getMachine(t, CLIENT, MACHINE_UUID, function (_, machine) {
+        var prefix = machine.name.substr(0, 3);
+
+        searchAndCheck('name=' + prefix + '*', t, function (m) {
+            t.equal(m.name.substr(0, 3), prefix);
+        });
+    });
+});
+
+
+test('ListMachines (filter by primaryIp CIDR)', function (t) {
+    var path = '/my/machines?primaryIp=0.0.0.0/0';
+
+    CLIENT.get(path, function (err, req, res, body) {
+        t.ifError(err);
+        t.equal(res.statusCode, 200);
+        t.ok(Array.isArray(body));
+
+        body.forEach(function (m) {
+            t.ok(m.primaryIp, 'machine has a primaryIp');
+        });
+
+        t.end();
+    });
+});
+
+
+test('ListMachines (filter by bad CIDR)', function (t) {
+    var path = '/my/machines?primaryIp=10.0.0.0/33';
+
+    CLIENT.get(path, function (err, req, res, body) {
+        common.checkInvalidArgument(t, err, req, res, body);
+        t.end();
+    });
+});
+
+
+test('ListMachines (filter by bad date)', function (t) {
+    var path = '/my/machines?created_before=yesterday';
+
+    CLIENT.get(path, function (err, req, res, body) {
+        common.checkInvalidArgument(t, err, req, res, body);
+        t.end();
+    });
+});
+
+
+test('ListMachines (sort by name)', function (t) {
+    CLIENT.get('/my/machines?sort=name.desc', function (err, req, res, body) {
+        t.ifError(err);
+        t.equal(res.statusCode, 200);
+        t.ok(Array.isArray(body));
+
+        var names = body.map(function (m) {
+            return (m.name);
+        });
+        t.deepEqual(names, names.slice().sort().reverse(), 'sorted names');
+
+        t.end();
+    });
+});
+
+
+test('ListMachines (bad sort)', function (t) {
+    CLIENT.get('/my/machines?sort=owner', function (err, req, res, body) {
+        common.checkInvalidArgument(t, err, req, res, body);
+        t.end();
+    });
+});
+
+
 test('ListMachines (filter by bad type)', function (t) {
     var path = '/my/machines?type=0xdeadbeef';
 
@@ -719,6 +875,43 @@ test('Get Machine - other', function (t) {
 });
 
 
+test('Get Machine, waiting for state', function (t) {
+    var path = '/my/machines/' + MACHINE_UUID + '?wait_for_state=running';
+
+    CLIENT.get(path, function (err, req, res, body) {
+        t.ifError(err);
+        t.equal(res.statusCode, 200);
+        common.checkHeaders(t, res.headers);
+        t.equal(body.id, MACHINE_UUID);
+        t.equal(body.state, 'running');
+        t.end();
+    });
+});
+
+
+test('Get Machine, waiting for state (timeout)', function (t) {
+    var path = '/my/machines/' + MACHINE_UUID +
+        '?wait_for_state=stopped&timeout=1';
+
+    CLIENT.get(path, function (err, req, res, body) {
+        t.ok(err);
+        t.equal(res.statusCode, 408);
+        t.equal(body.code, 'RequestTimeout');
+        t.end();
+    });
+});
+
+
+test('Get Machine, waiting for bad state', function (t) {
+    var path = '/my/machines/' + MACHINE_UUID + '?wait_for_state=asleep';
+
+    CLIENT.get(path, function (err, req, res, body) {
+        common.checkInvalidArgument(t, err, req, res, body);
+        t.end();
+    });
+});
+
+
 test('Get Machine, including credentials', function (t) {
     var url = '/my/machines/' + MACHINE_UUID + '?credentials=true';
 
@@ -763,6 +956,30 @@ test('Reboot test', function (t) {
 });
 
 
+test('Jobs test', function (t) {
+    var jobsTest = require('./machines/jobs');
+    jobsTest(t, CLIENT, OTHER, MACHINE_UUID, function () {
+        t.end();
+    });
+});
+
+
+test('Clone test', function (t) {
+    var cloneTest = require('./machines/clone');
+    cloneTest(t, CLIENT, OTHER, MACHINE_UUID, function () {
+        t.end();
+    });
+});
+
+
+test('Bulk actions test', function (t) {
+    var bulkTest = require('./machines/bulk');
+    bulkTest(t, CLIENT, OTHER, MACHINE_UUID, function () {
+        t.end();
+    });
+});
+
+
 test('Resize machine to inactive package', function (t) {
     CLIENT.post('/my/machines/' + MACHINE_UUID, {
         action: 'resize',
@@ -808,6 +1025,14 @@ test('Snapshots tests', function (t) {
 });
 
 
+test('Snapshot policies tests', function (t) {
+    var testSnapshotPolicies = require('./machines/snapshot-policies');
+    testSnapshotPolicies(t, CLIENT, OTHER, MACHINE_UUID, function () {
+        t.end();
+    });
+});
+
+
 test('Firewall Rules tests', function (t) {
     var testFirewallRules = require('./machines/firewall-rules');
     testFirewallRules(t, CLIENT, OTHER, MACHINE_UUID, function () {
@@ -824,6 +1049,14 @@ test('Delete tests', function (t) {
 });
 
 
+test('GetChangefeed (bad since)', function (t) {
+    CLIENT.get('/my/changefeed?since=foo', function (err, req, res, body) {
+        common.checkInvalidArgument(t, err, req, res, body);
+        t.end();
+    });
+});
+
+
 test('machine audit', function (t) {
     var p = '/my/machines/' + MACHINE_UUID + '/audit';
 
@@ -832,6 +1065,12 @@ test('machine audit', function (t) {
         t.ok(Array.isArray(body));
         t.ok(body.length);
 
+        // Requests recorded by CloudAPI itself (see 'machine audit -
+        // recorded requests') are interleaved with the ones from jobs:
+        body = body.filter(function (a) {
+            return (!a.req_id);
+        });
+
         var f = body[body.length - 1];
         t.ok(f.success);
         t.ok(f.time);
@@ -869,6 +1108,81 @@ test('machine audit', function (t) {
             t.ok(caller.keyId.indexOf('test@joyent.com/keys/id_rsa') !== -1);
         }
 
+        var resize = body[expectedJobs.indexOf('resize')];
+        t.ok(resize.before, 'resize before');
+        t.ok(resize.after, 'resize after');
+        t.ok(resize.before['package'], 'package before');
+        t.ok(resize.after['package'], 'package after');
+        t.notEqual(resize.before['package'], resize.after['package'],
+            'package changed');
+
+        var tags = body[expectedJobs.indexOf('set_tags')];
+        t.ok(tags.after && tags.after.tags, 'tags after');
+
+        t.end();
+    });
+});
+
+
+test('machine audit - recorded requests', function (t) {
+    var p = '/my/machines/' + MACHINE_UUID + '/audit';
+
+    CLIENT.get(p, function (err, req, res, body) {
+        t.ifError(err);
+
+        var recorded = body.filter(function (a) {
+            return (a.req_id);
+        });
+
+        recorded.forEach(function (a) {
+            t.ok(a.time, 'time');
+            t.ok(a.action, 'action');
+            t.ok(a.success === 'yes' || a.success === 'no', 'success');
+            t.equal(a.caller.type, 'signature');
+            t.ok(a.caller.ip, 'ip');
+        });
+
+        // Rejected by VMAPI, so there's no job for it:
+        if (common.getCfg().datacenters.coal) {
+            t.ok(recorded.some(function (a) {
+                return (a.action === 'resize' && a.success === 'no');
+            }), 'failed resize recorded');
+        }
+
+        t.end();
+    });
+});
+
+
+test('machine audit - limit', function (t) {
+    var p = '/my/machines/' + MACHINE_UUID + '/audit?limit=2';
+
+    CLIENT.get(p, function (err, req, res, body) {
+        t.ifError(err);
+        t.equal(body.length, 2);
+        t.ok(body[0].time >= body[1].time, 'newest first');
+        t.end();
+    });
+});
+
+
+test('machine audit - invalid limit', function (t) {
+    var p = '/my/machines/' + MACHINE_UUID + '/audit?limit=0';
+
+    CLIENT.get(p, function (err, req, res, body) {
+        common.checkInvalidArgument(t, err, req, res, body);
+        t.end();
+    });
+});
+
+
+test('machine audit - since', function (t) {
+    var since = new Date(Date.now() + 60000).toISOString();
+    var p = '/my/machines/' + MACHINE_UUID + '/audit?since=' + since;
+
+    CLIENT.get(p, function (err, req, res, body) {
+        t.ifError(err);
+        t.deepEqual(body, []);
         t.end();
     });
 });
@@ -967,6 +1281,188 @@ test('Wait For Running Machine 2', waitForRunning);
 test('DeleteMachine which used query args', deleteMachine);
 
 
+test('CreateMachine with dry_run', function (t) {
+    var obj = {
+        image: IMAGE_UUID,
+        package: SDC_128.name,
+        server_uuid: HEADNODE_UUID,
+        dry_run: true
+    };
+
+    CLIENT.post('/my/machines', obj, function (err, req, res, body) {
+        t.ifError(err, 'POST /my/machines error');
+        t.equal(res.statusCode, 200, 'POST /my/machines status');
+        t.ok(body, 'POST /my/machines body');
+        t.equal(body.image_uuid, IMAGE_UUID, 'image_uuid');
+        t.equal(body.billing_id, SDC_128.uuid, 'billing_id');
+        t.ok(body.brand, 'brand');
+        t.ok(Array.isArray(body.networks), 'networks');
+        t.ok(body.networks.length, 'networks length');
+        t.equal(body.uuid, undefined, 'no uuid');
+        t.equal(body.context, undefined, 'no audit context');
+        t.equal(res.headers.location, undefined, 'no location header');
+        t.end();
+    });
+});
+
+
+// Provisioning plugins must also see a dry run given into the query string as
+// a provision:
+test('CreateMachine with dry_run query param', function (t) {
+    var obj = {
+        image: IMAGE_UUID,
+        package: SDC_128.name,
+        server_uuid: HEADNODE_UUID,
+        'metadata.root_pw': 'secret',
+        'metadata.user_pw': 'secret',
+        'metadata.hostname': 'dryrun'
+    };
+
+    CLIENT.post('/my/machines?dry_run=true', obj,
+            function (err, req, res, body) {
+        t.ifError(err, 'POST /my/machines?dry_run=true error');
+        t.equal(res.statusCode, 200, 'POST /my/machines?dry_run=true status');
+        t.equal(body.uuid, undefined, 'no uuid');
+        t.equal(res.headers.location, undefined, 'no location header');
+
+        var metadata = JSON.parse(body.customer_metadata);
+        t.equal(metadata.hostname, 'dryrun', 'metadata');
+        t.equal(metadata.root_pw, '[REDACTED]', 'root_pw redacted');
+        t.equal(metadata.user_pw, '[REDACTED]', 'user_pw redacted');
+        t.end();
+    });
+});
+
+
+test('CreateMachine with invalid dry_run', function (t) {
+    var obj = {
+        image: IMAGE_UUID,
+        package: SDC_128.name,
+        dry_run: 'maybe'
+    };
+
+    CLIENT.post('/my/machines', obj, function (err, req, res, body) {
+        common.checkInvalidArgument(t, err, req, res, body);
+        t.end();
+    });
+});
+
+
+var IDEMPOTENCY_KEY = uuid();
+
+function createIdempotentMachine(t, cb) {
+    CLIENT.post({
+        path: '/my/machines',
+        headers: {
+            'idempotency-key': IDEMPOTENCY_KEY
+        }
+    }, {
+        image: IMAGE_UUID,
+        package: SDC_128.name,
+        server_uuid: HEADNODE_UUID
+    }, function (err, req, res, body) {
+        t.ifError(err, 'POST /my/machines error');
+        t.equal(res.statusCode, 201, 'POST /my/machines status');
+        t.ok(body, 'POST /my/machines body');
+        checkMachine(t, body);
+        cb(body);
+    });
+}
+
+
+test('CreateMachine with Idempotency-Key', function (t) {
+    createIdempotentMachine(t, function (machine) {
+        MACHINE_UUID = machine.id;
+        t.end();
+    });
+});
+
+
+test('CreateMachine with same Idempotency-Key', function (t) {
+    createIdempotentMachine(t, function (machine) {
+        t.equal(machine.id, MACHINE_UUID, 'same machine returned');
+        t.end();
+    });
+});
+
+
+test('CreateMachine with same Idempotency-Key and other params', function (t) {
+    CLIENT.post({
+        path: '/my/machines',
+        headers: {
+            'idempotency-key': IDEMPOTENCY_KEY
+        }
+    }, {
+        image: IMAGE_UUID,
+        package: SDC_128.name,
+        server_uuid: HEADNODE_UUID,
+        name: 'idempotent-' + IDEMPOTENCY_KEY.substr(0, 7)
+    }, function (err, req, res, body) {
+        t.ok(err, 'POST /my/machines error');
+        t.equal(res.statusCode, 409, 'POST /my/machines status');
+        t.equal(body.code, 'Conflict', 'POST /my/machines error code');
+        t.end();
+    });
+});
+
+
+test('CreateMachine with Idempotency-Key and uuid', function (t) {
+    CLIENT.post({
+        path: '/my/machines',
+        headers: {
+            'idempotency-key': IDEMPOTENCY_KEY
+        }
+    }, {
+        image: IMAGE_UUID,
+        package: SDC_128.name,
+        uuid: MACHINE_UUID
+    }, function (err, req, res, body) {
+        common.checkInvalidArgument(t, err, req, res, body);
+        t.end();
+    });
+});
+
+
+test('Wait For Running Idempotent Machine', waitForRunning);
+
+
+test('DeleteMachine which used Idempotency-Key', deleteMachine);
+
+
+test('Wait For Destroyed Idempotent Machine', function (t) {
+    CLIENT.vmapi.listJobs({
+        vm_uuid: MACHINE_UUID,
+        task: 'destroy'
+    }, function (err, jobs) {
+        t.ifError(err, 'list jobs error');
+
+        machinesCommon.waitForJob(CLIENT, jobs[0].uuid, function (err2) {
+            t.ifError(err2, 'Check state error');
+            t.end();
+        });
+    });
+});
+
+
+test('CreateMachine with Idempotency-Key of destroyed machine', function (t) {
+    CLIENT.post({
+        path: '/my/machines',
+        headers: {
+            'idempotency-key': IDEMPOTENCY_KEY
+        }
+    }, {
+        image: IMAGE_UUID,
+        package: SDC_128.name,
+        server_uuid: HEADNODE_UUID
+    }, function (err, req, res, body) {
+        t.ok(err, 'POST /my/machines error');
+        t.equal(res.statusCode, 409, 'POST /my/machines status');
+        t.equal(body.code, 'Conflict', 'POST /my/machines error code');
+        t.end();
+    });
+});
+
+
 // passing in multiple same networks should flatten to single network added
 test('CreateMachine using multiple same networks', function (t) {
     CLIENT.napi.listNetworks({ nic_tag: 'external' }, function (err, nets) {
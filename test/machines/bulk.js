@@ -0,0 +1,124 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016, Joyent, Inc.
+ */
+
+var common = require('../common');
+var checkInvalidArgument = common.checkInvalidArgument;
+var waitForJob = require('./common').waitForJob;
+
+
+// --- Tests
+
+
+module.exports = function (suite, client, other, machine, callback) {
+    if (!machine) {
+        return callback();
+    }
+
+    suite.test('BulkMachineAction - other', function (t) {
+        other.post('/my/machines', {
+            action: 'reboot',
+            machines: [machine]
+        }, function (err, req, res, body) {
+            t.ifError(err);
+            t.equal(res.statusCode, 202);
+            t.equal(body.length, 1);
+            t.equal(body[0].id, machine);
+            t.equal(body[0].error.code, 'ResourceNotFound');
+            t.equal(body[0].job_uuid, undefined);
+            t.end();
+        });
+    });
+
+
+    suite.test('BulkMachineAction (bad action)', function (t) {
+        client.post('/my/machines', {
+            action: 'destroy',
+            machines: [machine]
+        }, function (err, req, res, body) {
+            checkInvalidArgument(t, err, req, res, body);
+            t.end();
+        });
+    });
+
+
+    suite.test('BulkMachineAction (bad machines)', function (t) {
+        client.post('/my/machines', {
+            action: 'reboot',
+            machines: ['foo']
+        }, function (err, req, res, body) {
+            checkInvalidArgument(t, err, req, res, body);
+            t.end();
+        });
+    });
+
+
+    suite.test('BulkMachineAction (no selection)', function (t) {
+        client.post('/my/machines', {
+            action: 'reboot'
+        }, function (err, req, res, body) {
+            t.ok(err);
+            t.equal(res.statusCode, 409);
+            t.equal(body.code, 'MissingParameter');
+            t.end();
+        });
+    });
+
+
+    var jobUuid;
+
+    suite.test('BulkMachineAction', function (t) {
+        client.post('/my/machines', {
+            action: 'reboot',
+            machines: [machine]
+        }, function (err, req, res, body) {
+            t.ifError(err);
+            t.equal(res.statusCode, 202);
+            common.checkHeaders(t, res.headers);
+            t.equal(body.length, 1);
+            t.equal(body[0].id, machine);
+            t.equal(body[0].action, 'reboot');
+            t.equal(body[0].error, undefined);
+            t.ok(body[0].job_uuid, 'job_uuid');
+            jobUuid = body[0].job_uuid;
+            t.end();
+        });
+    });
+
+
+    suite.test('BulkMachineAction audit', function (t) {
+        if (!jobUuid) {
+            return t.end();
+        }
+
+        return client.get('/my/audit?action=reboot',
+                function (err, req, res, body) {
+            t.ifError(err);
+            t.ok(body.some(function (a) {
+                return (/\/machines$/.test(a.path) && !a.machine &&
+                    a.success === 'yes');
+            }), 'bulk action recorded as reboot');
+            t.end();
+        });
+    });
+
+
+    suite.test('Wait For Bulk Rebooted', function (t) {
+        if (!jobUuid) {
+            return t.end();
+        }
+
+        return waitForJob(client, jobUuid, function (err) {
+            t.ifError(err, 'Check state error');
+            t.end();
+        });
+    });
+
+    return callback();
+};
@@ -0,0 +1,132 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016, Joyent, Inc.
+ */
+
+var common = require('../common');
+var machinesCommon = require('./common');
+
+var uuid = common.uuid;
+var checkNotFound = common.checkNotFound;
+var checkInvalidArgument = common.checkInvalidArgument;
+var checkMachine = machinesCommon.checkMachine;
+
+
+// --- Tests
+
+
+module.exports = function (suite, client, other, machine, callback) {
+    if (!machine) {
+        return callback();
+    }
+
+    var cloneName = 'c' + uuid().substr(0, 7);
+    var clone;
+    var cloneJob;
+
+
+    suite.test('Clone Machine - other', function (t) {
+        other.post('/my/machines/' + machine, {
+            action: 'clone',
+            name: cloneName
+        }, function (err, req, res, body) {
+            checkNotFound(t, err, req, res, body);
+            t.end();
+        });
+    });
+
+
+    suite.test('Clone Machine (bad from_snapshot)', function (t) {
+        client.post('/my/machines/' + machine, {
+            action: 'clone',
+            from_snapshot: 'maybe'
+        }, function (err, req, res, body) {
+            checkInvalidArgument(t, err, req, res, body);
+            t.end();
+        });
+    });
+
+
+    suite.test('Clone Machine', function (t) {
+        client.get('/my/machines/' + machine, function (err, req, res, m) {
+            t.ifError(err, 'GET /my/machines/:id error');
+
+            client.post('/my/machines/' + machine, {
+                action: 'clone',
+                name: cloneName,
+                'tag.cloned': 'true'
+            }, function (err2, req2, res2, body) {
+                t.ifError(err2, 'Clone machine error');
+                t.equal(res2.statusCode, 201, 'Clone machine status');
+                t.ok(body, 'Clone machine body');
+                checkMachine(t, body);
+                t.notEqual(body.id, machine, 'clone is a new machine');
+                t.equal(body.name, cloneName, 'clone name');
+                t.equal(body.image, m.image, 'clone image');
+                t.equal(body['package'], m['package'], 'clone package');
+                t.equal(body.tags.cloned, 'true', 'clone tags');
+                clone = body.id;
+                cloneJob = res2.headers['x-joyent-jobid'];
+                t.end();
+            });
+        });
+    });
+
+
+    suite.test('Wait For Clone Running', function (t) {
+        if (!clone) {
+            return t.end();
+        }
+
+        return machinesCommon.waitForRunningMachine(client, clone,
+                function (err) {
+            t.ifError(err, 'Wait for clone error');
+            t.end();
+        });
+    });
+
+
+    suite.test('Clone Machine audit', function (t) {
+        if (!clone) {
+            return t.end();
+        }
+
+        return client.get('/my/machines/' + clone + '/audit',
+                function (err, req, res, body) {
+            t.ifError(err, 'clone audit error');
+            t.ok(body.some(function (a) {
+                return (a.action === 'provision');
+            }), 'clone provision action');
+
+            client.get('/my/machines/' + machine + '/audit',
+                    function (err2, req2, res2, body2) {
+                t.ifError(err2, 'machine audit error');
+                t.notOk(body2.some(function (a) {
+                    return (cloneJob && a.job === cloneJob);
+                }), 'no clone action for the machine copied');
+                t.end();
+            });
+        });
+    });
+
+
+    suite.test('Delete Clone', function (t) {
+        if (!clone) {
+            return t.end();
+        }
+
+        return client.del('/my/machines/' + clone, function (err, req, res) {
+            t.ifError(err, 'Delete clone error');
+            t.equal(res.statusCode, 204, 'Delete clone status');
+            t.end();
+        });
+    });
+
+
+    return callback();
+};
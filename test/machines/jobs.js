@@ -0,0 +1,91 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016, Joyent, Inc.
+ */
+
+var common = require('../common');
+var checkNotFound = common.checkNotFound;
+
+
+// --- Tests
+
+
+module.exports = function (suite, client, other, machine, callback) {
+    if (!machine) {
+        return callback();
+    }
+
+    var jobUuid;
+
+    suite.test('ListMachineJobs', function (t) {
+        client.get('/my/machines/' + machine + '/jobs',
+                function (err, req, res, body) {
+            t.ifError(err);
+            t.equal(res.statusCode, 200);
+            common.checkHeaders(t, res.headers);
+            t.ok(Array.isArray(body));
+            t.ok(body.length, 'machine has jobs');
+
+            body.forEach(function (job) {
+                t.ok(job.id, 'job id');
+                t.ok(job.state, 'job state');
+                t.equal(job.machine, machine);
+            });
+
+            jobUuid = body[0].id;
+            t.end();
+        });
+    });
+
+
+    suite.test('ListMachineJobs - other', function (t) {
+        other.get('/my/machines/' + machine + '/jobs',
+                function (err, req, res, body) {
+            checkNotFound(t, err, req, res, body);
+            t.end();
+        });
+    });
+
+
+    suite.test('GetJob', function (t) {
+        client.get('/my/jobs/' + jobUuid, function (err, req, res, body) {
+            t.ifError(err);
+            t.equal(res.statusCode, 200);
+            common.checkHeaders(t, res.headers);
+            t.equal(body.id, jobUuid);
+            t.equal(body.machine, machine);
+            t.ok(body.name, 'job name');
+            t.ok(body.action, 'job action');
+            t.ok(body.progress, 'job progress');
+            t.equal(typeof (body.progress.completed), 'number');
+            t.ok(body.created, 'job created');
+            t.equal(body.params, undefined, 'job params not exposed');
+            t.end();
+        });
+    });
+
+
+    suite.test('GetJob - other', function (t) {
+        other.get('/my/jobs/' + jobUuid, function (err, req, res, body) {
+            checkNotFound(t, err, req, res, body);
+            t.end();
+        });
+    });
+
+
+    suite.test('GetJob (not found)', function (t) {
+        var path = '/my/jobs/00000000-0000-0000-0000-000000000000';
+
+        client.get(path, function (err, req, res, body) {
+            checkNotFound(t, err, req, res, body);
+            t.end();
+        });
+    });
+
+    return callback();
+};
@@ -35,10 +35,12 @@ module.exports = function (suite, client, other, machine, callback) {
     });
 
 
+    var name = 'b' + uuid().substr(0, 7);
+
     suite.test('Rename Machine', function (t) {
         client.post('/my/machines/' + machine, {
             action: 'rename',
-            name: 'b' + uuid().substr(0, 7)
+            name: name
         }, function (err) {
             t.ifError(err, 'Rename machine error');
             t.end();
@@ -66,5 +68,21 @@ module.exports = function (suite, client, other, machine, callback) {
     });
 
 
+    suite.test('Rename Machine audit', function (t) {
+        client.get('/my/machines/' + machine + '/audit',
+                function (err, req, res, body) {
+            t.ifError(err, 'audit error');
+
+            var rename = body.filter(function (a) {
+                return (a.action === 'rename' && a.job);
+            })[0];
+            t.ok(rename, 'rename action');
+            t.ok(rename.before && rename.before.alias, 'alias before');
+            t.equal(rename.after.alias, name, 'alias after');
+            t.end();
+        });
+    });
+
+
     return callback();
 };
@@ -0,0 +1,202 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016, Joyent, Inc.
+ */
+
+var common = require('../common');
+
+var checkHeaders = common.checkHeaders;
+var checkNotFound = common.checkNotFound;
+var checkInvalidArgument = common.checkInvalidArgument;
+
+
+// --- Helpers
+
+
+function checkPolicy(t, policy) {
+    t.ok(policy, 'policy ok');
+    t.ok(policy.id, 'policy id ok');
+    t.ok(policy.machine, 'policy machine ok');
+    t.ok(policy.schedule, 'policy schedule ok');
+    t.ok(policy.keep_count || policy.keep_for, 'policy retention ok');
+    t.ok(policy.created, 'policy created ok');
+    t.ok(policy.updated, 'policy updated ok');
+    t.equal(policy.owner_uuid, undefined, 'policy owner not exposed');
+}
+
+
+// --- Tests
+
+
+module.exports = function (suite, client, other, machine, callback) {
+    if (!machine) {
+        return callback();
+    }
+
+    var url = '/my/machines/' + machine + '/snapshot-policies';
+    var policy;
+
+
+    suite.test('CreateMachineSnapshotPolicy - other', function (t) {
+        other.post(url, {
+            schedule: '0 * * * *',
+            keep_count: 2
+        }, function (err, req, res, body) {
+            checkNotFound(t, err, req, res, body);
+            t.end();
+        });
+    });
+
+
+    suite.test('CreateMachineSnapshotPolicy (bad schedule)', function (t) {
+        client.post(url, {
+            schedule: '61 * * * *',
+            keep_count: 2
+        }, function (err, req, res, body) {
+            checkInvalidArgument(t, err, req, res, body);
+            t.end();
+        });
+    });
+
+
+    suite.test('CreateMachineSnapshotPolicy (no retention)', function (t) {
+        client.post(url, {
+            schedule: '0 * * * *'
+        }, function (err, req, res, body) {
+            checkInvalidArgument(t, err, req, res, body);
+            t.end();
+        });
+    });
+
+
+    suite.test('CreateMachineSnapshotPolicy (bad keep_for)', function (t) {
+        client.post(url, {
+            schedule: '0 * * * *',
+            keep_for: '7 days'
+        }, function (err, req, res, body) {
+            checkInvalidArgument(t, err, req, res, body);
+            t.end();
+        });
+    });
+
+
+    suite.test('CreateMachineSnapshotPolicy', function (t) {
+        client.post(url, {
+            schedule: '0 */6 * * *',
+            keep_count: 2
+        }, function (err, req, res, body) {
+            t.ifError(err);
+            t.equal(res.statusCode, 201);
+            checkHeaders(t, res.headers);
+            checkPolicy(t, body);
+            t.equal(body.machine, machine);
+            t.equal(body.keep_count, 2);
+            policy = body;
+            t.end();
+        });
+    });
+
+
+    suite.test('ListMachineSnapshotPolicies', function (t) {
+        client.get(url, function (err, req, res, body) {
+            t.ifError(err);
+            t.equal(res.statusCode, 200);
+            checkHeaders(t, res.headers);
+            t.ok(Array.isArray(body));
+            t.ok(body.some(function (p) {
+                return (p.id === policy.id);
+            }), 'policy listed');
+            body.forEach(function (p) {
+                checkPolicy(t, p);
+            });
+            t.end();
+        });
+    });
+
+
+    suite.test('GetMachineSnapshotPolicy', function (t) {
+        client.get(url + '/' + policy.id, function (err, req, res, body) {
+            t.ifError(err);
+            t.equal(res.statusCode, 200);
+            checkHeaders(t, res.headers);
+            checkPolicy(t, body);
+            t.deepEqual(body, policy);
+            t.end();
+        });
+    });
+
+
+    suite.test('GetMachineSnapshotPolicy - other', function (t) {
+        other.get(url + '/' + policy.id, function (err, req, res, body) {
+            checkNotFound(t, err, req, res, body);
+            t.end();
+        });
+    });
+
+
+    suite.test('GetMachineSnapshotPolicy (unknown)', function (t) {
+        client.get(url + '/' + common.uuid(), function (err, req, res, body) {
+            checkNotFound(t, err, req, res, body);
+            t.end();
+        });
+    });
+
+
+    suite.test('UpdateMachineSnapshotPolicy', function (t) {
+        client.post(url + '/' + policy.id, {
+            keep_count: '',
+            keep_for: '2d'
+        }, function (err, req, res, body) {
+            t.ifError(err);
+            t.equal(res.statusCode, 200);
+            checkPolicy(t, body);
+            t.equal(body.schedule, policy.schedule);
+            t.equal(body.keep_count, undefined);
+            t.equal(body.keep_for, '2d');
+            t.end();
+        });
+    });
+
+
+    suite.test('UpdateMachineSnapshotPolicy (no retention)', function (t) {
+        client.post(url + '/' + policy.id, {
+            keep_for: ''
+        }, function (err, req, res, body) {
+            checkInvalidArgument(t, err, req, res, body);
+            t.end();
+        });
+    });
+
+
+    suite.test('DeleteMachineSnapshotPolicy - other', function (t) {
+        other.del(url + '/' + policy.id, function (err, req, res, body) {
+            checkNotFound(t, err, req, res, body);
+            t.end();
+        });
+    });
+
+
+    suite.test('DeleteMachineSnapshotPolicy', function (t) {
+        client.del(url + '/' + policy.id, function (err, req, res) {
+            t.ifError(err);
+            t.equal(res.statusCode, 204);
+            t.end();
+        });
+    });
+
+
+    suite.test('GetMachineSnapshotPolicy (deleted)', function (t) {
+        client.get(url + '/' + policy.id, function (err, req, res, body) {
+            checkNotFound(t, err, req, res, body);
+            t.end();
+        });
+    });
+
+
+    return callback();
+};
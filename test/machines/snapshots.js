@@ -46,18 +46,34 @@ module.exports = function (suite, client, other, machine, callback) {
 
     suite.test('Take Snapshot', function (t) {
         var url = '/my/machines/' + machine + '/snapshots';
-        client.post(url, {}, function (err, req, res, body) {
+        client.post(url, {
+            description: 'Before upgrading',
+            'tag.purpose': 'upgrade'
+        }, function (err, req, res, body) {
             t.ifError(err);
             t.equal(res.statusCode, 201);
             common.checkHeaders(t, res.headers);
             t.ok(body);
             checkSnapshot(t, body);
+            t.equal(body.description, 'Before upgrading');
+            t.deepEqual(body.tags, { purpose: 'upgrade' });
             snapshot = body;
             t.end();
         });
     });
 
 
+    suite.test('Take Snapshot (bad description)', function (t) {
+        var url = '/my/machines/' + machine + '/snapshots';
+        client.post(url, {
+            description: { foo: 'bar' }
+        }, function (err, req, res, body) {
+            common.checkInvalidArgument(t, err, req, res, body);
+            t.end();
+        });
+    });
+
+
     suite.test('Wait For Snapshot', function (t) {
         client.vmapi.listJobs({
             vm_uuid: machine,
@@ -102,6 +118,57 @@ module.exports = function (suite, client, other, machine, callback) {
     });
 
 
+    suite.test('List Snapshots (filtered)', function (t) {
+        if (snapshot) {
+            var url = '/my/machines/' + machine + '/snapshots?tag.purpose=' +
+                'upgrade&name=' + snapshot.name.substr(0, 4) + '*' +
+                '&created_after=2010-01-01T00:00:00Z';
+            client.get(url, function (err, req, res, body) {
+                t.ifError(err);
+                t.equal(res.statusCode, 200);
+                t.ok(Array.isArray(body), 'snapshots is an array');
+                t.ok(body.some(function (s) {
+                    return (s.name === snapshot.name);
+                }), 'snapshot listed');
+                body.forEach(function (s) {
+                    checkSnapshot(t, s);
+                    t.equal(s.tags.purpose, 'upgrade');
+                    t.equal(s.description, 'Before upgrading');
+                    t.equal(typeof (s.size), 'number', 'snapshot size');
+                });
+                t.end();
+            });
+        } else {
+            t.end();
+        }
+    });
+
+
+    suite.test('List Snapshots (filtered out)', function (t) {
+        if (snapshot) {
+            var url = '/my/machines/' + machine + '/snapshots?' +
+                'created_before=2010-01-01T00:00:00Z';
+            client.get(url, function (err, req, res, body) {
+                t.ifError(err);
+                t.equal(res.statusCode, 200);
+                t.deepEqual(body, []);
+                t.end();
+            });
+        } else {
+            t.end();
+        }
+    });
+
+
+    suite.test('List Snapshots (bad created_after)', function (t) {
+        var url = '/my/machines/' + machine + '/snapshots?created_after=foo';
+        client.get(url, function (err, req, res, body) {
+            common.checkInvalidArgument(t, err, req, res, body);
+            t.end();
+        });
+    });
+
+
     suite.test('List Snapshots - other', function (t) {
         if (snapshot) {
             var url = '/my/machines/' + machine + '/snapshots';
@@ -125,6 +192,11 @@ module.exports = function (suite, client, other, machine, callback) {
                 common.checkHeaders(t, res.headers);
                 t.ok(body, 'snapshot body');
                 checkSnapshot(t, body);
+                t.equal(body.description, 'Before upgrading');
+                t.deepEqual(body.tags, { purpose: 'upgrade' });
+                t.equal(typeof (body.size), 'number', 'snapshot size');
+                t.equal(typeof (body.referenced), 'number',
+                    'snapshot referenced');
                 t.end();
             });
         } else {
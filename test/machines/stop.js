@@ -33,8 +33,9 @@ module.exports = function (suite, client, other, machine, callback) {
     suite.test('StopMachine', function (t) {
         client.post('/my/machines/' + machine, {
             action: 'stop'
-        }, function (err) {
+        }, function (err, req, res) {
             t.ifError(err);
+            t.ok(res.headers['x-joyent-jobid'], 'x-joyent-jobid header');
             t.end();
         });
     });
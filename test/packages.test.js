@@ -205,6 +205,62 @@ test('search packages by version', function (t) {
 });
 
 
+test('search packages by memory range', function (t) {
+    searchAndCheck('memory>=512&memory<=512', t, function (pkg) {
+        t.equal(pkg.memory, 512);
+    });
+});
+
+
+test('search packages by vcpus range', function (t) {
+    searchAndCheck('vcpus<=2', t, function (pkg) {
+        t.ok(pkg.vcpus <= 2, 'vcpus');
+    });
+});
+
+
+test('search packages by disk range', function (t) {
+    searchAndCheck('disk>=' + SDC_512.quota, t, function (pkg) {
+        t.ok(pkg.disk >= SDC_512.quota, 'disk');
+    });
+});
+
+
+test('search packages by invalid range', function (t) {
+    CLIENT.get('/my/packages?memory>=lots', function (err, req, res, body) {
+        common.checkInvalidArgument(t, err, req, res, body);
+        t.end();
+    });
+});
+
+
+test('sort packages by memory', function (t) {
+    CLIENT.get('/my/packages?sort=memory.desc',
+            function (err, req, res, body) {
+        t.ifError(err);
+        t.equal(res.statusCode, 200);
+        t.ok(body.length);
+
+        body.forEach(function (p, i) {
+            checkPackage(t, p);
+            if (i > 0) {
+                t.ok(p.memory <= body[i - 1].memory, 'sorted');
+            }
+        });
+
+        t.end();
+    });
+});
+
+
+test('sort packages invalid', function (t) {
+    CLIENT.get('/my/packages?sort=uuid', function (err, req, res, body) {
+        common.checkInvalidArgument(t, err, req, res, body);
+        t.end();
+    });
+});
+
+
 test('GetPackage by name OK', function (t) {
     CLIENT.get('/my/packages/' + SDC_512.name, function (err, req, res, body) {
         t.ifError(err);
@@ -280,6 +336,53 @@ test('GetPackage 404', function (t) {
 });
 
 
+test('ListImagePackages OK', function (t) {
+    common.getTestImage(CLIENT, function (err, img) {
+        t.ifError(err, 'getTestImage');
+
+        var path = '/my/images/' + img.id + '/packages';
+        CLIENT.get(path, function (err2, req, res, body) {
+            t.ifError(err2);
+            t.equal(res.statusCode, 200);
+            common.checkHeaders(t, res.headers);
+            t.ok(Array.isArray(body));
+            t.ok(body.length);
+
+            var reqs = img.requirements || {};
+            body.forEach(function (p, i) {
+                checkPackage(t, p);
+                if (reqs.min_ram) {
+                    t.ok(p.memory >= reqs.min_ram, 'min_ram');
+                }
+                if (reqs.max_ram) {
+                    t.ok(p.memory <= reqs.max_ram, 'max_ram');
+                }
+                if (i > 0) {
+                    t.ok(p.memory >= body[i - 1].memory, 'sorted by size');
+                }
+            });
+
+            var names = body.map(function (p) {
+                return p.name;
+            });
+            t.equal(names.indexOf(SDC_512_NO_PERMISSION.name), -1,
+                'no packages without permission');
+
+            t.end();
+        });
+    });
+});
+
+
+test('ListImagePackages 404', function (t) {
+    var path = '/my/images/' + common.uuid() + '/packages';
+    CLIENT.get(path, function (err, req, res, body) {
+        checkNotFound(t, err, req, res, body);
+        t.end();
+    });
+});
+
+
 test('teardown', function (t) {
     common.deletePackage(CLIENT, SDC_512, function (err) {
         t.ifError(err);